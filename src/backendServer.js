@@ -0,0 +1,75 @@
+// src/backendServer.js — minimal stand-in for the backend (API Gateway)
+// Node built-in only. Accepts uplink batches and acknowledges every event.
+
+const http = require("http");
+
+const PORT = 7001;
+
+function sendJson(res, code, obj) {
+  res.writeHead(code, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(obj));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+  });
+}
+
+function createBackendServer() {
+  const received = new Map(); // eventId -> event (retries are stored once)
+
+  const server = http.createServer(async (req, res) => {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+
+    // GET /health
+    if (req.method === "GET" && urlObj.pathname === "/health") {
+      return sendJson(res, 200, { ok: true });
+    }
+
+    // POST /events  { events: [...] }  -> { acked: [eventId...] }
+    if (req.method === "POST" && urlObj.pathname === "/events") {
+      try {
+        const body = await readBody(req);
+        if (!Array.isArray(body.events)) {
+          return sendJson(res, 400, { ok: false, error: "events must be an array" });
+        }
+        const acked = [];
+        for (const event of body.events) {
+          if (!event || !event.eventId) continue;
+          received.set(event.eventId, event);
+          acked.push(event.eventId);
+        }
+        return sendJson(res, 200, { ok: true, acked });
+      } catch (e) {
+        return sendJson(res, 400, { ok: false, error: e.message });
+      }
+    }
+
+    // GET /events  -> everything received so far
+    if (req.method === "GET" && urlObj.pathname === "/events") {
+      return sendJson(res, 200, { ok: true, events: [...received.values()] });
+    }
+
+    sendJson(res, 404, { ok: false, error: "Not Found" });
+  });
+
+  server.received = received;
+  return server;
+}
+
+if (require.main === module) {
+  createBackendServer().listen(PORT, () => {
+    console.log(`Backend stub running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createBackendServer };
@@ -7,19 +7,36 @@
  * - Validating incoming measurements
  * - Ensuring offline-safe persistence of raw data
  * - Managing sliding windows per patient and measurement type
- * - Performing anomaly detection (threshold & trend)
+ * - Performing anomaly detection (threshold, trend & multi-vital composite rules)
  * - Handling alert generation, debouncing, and delivery
  *
  */
-const fs = require("fs");
 const path = require("path");
 const SignalValidator = require("./modules/signalValidator");
 const SignalProcessor = require("./modules/signalProcessor");
 const AnomalyDetector = require("./modules/anomalyDetector");
+const CompositeRuleEngine = require("./modules/compositeRuleEngine");
+const EarlyWarningScorer = require("./modules/earlyWarningScorer");
+const StatisticalDetector = require("./modules/statisticalDetector");
+const ForecastDetector = require("./modules/forecastDetector");
 const AlertManager = require("./modules/alertManager");
 const OfflineCacheManager = require("./modules/offlineCacheManager");
+const UplinkManager = require("./modules/uplinkManager");
+const ConnectivityMonitor = require("./modules/connectivityMonitor");
+const EscalationEngine = require("./modules/escalationEngine");
+const NotificationDispatcher = require("./modules/notificationDispatcher");
+const ConditionTracker = require("./modules/conditionTracker");
+const StreamWatchdog = require("./modules/streamWatchdog");
+const ReorderBuffer = require("./modules/reorderBuffer");
+const HttpTransport = require("./transports/httpTransport");
 const HistoryRepository = require("./repositories/HistoryRepository");  /* Basel Added */
+const PatientProfileRepository = require("./repositories/PatientProfileRepository");
+const QuarantineRepository = require("./repositories/QuarantineRepository");
+const { expandComponents } = require("./models/measurement");
+const { createAnomaly } = require("./models/anomaly");
+const ConfigManager = require("./modules/configManager");
 const { warn, info } = require("./utils/logger");
+const { toMs } = require("./utils/time");
 
 /**
  * EdgeProcessor orchestrates the full edge-side processing pipeline.
@@ -33,28 +50,171 @@ const { warn, info } = require("./utils/logger");
 
 class EdgeProcessor {
   /**
- * Initializes the EdgeProcessor and loads static configuration (v1).
- * Configuration is loaded once at startup and is not updated at runtime.
+ * Initializes the EdgeProcessor and loads the configuration.
+ * The configuration can later be replaced at runtime (see applyConfig /
+ * updateConfig / watchConfig) without losing windows or debounce state.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Path to the thresholds configuration
+ * @param {string} [options.storageDir] - Directory for persisted data (defaults to src/data)
+ * @param {Object} [options.transport] - Uplink transport; overrides the configured HTTP uplink
+ * @param {Function} [options.probe] - Connectivity probe; overrides the configured health URL
  */
-  constructor({ configPath } = {}) {
+  constructor({ configPath, storageDir, transport, probe } = {}) {
     const cfgFile =
       configPath || path.join(__dirname, "config", "thresholds.json");                    // Load configuration file.
-    const cfg = JSON.parse(fs.readFileSync(cfgFile, "utf-8"));
+    this.configManager = new ConfigManager({ configPath: cfgFile });                      // Validates and versions the configuration file.
+    const cfg = this.configManager.load();
     this.cfg = cfg;                                                                       // Store full configuration for potential future use or extensions.
+    this.configVersion = this.configManager.version;
+    this.patientProfileRepository = new PatientProfileRepository({ storageDir });         // Per-patient / per-cohort overrides, resolved at detection time.
     this.signalValidator = new SignalValidator({
-      plausibleRanges: cfg.plausibleRanges
+      plausibleRanges: cfg.plausibleRanges,
+      compoundTypes: cfg.compoundTypes,                                                   // Compound types (e.g. BLOOD_PRESSURE) are validated per component.
+      artifacts: cfg.artifacts                                                            // Flatlines, impossible jumps, spikes and probe-off raise technical alerts.
+    });
+    this.reorderBuffer = new ReorderBuffer(cfg.reorder);                                  // Restores the timestamp order of slightly late measurements.
+    this.reorderTimer = null;
+    this.signalProcessor = new SignalProcessor({                                          // Initialize sliding window bounds from configuration (configurable behavior).
+      windowSize: cfg.windowSize,
+      windows: cfg.windows,
+      smoothing: cfg.smoothing
     });
-    this.signalProcessor = new SignalProcessor({ windowSize: cfg.windowSize });           // Initialize sliding window size from configuration (configurable behavior).
     this.anomalyDetector = new AnomalyDetector({                                          // Anomaly detector supports both threshold-based and trend-based detection.   
       thresholds: cfg.thresholds,
-      trendConfig: cfg.trend
+      trendConfig: cfg.trend,
+      profileStore: this.patientProfileRepository
+    });
+    this.compositeRuleEngine = new CompositeRuleEngine({                                  // Multi-vital rules read the same per-patient windows as the single-vital detectors.
+      rules: cfg.compositeRules,
+      signalProcessor: this.signalProcessor
+    });
+    this.earlyWarningScorer = new EarlyWarningScorer(cfg.earlyWarningScore);              // Aggregate per-patient score; bands and alert levels come from configuration.
+    this.statisticalDetector = new StatisticalDetector(cfg.baseline);                     // Per-patient baselines catch changes that never cross a static threshold.
+    this.forecastDetector = new ForecastDetector(cfg.forecast);                           // Projects the recent series toward the threshold limits.
+    this.notificationDispatcher = new NotificationDispatcher({                            // Routes published alerts to webhook / SMTP / syslog / file sinks.
+      ...(cfg.notifications || {}),
+      baseDir: storageDir || path.join(__dirname, "data")
     });
     this.alertManager = new AlertManager({                                                // Severity levels are determined by a configurable policy (not hardcoded).
   debounceMs: cfg.debounceMs,
-  severityPolicy: cfg.severityPolicy
+  severityPolicy: cfg.severityPolicy,
+  profileStore: this.patientProfileRepository,
+  notifier: this.notificationDispatcher,
+  severityLevels: (cfg.escalation || {}).severityLevels                                  // Same ordering as escalation: a worse severity bypasses debounce.
 });
-    this.offlineCacheManager = new OfflineCacheManager();
-    this.historyRepository = new HistoryRepository();                                     // add the history repository 
+    this.conditionTracker = new ConditionTracker(cfg.hysteresis);                         // Open threshold conditions, resolved once values stay in the clear band.
+    const cacheCfg = cfg.offlineCache || {};
+    this.offlineCacheManager = new OfflineCacheManager({                                  // Offline events are backed by a write-ahead log and survive reboots.
+      walFile: cacheCfg.walFile
+        ? path.resolve(storageDir || path.join(__dirname, "data"), cacheCfg.walFile)
+        : undefined,
+      fsyncPolicy: cacheCfg.fsyncPolicy,
+      fsyncIntervalMs: cacheCfg.fsyncIntervalMs,
+      maxEvents: cacheCfg.maxEvents,
+      maxBytes: cacheCfg.maxBytes,
+      downsampleBucketMs: cacheCfg.downsampleBucketMs,
+      walCompactBytes: cacheCfg.walCompactBytes,
+      isNormalMeasurement: (m) => this._isNormalRange(m)                                 // Only normal-range readings may be summarised during long outages.
+    });
+    const uplinkCfg = cfg.uplink || {};
+    const uplinkTransport =
+      transport || (uplinkCfg.enabled ? new HttpTransport(uplinkCfg) : null);
+    this.uplinkManager = uplinkTransport                                                  // Without an uplink, cached events are handed over by flushCachedData (legacy).
+      ? new UplinkManager({
+          transport: uplinkTransport,
+          cache: this.offlineCacheManager,
+          batchSize: uplinkCfg.batchSize,
+          maxRetries: uplinkCfg.maxRetries,
+          baseDelayMs: uplinkCfg.baseDelayMs,
+          maxDelayMs: uplinkCfg.maxDelayMs
+        })
+      : null;
+    this.connectivityMonitor = new ConnectivityMonitor({                                  // Probes the backend; only started on demand (see startConnectivityMonitor).
+      ...(cfg.connectivity || {}),
+      initialOnline: this.offlineCacheManager.checkConnectivityStatus(),
+      probe
+    });
+    this.connectivityMonitor.on("change", (event) => this._onConnectivityChange(event));
+    this.lastAutoFlush = null;                                                            // Flush result of the last reconnection without an uplink.
+    this.historyRepository = new HistoryRepository({ storageDir, ...(cfg.history || {}) }); // Append-only segment stores of measurements and alerts.
+    this.compactionTimer = null;
+    this.lastCompaction = null;                                                           // Report of the last history compaction.
+    this.quarantineRepository = new QuarantineRepository({ storageDir, ...(cfg.history || {}) }); // Rejected measurements with the validator rule that failed.
+    this.escalationEngine = new EscalationEngine(cfg.escalation);                         // Deadlines live on the persisted alerts, so they survive restarts and outages.
+    const activeAlerts = this.historyRepository.getAlerts({ state: "ACTIVE", limit: Infinity });
+    this.escalationEngine.restore(activeAlerts);
+    this.escalationTimer = null;
+    this.streamWatchdog = new StreamWatchdog(cfg.watchdog);                               // Notices streams that went silent (NO_DATA technical alerts).
+    for (const a of activeAlerts) {
+      if (a.alertType === "NO_DATA") this.streamWatchdog.markAlerted(a.patientId, a.associatedAnomaly.measurementType, a.alertId);
+    }
+    this.watchdogTimer = null;
+    this.configManager.onApply = (next, version) => this.applyConfig(next, version);     // Every later accepted configuration is swapped into all modules at once.
+  }
+
+/**
+ * Swaps a validated configuration into every sub-module.
+ *
+ * All modules are updated synchronously in one call, so no measurement is
+ * ever processed with a mix of old and new settings. Sliding windows,
+ * timestamp tracking and debounce state are preserved.
+ *
+ * @param {Object} cfg - Validated configuration
+ * @param {number} version - Configuration version stamped on anomalies and alerts
+ */
+  applyConfig(cfg, version) {
+    this.signalValidator.reconfigure({
+      plausibleRanges: cfg.plausibleRanges,
+      compoundTypes: cfg.compoundTypes,
+      artifacts: cfg.artifacts
+    });
+    this.reorderBuffer.reconfigure(cfg.reorder);
+    this.signalProcessor.reconfigure({
+      windowSize: cfg.windowSize,
+      windows: cfg.windows,
+      smoothing: cfg.smoothing
+    });
+    this.anomalyDetector.reconfigure({ thresholds: cfg.thresholds, trendConfig: cfg.trend });
+    this.compositeRuleEngine.reconfigure({ rules: cfg.compositeRules });
+    this.earlyWarningScorer.reconfigure(cfg.earlyWarningScore);
+    this.statisticalDetector.reconfigure(cfg.baseline);
+    this.forecastDetector.reconfigure(cfg.forecast);
+    this.alertManager.reconfigure({
+      debounceMs: cfg.debounceMs,
+      severityPolicy: cfg.severityPolicy,
+      severityLevels: (cfg.escalation || {}).severityLevels
+    });
+    this.conditionTracker.reconfigure(cfg.hysteresis);
+    this.historyRepository.reconfigure(cfg.history || {});
+    this.quarantineRepository.reconfigure(cfg.history || {});
+    this.streamWatchdog.reconfigure(cfg.watchdog);
+    this.connectivityMonitor.reconfigure(cfg.connectivity || {});
+    this.escalationEngine.reconfigure(cfg.escalation);
+    this.notificationDispatcher.reconfigure(cfg.notifications || {});
+    this.cfg = cfg;
+    this.configVersion = version;
+    info("Configuration applied", { version });
+  }
+
+/**
+ * Validates, applies and persists a new configuration (e.g. PUT /config).
+ *
+ * @param {Object} cfg - Complete configuration
+ * @returns {number} New configuration version
+ * @throws {Error} If the configuration is invalid; the running one is kept
+ */
+  updateConfig(cfg) {
+    return this.configManager.update(cfg);
+  }
+
+/**
+ * Starts watching the configuration file and hot-reloads valid changes.
+ *
+ * @param {number} [intervalMs] - Polling interval
+ */
+  watchConfig(intervalMs) {
+    this.configManager.watch(intervalMs);
   }
 
 /**
@@ -67,6 +227,53 @@ class EdgeProcessor {
  */
   setOnline(flag) {
     this.offlineCacheManager.setOnline(flag);
+    this.connectivityMonitor.setState(flag);                                              // Keeps the monitor's view (and the change history) consistent.
+    if (flag) this._scheduleSync();                                                       // Deliver whatever accumulated while offline.
+  }
+
+/**
+ * Starts automatic connectivity detection if enabled in configuration
+ * (`connectivity.enabled`). The monitor then flips the offline cache by
+ * itself and flushes cached data when the backend becomes reachable.
+ *
+ * @returns {boolean} True if the monitor was started
+ */
+  startConnectivityMonitor() {
+    if (!(this.cfg.connectivity && this.cfg.connectivity.enabled)) return false;
+    this.connectivityMonitor.start();
+    return true;
+  }
+
+/**
+ * Stops automatic connectivity detection.
+ */
+  stopConnectivityMonitor() {
+    this.connectivityMonitor.stop();
+  }
+
+/**
+ * Returns the connectivity state and its recent changes.
+ *
+ * @returns {Object} { online, lastChangeAt, lastProbeAt, changes }
+ */
+  getConnectivityStatus() {
+    return this.connectivityMonitor.getStatus();
+  }
+
+/**
+ * Applies a connectivity change detected by the monitor.
+ * When connectivity returns, an uplink sync starts; without an uplink the
+ * cached data is flushed (the result is kept in `lastAutoFlush`).
+ * Manual changes (setOnline) are already applied.
+ *
+ * @param {Object} event - Connectivity change event
+ */
+  _onConnectivityChange(event) {
+    if (event.reason === "manual") return;
+    this.offlineCacheManager.setOnline(event.online);
+    if (!event.online) return;
+    if (this.uplinkManager) this._scheduleSync();                                         // Connectivity returned: deliver what was cached while offline.
+    else this.lastAutoFlush = this.flushCachedData();
   }
 
 /**
@@ -81,7 +288,20 @@ class EdgeProcessor {
  * @returns {Object} Validation result
  */
   checkQuality(measurement) {                            
-    return this.signalValidator.buildValidationResult(measurement);
+    return this.signalValidator.screenMeasurement(measurement);
+  }
+
+/**
+ * Validates a measurement against the previous samples of its stream
+ * (timestamp order, sensor artifacts).
+ *
+ * Wrapper method, like checkQuality. Runs after the reorder buffer.
+ *
+ * @param {Object} measurement - Raw measurement data
+ * @returns {Object} Validation result
+ */
+  checkSequence(measurement) {
+    return this.signalValidator.checkSequence(measurement);
   }
 
 /**
@@ -93,10 +313,11 @@ class EdgeProcessor {
  *
  * @param {Array} window - Sliding window of measurements
  * @param {string} type - Measurement type
+ * @param {string} [patientId] - Patient whose profile overrides apply
  * @returns {Object|null} Detected anomaly or null
  */
-  analyzeThreshold(window, type) {                       
-    return this.anomalyDetector.detectThresholdAnomaly(window, type);
+  analyzeThreshold(window, type, patientId) {                       
+    return this.anomalyDetector.detectThresholdAnomaly(window, type, patientId);
   }
 
 /**
@@ -108,10 +329,86 @@ class EdgeProcessor {
  *
  * @param {Array} window - Sliding window of measurements
  * @param {string} type - Measurement type
+ * @param {string} [patientId] - Patient whose profile overrides apply
  * @returns {Object|null} Detected anomaly or null
  */
-  detectTrend(window, type) {                            
-    return this.anomalyDetector.detectTrendAnomaly(window, type);
+  detectTrend(window, type, patientId) {                            
+    return this.anomalyDetector.detectTrendAnomaly(window, type, patientId);
+  }
+
+/**
+ * Evaluates multi-vital composite rules for a patient.
+ *
+ * Wrapper method:
+ * Keeps composite detection replaceable without changing the
+ * orchestration logic.
+ *
+ * @param {Object} measurement - Measurement that triggered the evaluation
+ * @returns {Array} Composite anomalies (possibly empty)
+ */
+  evaluateCompositeRules(measurement) {
+    return this.compositeRuleEngine.evaluate(
+      measurement.patientId,
+      measurement.measurementType,
+      measurement.timestamp
+    );
+  }
+
+/**
+ * Updates the patient's early warning score with a new measurement.
+ *
+ * Wrapper method:
+ * Allows the scoring scheme to be replaced without changing
+ * the orchestration logic.
+ *
+ * @param {Object} measurement - Raw measurement data
+ * @returns {Array} Early warning anomalies (possibly empty)
+ */
+  updateEarlyWarningScore(measurement) {
+    return this.earlyWarningScorer.update(measurement);
+  }
+
+/**
+ * Forecasts when a channel will cross its (patient-specific) threshold limits.
+ *
+ * Wrapper method:
+ * Allows the forecasting model to be replaced without changing
+ * the orchestration logic.
+ *
+ * @param {Array} window - Smoothed sliding window of the channel
+ * @param {string} measurementType
+ * @param {string} patientId
+ * @returns {Object|null} PREDICTED_BREACH anomaly or null
+ */
+  predictBreach(window, measurementType, patientId) {
+    const limits = this.anomalyDetector.getFirstLimits(measurementType, patientId);
+    return this.forecastDetector.detect(window, measurementType, limits, patientId);
+  }
+
+/**
+ * Compares the latest smoothed value of a channel with the patient's baseline.
+ *
+ * Wrapper method:
+ * Allows the statistical model to be replaced without changing
+ * the orchestration logic.
+ *
+ * @param {Array} window - Smoothed sliding window of the channel
+ * @returns {Array} BASELINE_DEVIATION / CHANGE_POINT anomalies (possibly empty)
+ */
+  detectBaselineDeviation(window) {
+    if (!window.length) return [];
+    return this.statisticalDetector.update(window[window.length - 1]);
+  }
+
+/**
+ * Returns the current early warning score of a patient,
+ * including its per-parameter breakdown.
+ *
+ * @param {string} patientId
+ * @returns {Object|null} Score snapshot or null if no scored vitals were received
+ */
+  getEarlyWarningScore(patientId) {
+    return this.earlyWarningScorer.getScore(patientId);
   }
 
 /**
@@ -140,62 +437,213 @@ class EdgeProcessor {
   }
 
 /**
- * Ingests a single measurement and executes the full processing pipeline:
- * 1. Validation
- * 2. Offline-safe caching of raw data
- * 3. Sliding window update (raw)
- * 4. Anomaly detection using smoothed data
- * 5. Alert generation, debouncing, and delivery
+ * Ingests a single measurement.
+ *
+ * Fields, signal quality and plausibility are checked first; a measurement
+ * that fails them is discarded without reaching the reorder buffer, so it
+ * cannot move the watermark of its stream. The measurement then passes the
+ * reorder buffer: it is held until the
+ * watermark of its stream passes it (`reorder.toleranceMs`), then every
+ * released measurement goes through the processing pipeline in timestamp
+ * order. Measurements later than the tolerance are discarded as `too-late`.
+ *
+ * The result describes the ingested measurement (`status: "buffered"` while
+ * it is held); results of other measurements it released are listed in
+ * `released`.
  *
  * @param {Object} measurement - Raw measurement data
- * @returns {Object} Processing result (status / alert / anomaly)
+ * @returns {Object} Processing result (status / alert / anomaly / alerts / released)
  */
   ingestMeasurement(measurement) {
-    const validation = this.checkQuality(measurement);                                //Validation check                     
-    if (!validation.ok) {
+    const screening = this.checkQuality(measurement);                                 // Only screened measurements may move the watermark.
+    if (!screening.ok) return this._discardMeasurement(measurement, screening);
+    const admission = this.reorderBuffer.push(measurement);
+    if (admission.status === "too-late") {
       warn("Measurement discarded", {
-        reason: validation.reason,
+        reason: "too-late",
+        latenessMs: admission.latenessMs,
         measurement
       });
-      return { status: "discarded", reason: validation.reason };
+      this.quarantineRepository.saveRejection({
+        measurement,
+        reason: "too-late",
+        rule: "reorder.toleranceMs",
+        details: {
+          watermark: admission.watermark,
+          latenessMs: admission.latenessMs,
+          toleranceMs: this.reorderBuffer.getTolerance(measurement.measurementType)
+        }
+      });
+      return { status: "discarded", reason: "too-late", latenessMs: admission.latenessMs };
+    }
+    let result = { status: "buffered", measurement };
+    const released = [];
+    for (const m of admission.released) {
+      const processed = this._processMeasurement(m);
+      if (m === measurement) result = processed;
+      else released.push(processed);
     }
+    return released.length ? { ...result, released } : result;
+  }
+
+/**
+ * Processes measurements held longer than their lateness tolerance, e.g.
+ * the last ones of a stream that stopped sending.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Processing results, in timestamp order per stream
+ */
+  releaseBuffered(now = Date.now()) {
+    return this.reorderBuffer.releaseDue(now).map((m) => this._processMeasurement(m));
+  }
+
+/**
+ * Returns the reorder buffer counters (held, released and too-late measurements).
+ *
+ * @returns {Object} { buffered, released, tooLate, tooLateByStream }
+ */
+  getReorderStats() {
+    return this.reorderBuffer.getStats();
+  }
+
+/**
+ * Releases held measurements every `reorder.flushIntervalMs`.
+ *
+ * @param {Function} [onResults] - Called with the processing results of released measurements
+ */
+  startReorderTimer(onResults = () => {}) {
+    if (this.reorderTimer) return;
+    const intervalMs = (this.cfg.reorder && this.cfg.reorder.flushIntervalMs) || 1000;
+    this.reorderTimer = setInterval(() => {
+      try {
+        const results = this.releaseBuffered();
+        if (results.length) onResults(results);
+      } catch (e) {
+        warn("Releasing buffered measurements failed", { error: e.message });
+      }
+    }, intervalMs).unref();
+  }
+
+/**
+ * Stops the reorder timer.
+ */
+  stopReorderTimer() {
+    clearInterval(this.reorderTimer);
+    this.reorderTimer = null;
+  }
+
+/**
+ * Runs the full processing pipeline for one measurement, in timestamp order:
+ * 1. Validation against the stream: timestamp order and sensor artifacts
+ *    (artifacts raise TECHNICAL alerts, listed in `technicalAlerts`)
+ * 2. Offline-safe caching of raw data
+ * 3. Sliding window update (raw)
+ * 4. Anomaly detection using smoothed data (single-vital and composite rules)
+ *    and early warning score update
+ * 5. Alert generation, debouncing, and delivery
+ *
+ * When several alerts are emitted for one measurement, `alert`/`anomaly`
+ * describe the first one and `alerts` lists all of them.
+ *
+ * @param {Object} measurement - Raw measurement data
+ * @returns {Object} Processing result (status / alert / anomaly / alerts)
+ */
+  _processMeasurement(measurement) {
+    const validation = this.checkSequence(measurement);                               // Quality and structure were checked before the reorder buffer.
+    if (!validation.ok) return this._discardMeasurement(measurement, validation);
+    const technicalAlerts = this._emitTechnicalAlerts(measurement, validation);
+    const technical = technicalAlerts.length ? { technicalAlerts } : {};
+    const resumed = this._checkDataResumed(measurement);                               // A silent stream that sends again resolves its NO_DATA alert.
     this._handleMeasurementDelivery(measurement);                                     // Cache raw measurement before any processing to ensure offline reliability.
-      this.signalProcessor.updateMeasurementWindow(                                   // Processing + window update
-      measurement.patientId,
-      measurement.measurementType,
-      measurement
-    );
     this.historyRepository.saveMeasurement(measurement);                              // Save raw measurement locally
-  const smoothedWindow = this.signalProcessor.getSmoothedWindow(                      // Use smoothed window for analysis only; raw data is preserved in storage.
-  measurement.patientId,
-  measurement.measurementType
-  );
-  const finding =
-  this.analyzeThreshold(smoothedWindow, measurement.measurementType) ||
-  this.detectTrend(smoothedWindow, measurement.measurementType);
-    if (!finding) {                                                                   // Always handle measurement delivery (online/offline)
-      return { status: "ok", measurement };
+    const findings = expandComponents(measurement)                                    // Compound values (e.g. blood pressure) are analysed per component channel.
+      .flatMap((channel) => this._analyzeChannel(channel));
+    const emitted = [];
+    for (const f of findings) {
+      const alert = this._emitAlert(measurement, f);
+      if (alert) emitted.push({ alert, anomaly: f });
     }
-    const canEmit = this.alertManager.applyDebounceRules(                             // Prevent alert flooding by suppressing repeated alerts within a time window.
-      measurement.patientId,
-      finding
-    );
-    if (!canEmit) {
-      return { status: "ok", measurement, note: "debounced" };
+    const resolved = [
+      ...resumed,
+      ...expandComponents(measurement).flatMap((channel) => this._checkConditionCleared(channel))
+    ];
+    if (!emitted.length) {
+      return {
+        status: "ok",
+        measurement,
+        ...(findings.length ? { note: "debounced" } : {}),
+        ...(resolved.length ? { resolved } : {}),
+        ...technical
+      };
     }
-    const alertEvent = this.alertManager.createAlert(
-      measurement.patientId,
-      finding,
-      { measurementType: measurement.measurementType }
-    );
-    const deliveredAlert = this._handleAlertDelivery(alertEvent);
-    this.historyRepository.saveAlert(alertEvent);
-    return { status: "alert", alert: deliveredAlert, anomaly: finding };
+    return {
+      status: "alert",
+      alert: emitted[0].alert,
+      anomaly: emitted[0].anomaly,
+      alerts: emitted.map((e) => e.alert),
+      ...(resolved.length ? { resolved } : {}),
+      ...technical
+    };
   }
+/**
+ * Discards a measurement that failed validation. It is kept in quarantine;
+ * its artifacts are still reported as technical alerts.
+ *
+ * @param {Object} measurement - Raw measurement data
+ * @param {Object} validation - Failed validation result
+ * @returns {Object} Processing result (status "discarded")
+ */
+  _discardMeasurement(measurement, validation) {
+    const technicalAlerts = this._emitTechnicalAlerts(measurement, validation);
+    warn("Measurement discarded", {
+      reason: validation.reason,
+      measurement
+    });
+    this.quarantineRepository.saveRejection({                                          // Kept for device troubleshooting and review.
+      measurement,
+      reason: validation.reason,
+      rule: validation.rule,
+      details: validation.details
+    });
+    return { status: "discarded", reason: validation.reason, ...(technicalAlerts.length ? { technicalAlerts } : {}) };
+  }
+
+  _emitTechnicalAlerts(measurement, validation) {
+    return (validation.artifacts || [])
+      .map((artifact) => this._emitTechnicalAlert(measurement, artifact))
+      .filter(Boolean);
+  }
+/**
+ * Sends all pending events to the backend and waits for acknowledgements.
+ *
+ * @returns {Promise<Object>} Sync report ({ status: "disabled" } without an uplink)
+ */
+  async syncWithBackend() {
+    if (!this.uplinkManager) return { status: "disabled" };
+    return this.uplinkManager.sync();
+  }
+
+/**
+ * Flushes cached events.
+ *
+ * Without an uplink, cached events are returned and removed (legacy
+ * behavior). With an uplink, events are only removed once the backend
+ * acknowledged them, so this starts a sync and reports the pending count.
+ *
+ * @returns {Object} Flush result
+ */
   flushCachedData() {
     if (!this.offlineCacheManager.checkConnectivityStatus()) {
     return { status: "offline", flushed: null };
   }
+    if (this.uplinkManager) {
+      this._scheduleSync();
+      return {
+        status: "syncing",
+        pending: this.offlineCacheManager.getPendingBatch(Infinity).length,
+        cacheStats: this.getOfflineCacheStats()
+      };
+    }
   const events = this.syncCachedEvents();
   const flushed = {                                                                     // Adapter for backward compatibility (tests + legacy API)
     measurements: events
@@ -203,12 +651,15 @@ class EdgeProcessor {
       .map(e => e.payload),
     alerts: events
       .filter(e => e.type === "alert")
+      .map(e => e.payload),
+    summaries: events                                                                   // Downsampled measurements (min/mean/max per bucket)
+      .filter(e => e.type === "summary")
       .map(e => e.payload)
   };
   info("Flushed cached events", {
     totalEvents: events.length
   });
-    return { status: "flushed", flushed };
+    return { status: "flushed", flushed, cacheStats: this.getOfflineCacheStats() };
   }
 
   /**
@@ -216,23 +667,447 @@ class EdgeProcessor {
  * When offline, the measurement is cached locally.
  */
   _handleMeasurementDelivery(measurement) {
+    if (this.uplinkManager) {
+      this.cacheEvent(measurement);                                                     // Outbox: kept until the backend acknowledges it.
+      this._scheduleSync();
+      return;
+    }
     if (this.offlineCacheManager.checkConnectivityStatus()) {
-      // Real system: send to backend (API Gateway). Demo: do nothing.
+      // No uplink configured: nothing to deliver to.
       return;
     }
     this.cacheEvent(measurement);   //modified
   }
 
+/**
+ * Starts a background sync when online and an uplink is configured.
+ * Errors are logged; undelivered events stay in the cache.
+ */
+  _scheduleSync() {
+    if (!this.uplinkManager || !this.offlineCacheManager.checkConnectivityStatus()) return;
+    this.uplinkManager.sync().catch((e) => warn("Uplink sync failed", { error: e.message }));
+  }
+
+/**
+ * Runs window update and detection for a single scalar channel
+ * (a scalar measurement, or one component of a compound measurement).
+ *
+ * @param {Object} channel - Scalar channel measurement
+ * @returns {Array} Findings for this channel (possibly empty)
+ */
+  _analyzeChannel(channel) {
+    this.signalProcessor.updateMeasurementWindow(                                     // Processing + window update
+      channel.patientId,
+      channel.measurementType,
+      channel
+    );
+    const smoothedWindow = this.signalProcessor.getSmoothedWindow(                    // Use smoothed window for analysis only; raw data is preserved in storage.
+      channel.patientId,
+      channel.measurementType
+    );
+    const threshold = this.analyzeThreshold(smoothedWindow, channel.measurementType, channel.patientId);
+    const finding = threshold || this.detectTrend(smoothedWindow, channel.measurementType, channel.patientId);
+    const prediction = threshold ? null : this.predictBreach(smoothedWindow, channel.measurementType, channel.patientId);
+    const findings = [
+      ...(finding ? [finding] : []),
+      ...(prediction ? [prediction] : []),
+      ...this.detectBaselineDeviation(smoothedWindow),
+      ...this.evaluateCompositeRules(channel),                                        // Multi-vital conditions are evaluated on every update of one of their inputs.
+      ...this.updateEarlyWarningScore(channel)
+    ];
+    for (const f of findings) f.configVersion = this.configVersion;                    // Trace every finding to the configuration that produced it.
+    return findings;
+  }
+
+/**
+ * Checks whether every channel of a measurement is within its thresholds.
+ *
+ * Used by the offline cache to decide which measurements may be
+ * downsampled when the queue is full.
+ *
+ * @param {Object} measurement - Raw measurement data
+ * @returns {boolean}
+ */
+  _isNormalRange(measurement) {
+    return expandComponents(measurement).every(
+      (channel) => !this.analyzeThreshold([channel], channel.measurementType, channel.patientId)
+    );
+  }
+
+/**
+ * Returns queue depth and downsampling/eviction counters of the offline cache.
+ *
+ * @returns {Object}
+ */
+  getOfflineCacheStats() {
+    return this.offlineCacheManager.getStats();
+  }
+
+/**
+ * Acknowledges an alert: a caregiver is handling it.
+ *
+ * @param {string} alertId
+ * @param {Object} params
+ * @param {string} params.by - Who acknowledged the alert
+ * @param {string} [params.note]
+ * @returns {Object} Updated alert
+ * @throws {Error} `code` = "NOT_FOUND" or "INVALID_TRANSITION"
+ */
+  acknowledgeAlert(alertId, { by, note } = {}) {
+    return this._transitionAlert(alertId, "ACKNOWLEDGED", { by, note });
+  }
+
+/**
+ * Resolves an alert (closed by a caregiver).
+ *
+ * @param {string} alertId
+ * @param {Object} params
+ * @param {string} params.by - Who resolved the alert
+ * @param {string} [params.note]
+ * @returns {Object} Updated alert
+ * @throws {Error} `code` = "NOT_FOUND" or "INVALID_TRANSITION"
+ */
+  resolveAlert(alertId, { by, note } = {}) {
+    return this._transitionAlert(alertId, "RESOLVED", { by, note });
+  }
+
+/**
+ * Resolves an alert on behalf of the system (the condition cleared).
+ *
+ * @param {string} alertId
+ * @param {string} [note] - Why the alert was resolved
+ * @returns {Object} Updated alert
+ */
+  autoResolveAlert(alertId, note) {
+    return this._transitionAlert(alertId, "AUTO_RESOLVED", { by: "system", note });
+  }
+
+/**
+ * Lists quarantined (rejected) measurements, most recent first, with
+ * counts per reason and per device over the same filters.
+ *
+ * @param {Object} [filter] - { patientId, measurementType, reason, deviceId, from, to, limit }
+ * @returns {Object} { rejections, counts: { total, byReason, byDevice } }
+ */
+  getRejections(filter = {}) {
+    const { limit, ...criteria } = filter;
+    return {
+      rejections: this.quarantineRepository.getRejections(filter),
+      counts: this.quarantineRepository.countRejections(criteria)
+    };
+  }
+
+/**
+ * Lists persisted alerts, most recent first.
+ *
+ * @param {Object} [filter] - { state, patientId, category, limit }
+ * @returns {Array} Alerts
+ */
+  getAlerts(filter) {
+    return this.historyRepository.getAlerts(filter);
+  }
+
+/**
+ * Escalates alerts that stayed unacknowledged past their timeout.
+ *
+ * Each escalated alert is re-raised through the normal delivery path
+ * (published when online, cached when offline) and persisted with its
+ * escalation history.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Escalated alerts
+ */
+  checkEscalations(now = Date.now()) {
+    const escalated = this.escalationEngine.checkDue(now);
+    for (const alert of escalated) {
+      this.historyRepository.updateAlert(alert);
+      this._handleAlertDelivery(alert);
+      const step = alert.escalation.history[alert.escalation.history.length - 1];
+      warn("Alert escalated", { alertId: alert.alertId, severity: alert.severityLevel, recipient: step.toRecipient });
+    }
+    return escalated;
+  }
+
+/**
+ * Periodically checks escalation deadlines (`escalation.checkIntervalMs`).
+ *
+ * @param {Function} [onEscalated] - Called with the escalated alerts of each check
+ */
+  startEscalationTimer(onEscalated = () => {}) {
+    if (this.escalationTimer) return;
+    const intervalMs = (this.cfg.escalation && this.cfg.escalation.checkIntervalMs) || 5000;
+    this.escalationTimer = setInterval(() => {
+      try {
+        const escalated = this.checkEscalations();
+        if (escalated.length) onEscalated(escalated);
+      } catch (e) {
+        warn("Escalation check failed", { error: e.message });
+      }
+    }, intervalMs).unref();
+  }
+
+/**
+ * Stops the escalation timer.
+ */
+  stopEscalationTimer() {
+    clearInterval(this.escalationTimer);
+    this.escalationTimer = null;
+  }
+
+/**
+ * Raises a NO_DATA technical alert for every stream that went silent
+ * past its tolerance.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Raised NO_DATA alerts
+ */
+  checkStreams(now = Date.now()) {
+    const raised = [];
+    for (const stream of this.streamWatchdog.checkSilent(now)) {
+      const anomaly = createAnomaly({
+        anomalyType: "NO_DATA",
+        measurementType: stream.measurementType,
+        observedValue: null,
+        expectedRange: null,
+        detectionTimestamp: new Date(now).toISOString(),
+        message: `No ${stream.measurementType} data for ${Math.round(stream.silentForMs / 1000)}s`,
+        context: stream
+      });
+      const alert = this._emitTechnicalAlert(stream, anomaly);
+      this.streamWatchdog.markAlerted(stream.patientId, stream.measurementType, alert ? alert.alertId : null);
+      if (alert) raised.push(alert);
+    }
+    return raised;
+  }
+
+/**
+ * Applies the retention policy (`retention`) to the local history: raw
+ * measurements are replaced by minute and hour rollups, expired rollups,
+ * alerts and quarantined measurements are deleted.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Object} What was pruned per data class (see HistoryRepository.compact)
+ */
+  compactHistory(now = Date.now()) {
+    const retention = this.cfg.retention || {};
+    if (!retention.enabled) return { status: "disabled" };
+    const report = this.historyRepository.compact(retention, now);
+    if (retention.rejectionsMs) report.rejections = this.quarantineRepository.prune(now - retention.rejectionsMs);
+    this.lastCompaction = report;
+    info("History compacted", report);
+    return report;
+  }
+
+/**
+ * Starts compacting the history every `retention.compactionIntervalMs`.
+ *
+ * @param {Function} [onReport] - Called with every compaction report
+ */
+  startCompactionTimer(onReport = () => {}) {
+    if (this.compactionTimer) return;
+    const intervalMs = (this.cfg.retention && this.cfg.retention.compactionIntervalMs) || 3600000;
+    this.compactionTimer = setInterval(() => {
+      try {
+        onReport(this.compactHistory());
+      } catch (e) {
+        warn("History compaction failed", { error: e.message });
+      }
+    }, intervalMs).unref();
+  }
+
+/**
+ * Stops the compaction timer.
+ */
+  stopCompactionTimer() {
+    clearInterval(this.compactionTimer);
+    this.compactionTimer = null;
+  }
+
+/**
+ * Returns the age of the latest value of every stream of a patient and
+ * whether it is stale (silent past its tolerance).
+ *
+ * @param {string} patientId
+ * @param {number} [now=Date.now()]
+ * @returns {Object} { TYPE: { lastAt, ageMs, expectedIntervalMs, stale } }
+ */
+  getStreamStatus(patientId, now = Date.now()) {
+    return this.streamWatchdog.getStatus(patientId, now);
+  }
+
+/**
+ * Starts checking for silent streams every `watchdog.checkIntervalMs`.
+ *
+ * @param {Function} [onAlerts] - Called with newly raised NO_DATA alerts
+ */
+  startWatchdogTimer(onAlerts = () => {}) {
+    if (this.watchdogTimer) return;
+    const intervalMs = (this.cfg.watchdog && this.cfg.watchdog.checkIntervalMs) || 5000;
+    this.watchdogTimer = setInterval(() => {
+      try {
+        const raised = this.checkStreams();
+        if (raised.length) onAlerts(raised);
+      } catch (e) {
+        warn("Stream watchdog check failed", { error: e.message });
+      }
+    }, intervalMs).unref();
+  }
+
+/**
+ * Stops the watchdog timer.
+ */
+  stopWatchdogTimer() {
+    clearInterval(this.watchdogTimer);
+    this.watchdogTimer = null;
+  }
+
+  _checkDataResumed(measurement) {
+    const alertId = this.streamWatchdog.observe(measurement);
+    if (!alertId) return [];
+    let alert;
+    try {
+      alert = this.autoResolveAlert(alertId, `${measurement.measurementType} data resumed`);
+    } catch (e) {
+      return [];                                                                        // Already resolved by a caregiver in the meantime.
+    }
+    const resolution = this.alertManager.createResolution(alert, { measurementType: measurement.measurementType });
+    this._handleAlertDelivery(resolution);
+    return [resolution];
+  }
+
+  _transitionAlert(alertId, toState, params) {
+    if (!params.by) throw new Error("missing 'by' (who made the transition)");
+    const current = this.historyRepository.getAlert(alertId);
+    if (!current) {
+      const err = new Error(`unknown alert: ${alertId}`);
+      err.code = "NOT_FOUND";
+      throw err;
+    }
+    const updated = this.alertManager.transitionAlert(current, toState, params);
+    this.escalationEngine.untrack(alertId);                                               // Only unacknowledged (ACTIVE) alerts escalate.
+    if (toState === "RESOLVED" || toState === "AUTO_RESOLVED") this.conditionTracker.closeByAlert(alertId);
+    this.historyRepository.updateAlert(updated);
+    info("Alert state changed", { alertId, state: toState, by: params.by });
+    return updated;
+  }
+
+/**
+ * Turns an anomaly into a delivered and persisted alert, unless it is debounced.
+ *
+ * @param {Object} measurement - Measurement that triggered the anomaly
+ * @param {Object} anomaly - Detected anomaly
+ * @returns {Object|null} Delivered alert, or null if suppressed
+ */
+  _emitAlert(measurement, anomaly) {
+    const patientId = measurement.patientId;
+    const rule = anomaly.context && anomaly.context.rule;                               // Only threshold anomalies carry a rule and open a condition.
+    const condition = rule ? this.conditionTracker.get(patientId, anomaly.measurementType) : null;
+    if (
+      condition &&
+      condition.direction === rule.direction &&                                         // A reversal (e.g. tachycardia to bradycardia) is a new condition.
+      !this.alertManager.isMoreSevere(this.alertManager.classifySeverity(anomaly, patientId), condition.severity)
+    ) {
+      return null;                                                                      // Hysteresis: the condition is still open, do not re-alert.
+    }
+    const canEmit = this.alertManager.applyDebounceRules(                             // Prevent alert flooding by suppressing repeated alerts within a time window.
+      patientId,
+      anomaly
+    );
+    if (!canEmit) return null;
+    const alertEvent = this.escalationEngine.track(                                   // Starts the acknowledgement deadline at the first tier of the chain.
+      this.alertManager.createAlert(
+        patientId,
+        anomaly,
+        { measurementType: measurement.measurementType }
+      )
+    );
+    const deliveredAlert = this._handleAlertDelivery(alertEvent);
+    this.historyRepository.saveAlert(alertEvent);
+    if (rule) {
+      if (condition) this._supersedeAlert(condition.alertId, alertEvent.alertId);       // Worsening or reversal: the new alert takes over the condition.
+      this.conditionTracker.open(patientId, anomaly.measurementType, {
+        alertId: alertEvent.alertId,
+        direction: rule.direction,
+        severity: alertEvent.severityLevel,
+        at: toMs(measurement.timestamp)
+      });
+    }
+    return deliveredAlert;
+  }
+
+/**
+ * Raises a TECHNICAL alert (sensor artifact, probe off).
+ *
+ * Technical alerts are debounced, delivered and persisted like clinical
+ * ones, but they are not escalated and never open a clinical condition.
+ *
+ * @param {Object} measurement - Measurement the artifact was found in
+ * @param {Object} anomaly - SENSOR_ARTIFACT or PROBE_OFF finding
+ * @returns {Object|null} Delivered alert, or null if debounced
+ */
+  _emitTechnicalAlert(measurement, anomaly) {
+    anomaly.configVersion = this.configVersion;
+    if (!this.alertManager.applyDebounceRules(measurement.patientId, anomaly)) return null;
+    const alertEvent = this.alertManager.createAlert(
+      measurement.patientId,
+      anomaly,
+      { measurementType: measurement.measurementType }
+    );
+    const deliveredAlert = this._handleAlertDelivery(alertEvent);
+    this.historyRepository.saveAlert(alertEvent);
+    return deliveredAlert;
+  }
+
+/**
+ * Resolves a channel's open condition once its value stayed in the clear
+ * band long enough: the alert becomes AUTO_RESOLVED and a RESOLVED event
+ * is delivered (published online, cached offline).
+ *
+ * @param {Object} channel - Single-channel measurement
+ * @returns {Array} RESOLVED events (empty or one)
+ */
+  _checkConditionCleared(channel) {
+    const { patientId, measurementType } = channel;
+    const condition = this.conditionTracker.get(patientId, measurementType);
+    if (!condition) return [];
+    const smoothed = this.signalProcessor.getSmoothedWindow(patientId, measurementType);
+    const value = smoothed.length ? smoothed[smoothed.length - 1].value : channel.value;  // Same value the threshold detector looked at.
+    const inClearBand = this.anomalyDetector.isInClearBand(value, measurementType, condition.direction, patientId);
+    const cleared = this.conditionTracker.observe(patientId, measurementType, inClearBand, toMs(channel.timestamp));
+    if (!cleared) return [];
+    let alert;
+    try {
+      alert = this.autoResolveAlert(cleared.alertId, `${measurementType} back in range (${value})`);
+    } catch (e) {
+      return [];                                                                        // Already resolved by a caregiver in the meantime.
+    }
+    const resolution = this.alertManager.createResolution(alert, { measurementType, value });
+    this._handleAlertDelivery(resolution);
+    return [resolution];
+  }
+
+  _supersedeAlert(alertId, byAlertId) {
+    try {
+      this._transitionAlert(alertId, "AUTO_RESOLVED", { by: "system", note: `superseded by ${byAlertId}` });
+    } catch (e) {
+      // Already acknowledged-and-resolved or resolved: nothing to supersede.
+    }
+  }
+
 /**
  * Handles alert delivery.
- * Alerts are published immediately when online or cached when offline.
+ * Alerts are queued for the backend (outbox, or offline cache when
+ * offline) and always published to the local notification sinks, which
+ * do not depend on the uplink.
  */
   _handleAlertDelivery(alertEvent) {
-    if (this.offlineCacheManager.checkConnectivityStatus()) {
-      return this.alertManager.publishAlert(alertEvent);
+    if (this.uplinkManager) {
+      this.offlineCacheManager.storeAlert(alertEvent);                                 // Outbox: kept until the backend acknowledges it.
+      this._scheduleSync();
+    } else if (!this.offlineCacheManager.checkConnectivityStatus()) {
+      this.offlineCacheManager.storeAlert(alertEvent);
     }
-    this.offlineCacheManager.storeAlert(alertEvent);
-    return alertEvent;
+    return this.alertManager.publishAlert(alertEvent);
   }
 }
 module.exports = EdgeProcessor;
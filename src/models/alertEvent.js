@@ -1,3 +1,29 @@
+/**
+ * Alert lifecycle states.
+ *
+ * ACTIVE        – raised, nobody has reacted yet
+ * ACKNOWLEDGED  – a caregiver is handling it
+ * RESOLVED      – closed by a caregiver
+ * AUTO_RESOLVED – closed by the system (condition cleared)
+ */
+const ALERT_STATES = ["ACTIVE", "ACKNOWLEDGED", "RESOLVED", "AUTO_RESOLVED"];
+
+/**
+ * Allowed state transitions. RESOLVED and AUTO_RESOLVED are final.
+ */
+const ALERT_TRANSITIONS = {
+  ACTIVE: ["ACKNOWLEDGED", "RESOLVED", "AUTO_RESOLVED"],
+  ACKNOWLEDGED: ["RESOLVED", "AUTO_RESOLVED"],
+  RESOLVED: [],
+  AUTO_RESOLVED: []
+};
+
+/**
+ * Alert types about the monitoring equipment rather than the patient.
+ * They are raised as TECHNICAL alerts, separate from CLINICAL ones.
+ */
+const TECHNICAL_ALERT_TYPES = ["SENSOR_ARTIFACT", "PROBE_OFF", "NO_DATA"];
+
 /**
  * Creates an alert event object.
  *
@@ -8,10 +34,17 @@
  * @param {string} params.alertId - Unique alert identifier
  * @param {string} params.patientId - Patient identifier
  * @param {string} params.alertType - Type of alert/anomaly
+ * @param {string} [params.category] - "CLINICAL" or "TECHNICAL" (derived from the alert type by default)
  * @param {string} params.severityLevel - Severity level
  * @param {string} params.timestamp - ISO timestamp of alert creation
  * @param {Object} params.associatedAnomaly - Anomaly that triggered the alert
  * @param {Object} [params.contextualMetadata] - Optional contextual data
+ * @param {number} [params.configVersion] - Configuration version the alert was raised with
+ * @param {string} [params.state="ACTIVE"] - Lifecycle state
+ * @param {Array} [params.transitions] - State transitions ({ from, to, by, at, note? })
+ *
+ * Alerts awaiting acknowledgement additionally carry an `escalation` state
+ * ({ tier, recipient, dueAt, history }) attached by the EscalationEngine.
  *
  * @returns {Object} Alert event
  */
@@ -19,20 +52,28 @@ function createAlertEvent({
     alertId,
     patientId,
     alertType,
+    category = TECHNICAL_ALERT_TYPES.includes(alertType) ? "TECHNICAL" : "CLINICAL",
     severityLevel,
     timestamp,
     associatedAnomaly,
-    contextualMetadata = {}
+    contextualMetadata = {},
+    configVersion,
+    state = "ACTIVE",
+    transitions = [{ from: null, to: "ACTIVE", by: "system", at: timestamp }]
   }) {
     return {
       alertId,
       patientId,
       alertType,
+      category,
       severityLevel,
       timestamp,
       associatedAnomaly,
-      contextualMetadata
+      contextualMetadata,
+      configVersion,
+      state,
+      transitions
     };
   }
-  module.exports = { createAlertEvent };
+  module.exports = { createAlertEvent, ALERT_STATES, ALERT_TRANSITIONS, TECHNICAL_ALERT_TYPES };
   
\ No newline at end of file
@@ -12,6 +12,8 @@
  * @param {string} params.detectionTimestamp - ISO timestamp of detection
  * @param {string} params.message - Human-readable description
  * @param {Object} params.context - Additional anomaly context
+ * @param {string} [params.severity] - Severity suggested by the matching rule (optional)
+ * @param {number} [params.configVersion] - Configuration version used for detection (optional)
  *
  * @returns {Object} Anomaly object
  */
@@ -22,7 +24,9 @@ function createAnomaly({
     expectedRange,
     detectionTimestamp,
     message,
-    context
+    context,
+    severity,
+    configVersion
   }) {
     return {
       anomalyType,
@@ -31,7 +35,9 @@ function createAnomaly({
       expectedRange,
       detectionTimestamp,
       message,
-      context
+      context,
+      severity,
+      configVersion
     };
   }
   
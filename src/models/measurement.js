@@ -1,13 +1,18 @@
 /**
  * Creates a raw measurement object.
  *
+ * The value is either a single number (e.g. HEART_RATE) or, for compound
+ * measurement types, an object of numeric components
+ * (e.g. BLOOD_PRESSURE: { systolic, diastolic, map }).
+ *
  * @param {Object} params
  * @param {string} params.measurementId - Unique measurement identifier
  * @param {string} params.patientId - Patient identifier
  * @param {string} params.measurementType - Type of measurement
- * @param {number} params.value - Measured value
+ * @param {number|Object} params.value - Measured value or compound components
  * @param {string} params.timestamp - ISO timestamp of measurement
  * @param {number} [params.signalQuality=1.0] - Signal quality indicator
+ * @param {string} [params.deviceId] - Reporting device (e.g. a pulse oximeter serial)
  *
  * @returns {Object} Measurement object
  */
@@ -17,7 +22,8 @@ function createMeasurement({
     measurementType,
     value,
     timestamp,
-    signalQuality = 1.0
+    signalQuality = 1.0,
+    deviceId
   }) {
     return {
       measurementId,
@@ -25,8 +31,73 @@ function createMeasurement({
       measurementType,
       value,
       timestamp,
-      signalQuality
+      signalQuality,
+      ...(deviceId ? { deviceId } : {})
     };
   }
-  module.exports = { createMeasurement };
-  
\ No newline at end of file
+/**
+ * Components that can be derived from other components when the device
+ * does not report them (e.g. mean arterial pressure).
+ */
+const DERIVED_COMPONENTS = {
+  BLOOD_PRESSURE: {
+    map: (v) =>
+      typeof v.systolic === "number" && typeof v.diastolic === "number"
+        ? Math.round(((v.systolic + 2 * v.diastolic) / 3) * 10) / 10
+        : undefined
+  }
+};
+/**
+ * Returns true if a measurement value is compound (an object of components).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCompoundValue(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+/**
+ * Builds the channel key of a measurement component.
+ *
+ * Channels are how components flow through windows and detectors:
+ * a scalar type is its own channel, a component is `TYPE.component`
+ * (e.g. `BLOOD_PRESSURE.systolic`). Configuration uses the same keys.
+ *
+ * @param {string} measurementType
+ * @param {string} [component]
+ * @returns {string} Channel key
+ */
+function channelKey(measurementType, component) {
+  return component ? `${measurementType}.${component}` : measurementType;
+}
+/**
+ * Expands a measurement into one scalar measurement per channel.
+ *
+ * Scalar measurements are returned unchanged. Compound measurements are
+ * split into component measurements that keep every original field,
+ * carry the channel key as `measurementType`, and reference their
+ * `parentType` and `component`. Derivable components that were not
+ * reported (e.g. MAP) are computed.
+ *
+ * @param {Object} measurement - Validated measurement
+ * @returns {Array} Scalar channel measurements
+ */
+function expandComponents(measurement) {
+  if (!isCompoundValue(measurement.value)) return [measurement];
+  const value = { ...measurement.value };
+  const derived = DERIVED_COMPONENTS[measurement.measurementType] || {};
+  for (const [component, derive] of Object.entries(derived)) {
+    if (value[component] === undefined) {
+      const v = derive(value);
+      if (v !== undefined) value[component] = v;
+    }
+  }
+  return Object.entries(value).map(([component, v]) => ({
+    ...measurement,
+    measurementType: channelKey(measurement.measurementType, component),
+    value: v,
+    parentType: measurement.measurementType,
+    component
+  }));
+}
+  module.exports = { createMeasurement, isCompoundValue, channelKey, expandComponents };
@@ -1,3 +1,4 @@
+const { createAlertEvent, ALERT_TRANSITIONS } = require("../models/alertEvent");
 /**
  * AlertManager
  * -------------
@@ -5,6 +6,7 @@
  * - Determining alert severity based on configurable policies
  * - Preventing alert flooding using debounce rules
  * - Creating alert event objects
+ * - Moving alerts through their lifecycle (ACTIVE → ACKNOWLEDGED → RESOLVED)
  *
  * This module does not decide when an anomaly occurs,
  * but handles how alerts are generated and managed.
@@ -15,34 +17,86 @@ class AlertManager {
  *
  * Design notes:
  * - Debounce state is tracked per patient, measurement type, and anomaly type.
+ * - A more severe alert than the last one of the same key is never debounced.
  * - Severity is policy-driven and configurable (not hardcoded).
+ * - Severity policy and debounce interval can be overridden per patient or
+ *   cohort; overrides are resolved from the profile store when alerting.
+ * - Published alerts are handed to an optional notifier (notification sinks).
  */
 
-  constructor({ debounceMs, severityPolicy = {} }) {
+  constructor({
+    debounceMs,
+    severityPolicy = {},
+    profileStore = null,
+    notifier = null,
+    severityLevels = ["LOW", "MEDIUM", "HIGH", "CRITICAL"]
+  }) {
     this.debounceMs = debounceMs;
+    this.severityLevels = severityLevels;
     this.severityPolicy = severityPolicy;
+    this.profileStore = profileStore;
+    this.notifier = notifier;
     this.lastAlertByKey = new Map();
   }
+  /**
+ * Replaces the alerting configuration at runtime.
+ *
+ * Debounce state is kept, so a configuration change never re-emits
+ * alerts that were already raised.
+ *
+ * @param {Object} params
+ * @param {number} params.debounceMs
+ * @param {Object} [params.severityPolicy]
+ * @param {string[]} [params.severityLevels] - Severity levels, lowest first
+ */
+  reconfigure({ debounceMs, severityPolicy = {}, severityLevels }) {
+    this.debounceMs = debounceMs;
+    this.severityPolicy = severityPolicy;
+    if (severityLevels) this.severityLevels = severityLevels;
+  }
+  _overridesFor(patientId) {
+    if (!this.profileStore || !patientId) return {};
+    return this.profileStore.resolveOverrides(patientId);
+  }
 /**
  * Determines the severity level of an alert based on configuration.
  *
- * Severity is derived from the measurement type and resolved using
- * a configurable policy. If no policy is defined, a default level
- * of MEDIUM is used.
+ * A severity attached to the anomaly by its detection rule (e.g. a
+ * configured threshold band) takes precedence. Otherwise severity is
+ * derived from the measurement type and resolved using a configurable
+ * policy (patient/cohort policy first, then the global one). If no
+ * policy is defined, a default level of MEDIUM is used.
  *
  * @param {Object} anomaly - Detected anomaly
+ * @param {string} [patientId]
  * @returns {string} Severity level
  */
-  classifySeverity(anomaly) {
+  classifySeverity(anomaly, patientId) {
+    const patientPolicy = this._overridesFor(patientId).severityPolicy || {};
     return (
-      this.severityPolicy[anomaly.measurementType] || "MEDIUM"
+      anomaly.severity ||
+      patientPolicy[anomaly.measurementType] ||
+      this.severityPolicy[anomaly.measurementType] ||
+      "MEDIUM"
     );
   }
+/**
+ * Compares two severity levels.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if `a` is more severe than `b`
+ */
+  isMoreSevere(a, b) {
+    return this.severityLevels.indexOf(a) > this.severityLevels.indexOf(b);
+  }
 /**
  * Applies debounce rules to prevent alert flooding.
  *
  * Alerts are suppressed if the same alert (per patient, measurement type,
- * and anomaly type) was emitted within the configured debounce interval.
+ * and anomaly type) was emitted within the configured debounce interval,
+ * unless the new alert is more severe (a worsening condition is never
+ * suppressed).
  *
  * @param {string} patientId
  * @param {Object} anomaly
@@ -52,10 +106,12 @@ class AlertManager {
     const key = `${patientId}|${anomaly.measurementType}|${anomaly.anomalyType}`;                   // Composite key ensures debounce is applied per specific alert type and patient.
     const now = Date.now();
     const last = this.lastAlertByKey.get(key);
+    const debounceMs = this._overridesFor(patientId).debounceMs ?? this.debounceMs;
+    const severity = this.classifySeverity(anomaly, patientId);
 
-    if (last && now - last < this.debounceMs) return false;
+    if (last && now - last.at < debounceMs && !this.isMoreSevere(severity, last.severity)) return false;
 
-    this.lastAlertByKey.set(key, now);
+    this.lastAlertByKey.set(key, { at: now, severity });
     return true;
   }
 /**
@@ -70,27 +126,81 @@ class AlertManager {
  * @returns {Object} Alert event
  */
   createAlert(patientId, anomaly, patientContext = {}) {
-    return {
-      alertId: `A-${Date.now()}`,
+    return createAlertEvent({
+      alertId: `A-${Date.now()}-${Math.floor(Math.random() * 1000)}`,             // Several alerts may be created for one measurement (e.g. composite rules).
       patientId,
       alertType: anomaly.anomalyType,
-      severityLevel: this.classifySeverity(anomaly),
+      severityLevel: this.classifySeverity(anomaly, patientId),
       timestamp: new Date().toISOString(),
       associatedAnomaly: anomaly,
-      contextualMetadata: patientContext
+      contextualMetadata: patientContext,
+      configVersion: anomaly.configVersion                                           // Configuration version the anomaly was detected with
+    });
+  }
+/**
+ * Creates the RESOLVED event that announces the end of an alert's condition.
+ *
+ * It is delivered like an alert (published online, cached offline) and
+ * linked to the original alert through `resolvesAlertId`.
+ *
+ * @param {Object} alertEvent - Alert being resolved
+ * @param {Object} [context] - Additional metadata (e.g. value that cleared the condition)
+ * @returns {Object} Resolution event
+ */
+  createResolution(alertEvent, context = {}) {
+    return {
+      alertId: `R-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      patientId: alertEvent.patientId,
+      alertType: "RESOLVED",
+      severityLevel: alertEvent.severityLevel,
+      timestamp: new Date().toISOString(),
+      resolvesAlertId: alertEvent.alertId,
+      resolvedAlertType: alertEvent.alertType,
+      contextualMetadata: { ...alertEvent.contextualMetadata, ...context },
+      configVersion: alertEvent.configVersion
+    };
+  }
+/**
+ * Moves an alert to a new lifecycle state.
+ *
+ * The transition (who, when, optional note) is appended to the alert's
+ * `transitions`, so the full handling history stays with the alert.
+ *
+ * @param {Object} alertEvent - Current alert
+ * @param {string} toState - Target state
+ * @param {Object} params
+ * @param {string} params.by - Who made the transition (user id or "system")
+ * @param {string} [params.note]
+ * @param {string} [params.at] - ISO timestamp (defaults to now)
+ * @returns {Object} Updated alert (new object)
+ * @throws {Error} If the transition is not allowed (`code` = "INVALID_TRANSITION")
+ */
+  transitionAlert(alertEvent, toState, { by, note, at = new Date().toISOString() }) {
+    const from = alertEvent.state || "ACTIVE";                                      // Alerts stored before lifecycle tracking are treated as ACTIVE.
+    if (!(ALERT_TRANSITIONS[from] || []).includes(toState)) {
+      const err = new Error(`cannot move alert ${alertEvent.alertId} from ${from} to ${toState}`);
+      err.code = "INVALID_TRANSITION";
+      throw err;
+    }
+    const transition = { from, to: toState, by, at, ...(note ? { note } : {}) };
+    return {
+      ...alertEvent,
+      state: toState,
+      transitions: [...(alertEvent.transitions || []), transition]
     };
   }
 /**
  * Publishes an alert event.
  *
- * In the current implementation (v1), this method returns the alert
- * object directly. In future versions, this method may forward the alert
- * to external systems or notification services.
+ * The alert is forwarded to the notifier (see NotificationDispatcher),
+ * which queues it for the routed sinks and returns immediately, so
+ * notification delivery never delays ingestion.
  *
  * @param {Object} alertEvent
  * @returns {Object} Published alert
  */
   publishAlert(alertEvent) {
+    if (this.notifier) this.notifier.dispatch(alertEvent);
     return alertEvent;
   }
 }
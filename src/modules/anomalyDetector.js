@@ -1,6 +1,70 @@
-const { slope } = require("../utils/stats");
-const { nowIso } = require("../utils/time");
+const { slopePerMinute } = require("../utils/stats");
+const { nowIso, toMs } = require("../utils/time");
 const { createAnomaly } = require("../models/anomaly");
+
+/**
+ * Builds the list of threshold rules for a measurement type.
+ *
+ * Explicit `rules` in configuration take precedence. Otherwise the
+ * `min`/`max` pair is expanded into one LOW and one HIGH rule, using the
+ * optional `inclusive` flag (default: exclusive bounds).
+ *
+ * @param {Object} t - Threshold configuration for one measurement type
+ * @returns {Array} Normalized rules
+ */
+function resolveThresholdRules(t) {
+  if (Array.isArray(t.rules)) {
+    return t.rules.map((r) => ({
+      direction: r.direction,
+      limit: r.limit,
+      inclusive: !!r.inclusive,
+      anomalyType: r.anomalyType || (r.direction === "LOW" ? "THRESHOLD_LOW" : "THRESHOLD_HIGH"),
+      severity: r.severity
+    }));
+  }
+  const rules = [];
+  if (typeof t.min === "number") {
+    rules.push({ direction: "LOW", limit: t.min, inclusive: !!t.inclusive, anomalyType: "THRESHOLD_LOW" });
+  }
+  if (typeof t.max === "number") {
+    rules.push({ direction: "HIGH", limit: t.max, inclusive: !!t.inclusive, anomalyType: "THRESHOLD_HIGH" });
+  }
+  return rules;
+}
+
+/**
+ * Checks whether a value violates a single threshold rule.
+ *
+ * @param {Object} rule
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isViolated(rule, value) {
+  if (rule.direction === "LOW") {
+    return rule.inclusive ? value <= rule.limit : value < rule.limit;
+  }
+  return rule.inclusive ? value >= rule.limit : value > rule.limit;
+}
+
+/**
+ * Selects the most extreme violated rule: the lowest LOW limit or the
+ * highest HIGH limit.
+ *
+ * @param {Array} rules - Violated rules
+ * @returns {Object|null}
+ */
+function pickMostExtreme(rules) {
+  let best = null;
+  for (const r of rules) {
+    if (!best) {
+      best = r;
+      continue;
+    }
+    const distance = (x) => (x.direction === "LOW" ? -x.limit : x.limit);
+    if (distance(r) > distance(best)) best = r;
+  }
+  return best;
+}
 /**
  * AnomalyDetector
  * ----------------
@@ -13,79 +77,162 @@ const { createAnomaly } = require("../models/anomaly");
 class AnomalyDetector {
   /**
  * Initializes the anomaly detector.
+ *
+ * Design notes:
+ * - Global thresholds and trend slopes can be overridden per patient or
+ *   cohort; overrides are resolved from the profile store at detection time.
+ *
+ * @param {Object} params
+ * @param {Object} params.thresholds - Global thresholds per measurement type
+ * @param {Object} params.trendConfig - Global trend configuration
+ * @param {Object} [params.profileStore] - Provides resolveOverrides(patientId)
+ */
+  constructor({ thresholds, trendConfig, profileStore = null }) {
+    this.thresholds = thresholds;
+    this.trendConfig = trendConfig;
+    this.profileStore = profileStore;
+  }
+  /**
+ * Replaces the global detection configuration at runtime.
+ *
+ * @param {Object} params
+ * @param {Object} params.thresholds
+ * @param {Object} params.trendConfig
  */
-  constructor({ thresholds, trendConfig }) {
+  reconfigure({ thresholds, trendConfig }) {
     this.thresholds = thresholds;
     this.trendConfig = trendConfig;
   }
+  /**
+ * Returns the threshold configuration that applies to a patient.
+ *
+ * @param {string} measurementType
+ * @param {string} [patientId]
+ * @returns {Object|undefined}
+ */
+  resolveThreshold(measurementType, patientId) {
+    const overrides = this._overridesFor(patientId);
+    return (overrides.thresholds || {})[measurementType] || this.thresholds[measurementType];
+  }
+  /**
+ * Returns the trend slope limit that applies to a patient.
+ *
+ * @param {string} measurementType
+ * @param {string} [patientId]
+ * @returns {number|undefined}
+ */
+  resolveSlopeThreshold(measurementType, patientId) {
+    const overrides = this._overridesFor(patientId);
+    const limit = (overrides.slopeThresholds || {})[measurementType];
+    return limit !== undefined ? limit : this.trendConfig.slopeThresholds[measurementType];
+  }
+  _overridesFor(patientId) {
+    if (!this.profileStore || !patientId) return {};
+    return this.profileStore.resolveOverrides(patientId);
+  }
 
   /**
  * Detects threshold-based anomalies using the latest value
  * in the sliding window.
  *
+ * Every measurement type is checked in both directions. The rules
+ * (direction, limit, bound inclusivity, anomaly type and optional severity)
+ * come from configuration; when several rules match, the most extreme
+ * band wins (e.g. HR > 150 takes precedence over HR > 120).
+ *
  * @param {Array} window - Sliding window of raw measurements
  * @param {string} measurementType
+ * @param {string} [patientId] - Used to resolve patient-specific thresholds
  * @returns {Object|null} Detected anomaly or null
  */
-  detectThresholdAnomaly(window, measurementType) {
+  detectThresholdAnomaly(window, measurementType, patientId) {
     if (!window.length) return null;
-    const t = this.thresholds[measurementType];
+    const t = this.resolveThreshold(measurementType, patientId);
     if (!t) return null;
     const last = window[window.length - 1];
-    if (measurementType === "SPO2" && last.value < t.min) {
-      return createAnomaly({
-        anomalyType: "THRESHOLD_LOW",
-        measurementType,
-        observedValue: last.value,
-        expectedRange: t,
-        detectionTimestamp: nowIso(),
-        message: `${measurementType} too low`,
-        context: { last }
-      });
+    const rule = pickMostExtreme(
+      resolveThresholdRules(t).filter((r) => isViolated(r, last.value))
+    );
+    if (!rule) return null;
+    return createAnomaly({
+      anomalyType: rule.anomalyType,
+      measurementType,
+      observedValue: last.value,
+      expectedRange: { min: t.min, max: t.max },
+      detectionTimestamp: nowIso(),
+      message: `${measurementType} too ${rule.direction === "LOW" ? "low" : "high"}`,
+      context: { last, rule },
+      severity: rule.severity
+    });
+  }
+/**
+ * Checks whether a value is inside the clear band of a threshold condition.
+ *
+ * The clear band comes from `thresholds.<type>.clear` (`max` for HIGH
+ * conditions, `min` for LOW ones), e.g. alert above 120 but clear only
+ * below 110. Without a clear band the normal range bound is used.
+ *
+ * @param {number} value
+ * @param {string} measurementType
+ * @param {string} direction - "LOW" or "HIGH"
+ * @param {string} [patientId]
+ * @returns {boolean}
+ */
+  isInClearBand(value, measurementType, direction, patientId) {
+    const t = this.resolveThreshold(measurementType, patientId);
+    if (!t) return true;
+    const bound = direction === "HIGH" ? "max" : "min";
+    let limit = t.clear && typeof t.clear[bound] === "number" ? t.clear[bound] : t[bound];
+    if (typeof limit !== "number") {
+      const limits = resolveThresholdRules(t).filter((r) => r.direction === direction).map((r) => r.limit);
+      if (!limits.length) return true;
+      limit = direction === "HIGH" ? Math.min(...limits) : Math.max(...limits);
     }
-    if (
-      measurementType === "HEART_RATE" && last.value > t.max
-    ) {    
-      return createAnomaly({
-        anomalyType: "THRESHOLD_HIGH",
-        measurementType,
-        observedValue: last.value,
-        expectedRange: t,
-        detectionTimestamp: nowIso(),
-        message: `${measurementType} too high`,
-        context: { last }
-      });
+    return direction === "HIGH" ? value < limit : value > limit;
+  }
+/**
+ * Returns, per direction, the threshold rule a value reaches first:
+ * the highest LOW limit and the lowest HIGH limit.
+ *
+ * @param {string} measurementType
+ * @param {string} [patientId]
+ * @returns {Object} { LOW: rule|null, HIGH: rule|null }
+ */
+  getFirstLimits(measurementType, patientId) {
+    const t = this.resolveThreshold(measurementType, patientId);
+    const limits = { LOW: null, HIGH: null };
+    if (!t) return limits;
+    for (const r of resolveThresholdRules(t)) {
+      const current = limits[r.direction];
+      if (!current || (r.direction === "HIGH" ? r.limit < current.limit : r.limit > current.limit)) {
+        limits[r.direction] = r;
+      }
     }
-    if (measurementType === "TEMPERATURE" && last.value >= t.max) {
-      return createAnomaly({
-        anomalyType: "THRESHOLD_HIGH",
-        measurementType,
-        observedValue: last.value,
-        expectedRange: t,
-        detectionTimestamp: nowIso(),
-        message: `${measurementType} too high`,
-        context: { last }
-      });
-    }    
-    return null;
+    return limits;
   }
 /**
- * Detects trend-based anomalies using linear regression slope
- * over the sliding window.
+ * Detects trend-based anomalies using a linear regression of the window
+ * values against their timestamps.
+ *
+ * The slope is expressed in units per minute, like `trend.slopeThresholds`.
+ * Windows spanning less than `trend.minSpanMs` are not evaluated, since a
+ * slope over a few seconds says little about the clinical trend.
  *
  * @param {Array} window - Sliding window of measurements
  * @param {string} measurementType
+ * @param {string} [patientId] - Used to resolve patient-specific slope limits
  * @returns {Object|null} Detected anomaly or null
  */
-  detectTrendAnomaly(window, measurementType) {
+  detectTrendAnomaly(window, measurementType, patientId) {
     if (window.length < this.trendConfig.minPoints) return null;
-    const values = window.map((m) => m.value);
-    const s = slope(values);                                                             // Compute linear trend (slope) over the sliding window values.
-    const limit = this.trendConfig.slopeThresholds[measurementType];
+    const spanMs = toMs(window[window.length - 1].timestamp) - toMs(window[0].timestamp);
+    if (spanMs < (this.trendConfig.minSpanMs || 0)) return null;
+    const s = slopePerMinute(window);                                                    // Compute linear trend (units per minute) over the sliding window.
+    const limit = this.resolveSlopeThreshold(measurementType, patientId);
     if (limit === undefined) return null;
-    const badTrend =                                                                     // For SPO2, decreasing trends are dangerous; for other metrics, increasing trends are critical.
-      (measurementType === "SPO2" && s <= limit) ||
-      (measurementType !== "SPO2" && s >= limit);
+    const badTrend =                                                                     // A negative limit flags falling trends (e.g. SPO2), a positive limit flags rising trends.
+      (limit < 0 && s <= limit) ||
+      (limit >= 0 && s >= limit);
     if (!badTrend) return null;
     const last = window[window.length - 1];                                              // Evaluate only the most recent measurement
     return createAnomaly({
@@ -94,8 +241,8 @@ class AnomalyDetector {
       observedValue: last.value,
       expectedRange: null,                                                               // Trend anomalies are not associated with a fixed expected range.
       detectionTimestamp: nowIso(),
-      message: `${measurementType} trend anomaly (slope=${s.toFixed(2)})`,
-      context: { slope: s, last }
+      message: `${measurementType} trend anomaly (slope=${s.toFixed(2)}/min)`,
+      context: { slope: s, spanMs, last }
     });
   }
 }
@@ -0,0 +1,147 @@
+const { slopePerMinute } = require("../utils/stats");
+const { nowIso, toMs } = require("../utils/time");
+const { createAnomaly } = require("../models/anomaly");
+
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b
+};
+/**
+ * CompositeRuleEngine
+ * --------------------
+ * Detects clinically meaningful conditions that combine several vitals
+ * of the same patient (e.g. tachycardia plus desaturation).
+ *
+ * Rules are declared in configuration as boolean expressions built from
+ * `all` / `any` / `not` nodes and comparison leaves over the latest,
+ * smoothed or slope value of a measurement type. Values are read from
+ * the per-patient sliding windows maintained by SignalProcessor.
+ *
+ * This module is purely analytical and stateless.
+ */
+class CompositeRuleEngine {
+  /**
+ * Initializes the composite rule engine.
+ *
+ * Design notes:
+ * - Windows are not duplicated; the engine reads them from SignalProcessor.
+ * - A rule only matches when every referenced value is recent enough
+ *   (within the rule's time tolerance of the triggering measurement).
+ *
+ * @param {Object} params
+ * @param {Array} params.rules - Composite rule definitions
+ * @param {Object} params.signalProcessor - Source of per-patient windows
+ */
+  constructor({ rules = [], signalProcessor }) {
+    this.rules = rules;
+    this.signalProcessor = signalProcessor;
+  }
+  /**
+ * Replaces the rule set at runtime.
+ *
+ * @param {Object} params
+ * @param {Array} params.rules
+ */
+  reconfigure({ rules = [] }) {
+    this.rules = rules;
+  }
+  /**
+ * Evaluates every rule that references the given measurement type.
+ *
+ * Only rules involving the freshly updated type are evaluated, so a rule
+ * is re-checked whenever one of its inputs changes.
+ *
+ * @param {string} patientId
+ * @param {string} measurementType - Type of the measurement just ingested
+ * @param {string} referenceTimestamp - Timestamp of that measurement
+ * @returns {Array} Composite anomalies (possibly empty)
+ */
+  evaluate(patientId, measurementType, referenceTimestamp) {
+    const refMs = toMs(referenceTimestamp);
+    const anomalies = [];
+    for (const rule of this.rules) {
+      const types = collectTypes(rule.when);
+      if (!types.includes(measurementType)) continue;
+      const values = {};
+      const matched = this._evaluateNode(rule.when, {
+        patientId,
+        refMs,
+        toleranceMs: rule.toleranceMs ?? Infinity,
+        values
+      });
+      if (!matched) continue;
+      anomalies.push(
+        createAnomaly({
+          anomalyType: "COMPOSITE",
+          measurementType: rule.id,
+          observedValue: values,
+          expectedRange: null,                                                     // Composite anomalies combine several ranges; the rule itself is in context.
+          detectionTimestamp: nowIso(),
+          message: rule.description || `Composite rule ${rule.id} matched`,
+          context: { ruleId: rule.id, measurementTypes: types, values },
+          severity: rule.severity
+        })
+      );
+    }
+    return anomalies;
+  }
+  /**
+ * Recursively evaluates an expression node.
+ *
+ * @param {Object} node - Expression node (`all`, `any`, `not` or leaf)
+ * @param {Object} ctx - Evaluation context
+ * @returns {boolean}
+ */
+  _evaluateNode(node, ctx) {
+    if (Array.isArray(node.all)) return node.all.every((n) => this._evaluateNode(n, ctx));
+    if (Array.isArray(node.any)) return node.any.some((n) => this._evaluateNode(n, ctx));
+    if (node.not) return !this._evaluateNode(node.not, ctx);
+    const value = this._readValue(ctx.patientId, node.type, node.source || "latest", ctx);
+    if (value === null) return false;                                              // Missing or stale inputs never satisfy a comparison.
+    const compare = OPERATORS[node.op];
+    if (!compare) return false;
+    ctx.values[`${node.type}.${node.source || "latest"}`] = value;
+    return compare(value, node.value);
+  }
+  /**
+ * Reads a derived value for one measurement type from the sliding windows.
+ *
+ * Supported sources:
+ * - latest: most recent raw value
+ * - smoothed: most recent smoothed value
+ * - slope: linear trend over the raw window, in units per minute
+ *
+ * @returns {number|null} Value, or null if unavailable or outside the tolerance
+ */
+  _readValue(patientId, measurementType, source, ctx) {
+    const raw = this.signalProcessor.getSlidingWindow(patientId, measurementType);
+    if (!raw.length) return null;
+    const lastRaw = raw[raw.length - 1];
+    if (Math.abs(ctx.refMs - toMs(lastRaw.timestamp)) > ctx.toleranceMs) return null;
+    if (source === "latest") return lastRaw.value;
+    if (source === "smoothed") {
+      const smoothed = this.signalProcessor.getSmoothedWindow(patientId, measurementType);
+      return smoothed[smoothed.length - 1].value;
+    }
+    if (source === "slope") return slopePerMinute(raw);
+    return null;
+  }
+}
+/**
+ * Lists the measurement types referenced by an expression.
+ *
+ * @param {Object} node
+ * @returns {string[]}
+ */
+function collectTypes(node) {
+  if (!node) return [];
+  if (Array.isArray(node.all)) return node.all.flatMap(collectTypes);
+  if (Array.isArray(node.any)) return node.any.flatMap(collectTypes);
+  if (node.not) return collectTypes(node.not);
+  return node.type ? [node.type] : [];
+}
+module.exports = CompositeRuleEngine;
@@ -0,0 +1,97 @@
+/**
+ * ConditionTracker
+ * -----------------
+ * Tracks open threshold conditions (one per patient and channel) between
+ * the alert that opened them and their automatic resolution.
+ *
+ * A condition is resolved only after the value has stayed inside the
+ * clear band (e.g. HR below 110 after an alert above 120) for at least
+ * `minClearMs`, so a value oscillating around the threshold neither
+ * re-alerts nor resolves repeatedly.
+ *
+ * Time is measured on measurement timestamps, not on the wall clock,
+ * so cached or replayed data is handled consistently.
+ */
+class ConditionTracker {
+  /**
+ * @param {Object} [params]
+ * @param {number} [params.minClearMs=0] - Minimum time in the clear band before resolving
+ */
+  constructor({ minClearMs = 0 } = {}) {
+    this.minClearMs = minClearMs;
+    this.conditions = new Map();                                                    // "patientId|channel" -> condition
+  }
+  /**
+ * Replaces the hysteresis settings at runtime. Open conditions are kept.
+ *
+ * @param {Object} params
+ * @param {number} [params.minClearMs]
+ */
+  reconfigure({ minClearMs = 0 } = {}) {
+    this.minClearMs = minClearMs;
+  }
+  /**
+ * Returns the open condition of a channel, if any.
+ *
+ * @param {string} patientId
+ * @param {string} channel - Channel key (e.g. "HEART_RATE")
+ * @returns {Object|null} { alertId, direction, severity, openedAt, clearSince }
+ */
+  get(patientId, channel) {
+    return this.conditions.get(`${patientId}|${channel}`) || null;
+  }
+  /**
+ * Opens (or replaces) the condition of a channel.
+ *
+ * @param {string} patientId
+ * @param {string} channel
+ * @param {Object} params
+ * @param {string} params.alertId - Alert that opened the condition
+ * @param {string} params.direction - "LOW" or "HIGH"
+ * @param {string} params.severity
+ * @param {number} params.at - Timestamp (ms) of the triggering measurement
+ */
+  open(patientId, channel, { alertId, direction, severity, at }) {
+    this.conditions.set(`${patientId}|${channel}`, {
+      patientId,
+      channel,
+      alertId,
+      direction,
+      severity,
+      openedAt: at,
+      clearSince: null
+    });
+  }
+  /**
+ * Closes the condition opened by an alert (e.g. resolved by a caregiver).
+ *
+ * @param {string} alertId
+ */
+  closeByAlert(alertId) {
+    for (const [key, c] of this.conditions) {
+      if (c.alertId === alertId) this.conditions.delete(key);
+    }
+  }
+  /**
+ * Records a new observation of a channel with an open condition.
+ *
+ * @param {string} patientId
+ * @param {string} channel
+ * @param {boolean} inClearBand - Whether the value is inside the clear band
+ * @param {number} at - Timestamp (ms) of the observation
+ * @returns {Object|null} The condition if it is now resolved (and closed), else null
+ */
+  observe(patientId, channel, inClearBand, at) {
+    const condition = this.get(patientId, channel);
+    if (!condition) return null;
+    if (!inClearBand) {
+      condition.clearSince = null;                                                  // Leaving the clear band restarts the clearing period.
+      return null;
+    }
+    if (condition.clearSince === null) condition.clearSince = at;
+    if (at - condition.clearSince < this.minClearMs) return null;
+    this.conditions.delete(`${patientId}|${channel}`);
+    return condition;
+  }
+}
+module.exports = ConditionTracker;
@@ -0,0 +1,404 @@
+const fs = require("fs");
+const { warn, info } = require("../utils/logger");
+const { validateFilter } = require("../utils/filters");
+/**
+ * ConfigManager
+ * --------------
+ * Owns the runtime configuration (thresholds.json) of the edge processor.
+ *
+ * Responsible for:
+ * - Loading and validating the configuration file
+ * - Accepting new configurations at runtime (API or file change)
+ * - Persisting accepted configurations atomically
+ * - Maintaining a monotonically increasing configuration version
+ *
+ * The manager never applies a configuration itself; it hands validated
+ * configurations to a single `onApply` callback so that all consumers
+ * are swapped together.
+ */
+class ConfigManager {
+  /**
+ * Initializes the configuration manager.
+ *
+ * Design notes:
+ * - The version is stored in the file (`version`) so it keeps increasing
+ *   across restarts.
+ * - Invalid configurations are rejected as a whole; the running
+ *   configuration is never partially updated.
+ *
+ * @param {Object} params
+ * @param {string} params.configPath - Path to the configuration file
+ * @param {Function} [params.onApply] - Called with (cfg, version) for every accepted configuration
+ */
+  constructor({ configPath, onApply = () => {} }) {
+    this.configPath = configPath;
+    this.onApply = onApply;
+    this.version = 0;
+    this.current = null;
+    this.lastContent = null;                                                          // Last content read or written, used to ignore our own writes
+    this.watching = false;
+  }
+  /**
+ * Loads, validates and applies the configuration file.
+ *
+ * @returns {Object} Loaded configuration
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+  load() {
+    const content = fs.readFileSync(this.configPath, "utf-8");
+    const cfg = JSON.parse(content);
+    this._accept(cfg, Math.max(cfg.version || 1, this.version + 1));
+    this.lastContent = content;
+    return cfg;
+  }
+  /**
+ * Validates, applies and persists a new configuration (e.g. from PUT /config).
+ *
+ * @param {Object} cfg - Complete configuration
+ * @returns {number} New configuration version
+ * @throws {Error} If the configuration is invalid (nothing is changed)
+ */
+  update(cfg) {
+    const version = this.version + 1;
+    const next = { ...cfg, version };
+    this._validate(next);
+    this._persist(next);
+    this._accept(next, version);                                                      // Only once persisted: a failed write leaves the running configuration as it is.
+    return version;
+  }
+  /**
+ * Re-reads the configuration file and applies it if it changed and is valid.
+ *
+ * Used by the file watcher. Invalid or unparsable files are logged and
+ * ignored so that a bad edit never takes down the running configuration.
+ * An applied file gets its new version written back, so the version never
+ * goes backwards after a restart.
+ *
+ * @returns {boolean} True if a new configuration was applied
+ */
+  reloadFromFile() {
+    let content;
+    try {
+      content = fs.readFileSync(this.configPath, "utf-8");
+    } catch (e) {
+      warn("Config reload failed", { error: e.message });
+      return false;
+    }
+    if (content === this.lastContent) return false;
+    try {
+      const cfg = JSON.parse(content);
+      const version = Math.max(cfg.version || 0, this.version + 1);
+      const next = { ...cfg, version };
+      this._validate(next);
+      if (cfg.version !== version) this._persist(next);                             // The raised version is written back so it survives a restart.
+      else this.lastContent = content;
+      this._accept(next, version);
+      info("Config reloaded from file", { version: this.version });
+      return true;
+    } catch (e) {
+      warn("Config reload rejected", { error: e.message });
+      return false;
+    }
+  }
+  /**
+ * Starts watching the configuration file for changes.
+ *
+ * @param {number} [intervalMs=1000] - Polling interval
+ */
+  watch(intervalMs = 1000) {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.configPath, { interval: intervalMs, persistent: false }, () => this.reloadFromFile());
+  }
+  /**
+ * Stops watching the configuration file.
+ */
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.configPath);
+    this.watching = false;
+  }
+  _persist(cfg) {
+    const content = JSON.stringify(cfg, null, 2);
+    const tmp = `${this.configPath}.tmp`;
+    fs.writeFileSync(tmp, content, "utf-8");
+    fs.renameSync(tmp, this.configPath);                                              // Rename is atomic: readers never see a half-written file
+    this.lastContent = content;
+  }
+  _validate(cfg) {
+    const errors = validateConfig(cfg);
+    if (errors.length) {
+      const err = new Error(`Invalid configuration: ${errors.join("; ")}`);
+      err.details = errors;
+      throw err;
+    }
+  }
+  _accept(cfg, version) {
+    this._validate(cfg);
+    this.onApply(cfg, version);
+    this.current = cfg;
+    this.version = version;
+  }
+}
+/**
+ * Validates a complete configuration object.
+ *
+ * @param {Object} cfg
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateConfig(cfg) {
+  const errors = [];
+  if (!cfg || typeof cfg !== "object") return ["configuration must be an object"];
+  if (!Number.isInteger(cfg.windowSize) || cfg.windowSize < 1) {
+    errors.push("windowSize must be a positive integer");
+  }
+  if (!(typeof cfg.debounceMs === "number" && cfg.debounceMs >= 0)) {
+    errors.push("debounceMs must be a non-negative number");
+  }
+  for (const section of ["thresholds", "plausibleRanges", "trend"]) {
+    if (!cfg[section] || typeof cfg[section] !== "object") {
+      errors.push(`${section} is required`);
+    }
+  }
+  if (errors.length) return errors;
+
+  const compoundTypes = cfg.compoundTypes || {};
+  const knownChannels = new Set(Object.keys(cfg.plausibleRanges));
+  for (const [type, r] of Object.entries(cfg.plausibleRanges)) {
+    checkRange(errors, `plausibleRanges.${type}`, r);
+  }
+  for (const [type, c] of Object.entries(compoundTypes)) {
+    for (const component of c.components || []) {
+      if (!knownChannels.has(`${type}.${component}`)) {
+        errors.push(`compoundTypes.${type}: missing plausible range for component ${component}`);
+      }
+    }
+  }
+  for (const [type, t] of Object.entries(cfg.thresholds)) {
+    if (!knownChannels.has(type)) errors.push(`thresholds.${type}: unknown measurement type`);
+    checkRange(errors, `thresholds.${type}`, t);
+    if (t && t.clear !== undefined) {
+      checkRange(errors, `thresholds.${type}.clear`, t.clear);
+      if (t.clear && typeof t.clear.max === "number" && typeof t.max === "number" && t.clear.max > t.max) {
+        errors.push(`thresholds.${type}.clear.max must not exceed max`);
+      }
+      if (t.clear && typeof t.clear.min === "number" && typeof t.min === "number" && t.clear.min < t.min) {
+        errors.push(`thresholds.${type}.clear.min must not be below min`);
+      }
+    }
+    for (const [i, rule] of (t.rules || []).entries()) {
+      if (!["LOW", "HIGH"].includes(rule.direction)) {
+        errors.push(`thresholds.${type}.rules[${i}]: direction must be LOW or HIGH`);
+      }
+      if (typeof rule.limit !== "number") {
+        errors.push(`thresholds.${type}.rules[${i}]: limit must be a number`);
+      }
+    }
+  }
+  const cache = cfg.offlineCache || {};
+  if (cache.fsyncPolicy !== undefined && !["always", "interval", "never"].includes(cache.fsyncPolicy)) {
+    errors.push("offlineCache.fsyncPolicy must be always, interval or never");
+  }
+  for (const key of ["maxEvents", "maxBytes", "downsampleBucketMs", "walCompactBytes"]) {
+    if (cache[key] !== undefined && !(typeof cache[key] === "number" && cache[key] > 0)) {
+      errors.push(`offlineCache.${key} must be a positive number`);
+    }
+  }
+  const artifacts = cfg.artifacts || {};
+  for (const key of ["flatlineSamples", "lowQualitySamples"]) {
+    if (artifacts[key] !== undefined && !(Number.isInteger(artifacts[key]) && artifacts[key] >= 2)) {
+      errors.push(`artifacts.${key} must be an integer of at least 2`);
+    }
+  }
+  for (const [type, limits] of Object.entries(artifacts.channels || {})) {
+    if (!knownChannels.has(type)) errors.push(`artifacts.channels.${type}: unknown measurement type`);
+    for (const key of ["maxChangePerSecond", "spikeDelta"]) {
+      if (limits[key] !== undefined && !(typeof limits[key] === "number" && limits[key] > 0)) {
+        errors.push(`artifacts.channels.${type}.${key} must be a positive number`);
+      }
+    }
+  }
+  const watchdog = cfg.watchdog || {};
+  for (const [type, ms] of Object.entries(watchdog.intervalsMs || {})) {
+    if (!knownChannels.has(type) && !compoundTypes[type]) errors.push(`watchdog.intervalsMs.${type}: unknown measurement type`);
+    if (!(typeof ms === "number" && ms > 0)) errors.push(`watchdog.intervalsMs.${type} must be a positive number`);
+  }
+  for (const key of ["toleranceFactor", "checkIntervalMs"]) {
+    if (watchdog[key] !== undefined && !(typeof watchdog[key] === "number" && watchdog[key] > 0)) {
+      errors.push(`watchdog.${key} must be a positive number`);
+    }
+  }
+  if (watchdog.minSilenceMs !== undefined && !(typeof watchdog.minSilenceMs === "number" && watchdog.minSilenceMs >= 0)) {
+    errors.push("watchdog.minSilenceMs must be a non-negative number");
+  }
+  const history = cfg.history || {};
+  for (const key of ["maxSegmentBytes", "maxSegmentAgeMs"]) {
+    if (history[key] !== undefined && !(typeof history[key] === "number" && history[key] > 0)) {
+      errors.push(`history.${key} must be a positive number`);
+    }
+  }
+  const retention = cfg.retention || {};
+  const tiers = ["rawMeasurementsMs", "minuteRollupsMs", "hourRollupsMs"];
+  for (const key of [...tiers, "alertsMs", "rejectionsMs", "compactionIntervalMs"]) {
+    if (retention[key] !== undefined && !(typeof retention[key] === "number" && retention[key] > 0)) {
+      errors.push(`retention.${key} must be a positive number`);
+    }
+  }
+  for (let i = 1; i < tiers.length; i++) {
+    if (retention[tiers[i - 1]] > retention[tiers[i]]) {
+      errors.push(`retention.${tiers[i]} must not be shorter than retention.${tiers[i - 1]}`);
+    }
+  }
+  const reorder = cfg.reorder || {};
+  const tolerances = Object.entries(reorder.types || {}).map(([type, ms]) => [`reorder.types.${type}`, type, ms]);
+  if (reorder.toleranceMs !== undefined) tolerances.push(["reorder.toleranceMs", null, reorder.toleranceMs]);
+  for (const [label, type, ms] of tolerances) {
+    if (type && !knownChannels.has(type) && !compoundTypes[type]) errors.push(`${label}: unknown measurement type`);
+    if (!(typeof ms === "number" && ms >= 0)) errors.push(`${label} must be a non-negative number`);
+  }
+  if (reorder.flushIntervalMs !== undefined && !(typeof reorder.flushIntervalMs === "number" && reorder.flushIntervalMs > 0)) {
+    errors.push("reorder.flushIntervalMs must be a positive number");
+  }
+  const windows = cfg.windows || {};
+  const windowEntries = Object.entries(windows.types || {}).map(([type, w]) => [`windows.types.${type}`, type, w]);
+  if (windows.default !== undefined) windowEntries.push(["windows.default", null, windows.default]);
+  for (const [label, type, w] of windowEntries) {
+    if (type && !knownChannels.has(type) && !compoundTypes[type]) errors.push(`${label}: unknown measurement type`);
+    if (w.durationMs !== undefined && !(typeof w.durationMs === "number" && w.durationMs > 0)) {
+      errors.push(`${label}.durationMs must be a positive number`);
+    }
+    if (w.maxPoints !== undefined && !(Number.isInteger(w.maxPoints) && w.maxPoints >= 1)) {
+      errors.push(`${label}.maxPoints must be a positive integer`);
+    }
+  }
+  const smoothing = cfg.smoothing || {};
+  if (smoothing.default !== undefined) errors.push(...validateFilter("smoothing.default", smoothing.default));
+  for (const [type, def] of Object.entries(smoothing.types || {})) {
+    if (!knownChannels.has(type) && !compoundTypes[type]) errors.push(`smoothing.types.${type}: unknown measurement type`);
+    errors.push(...validateFilter(`smoothing.types.${type}`, def));
+  }
+  const hysteresis = cfg.hysteresis || {};
+  if (hysteresis.minClearMs !== undefined && !(typeof hysteresis.minClearMs === "number" && hysteresis.minClearMs >= 0)) {
+    errors.push("hysteresis.minClearMs must be a non-negative number");
+  }
+  const escalation = cfg.escalation || {};
+  if (escalation.chain !== undefined && !(Array.isArray(escalation.chain) && escalation.chain.length)) {
+    errors.push("escalation.chain must be a non-empty array");
+  }
+  if (escalation.severityLevels !== undefined && !Array.isArray(escalation.severityLevels)) {
+    errors.push("escalation.severityLevels must be an array");
+  }
+  for (const [level, ms] of Object.entries(escalation.timeoutsMs || {})) {
+    if (escalation.severityLevels && !escalation.severityLevels.includes(level)) {
+      errors.push(`escalation.timeoutsMs.${level}: unknown severity level`);
+    }
+    if (!(typeof ms === "number" && ms > 0)) errors.push(`escalation.timeoutsMs.${level} must be a positive number`);
+  }
+  const notifications = cfg.notifications || {};
+  const sinkTypes = ["webhook", "smtp", "syslog", "file"];
+  for (const [name, sink] of Object.entries(notifications.sinks || {})) {
+    if (!sink || !sinkTypes.includes(sink.type)) {
+      errors.push(`notifications.sinks.${name}: type must be one of ${sinkTypes.join(", ")}`);
+    }
+  }
+  for (const [i, rule] of (notifications.routes || []).entries()) {
+    if (!Array.isArray(rule.sinks)) {
+      errors.push(`notifications.routes[${i}]: sinks must be an array`);
+      continue;
+    }
+    for (const name of rule.sinks) {
+      if (!(notifications.sinks || {})[name]) errors.push(`notifications.routes[${i}]: unknown sink ${name}`);
+    }
+  }
+  const connectivity = cfg.connectivity || {};
+  if (connectivity.enabled && typeof connectivity.healthUrl !== "string") {
+    errors.push("connectivity.healthUrl is required when the monitor is enabled");
+  }
+  for (const key of ["intervalMs", "timeoutMs"]) {
+    if (connectivity[key] !== undefined && !(typeof connectivity[key] === "number" && connectivity[key] > 0)) {
+      errors.push(`connectivity.${key} must be a positive number`);
+    }
+  }
+  for (const key of ["failuresToOffline", "successesToOnline"]) {
+    if (connectivity[key] !== undefined && !(Number.isInteger(connectivity[key]) && connectivity[key] >= 1)) {
+      errors.push(`connectivity.${key} must be a positive integer`);
+    }
+  }
+  const uplink = cfg.uplink || {};
+  if (uplink.enabled && typeof uplink.url !== "string") {
+    errors.push("uplink.url is required when the uplink is enabled");
+  }
+  for (const key of ["batchSize", "baseDelayMs", "maxDelayMs", "timeoutMs"]) {
+    if (uplink[key] !== undefined && !(typeof uplink[key] === "number" && uplink[key] > 0)) {
+      errors.push(`uplink.${key} must be a positive number`);
+    }
+  }
+  if (uplink.maxRetries !== undefined && !(Number.isInteger(uplink.maxRetries) && uplink.maxRetries >= 0)) {
+    errors.push("uplink.maxRetries must be a non-negative integer");
+  }
+  const baseline = cfg.baseline || {};
+  for (const type of baseline.types || []) {
+    if (!knownChannels.has(type)) errors.push(`baseline.types: unknown measurement type ${type}`);
+  }
+  for (const key of ["learningMs", "clipZ", "zThreshold"]) {
+    if (baseline[key] !== undefined && !(typeof baseline[key] === "number" && baseline[key] >= 0)) {
+      errors.push(`baseline.${key} must be a non-negative number`);
+    }
+  }
+  if (baseline.minSamples !== undefined && !(Number.isInteger(baseline.minSamples) && baseline.minSamples >= 1)) {
+    errors.push("baseline.minSamples must be a positive integer");
+  }
+  if (baseline.adaptAlpha !== undefined && !(baseline.adaptAlpha >= 0 && baseline.adaptAlpha <= 1)) {
+    errors.push("baseline.adaptAlpha must be between 0 and 1");
+  }
+  for (const key of ["k", "h"]) {
+    const v = (baseline.cusum || {})[key];
+    if (v !== undefined && !(typeof v === "number" && v >= 0)) errors.push(`baseline.cusum.${key} must be a non-negative number`);
+  }
+  const forecast = cfg.forecast || {};
+  if (forecast.method !== undefined && !["linear", "holt"].includes(forecast.method)) {
+    errors.push("forecast.method must be linear or holt");
+  }
+  for (const type of forecast.types || []) {
+    if (!knownChannels.has(type)) errors.push(`forecast.types: unknown measurement type ${type}`);
+  }
+  for (const key of ["horizonMs", "confidenceZ"]) {
+    if (forecast[key] !== undefined && !(typeof forecast[key] === "number" && forecast[key] > 0)) {
+      errors.push(`forecast.${key} must be a positive number`);
+    }
+  }
+  for (const key of ["alpha", "beta"]) {
+    const v = (forecast.holt || {})[key];
+    if (v !== undefined && !(typeof v === "number" && v > 0 && v <= 1)) errors.push(`forecast.holt.${key} must be in (0, 1]`);
+  }
+  const trend = cfg.trend;
+  if (!Number.isInteger(trend.minPoints) || trend.minPoints < 2) {
+    errors.push("trend.minPoints must be an integer of at least 2");
+  }
+  if (trend.minSpanMs !== undefined && !(typeof trend.minSpanMs === "number" && trend.minSpanMs >= 0)) {
+    errors.push("trend.minSpanMs must be a non-negative number");
+  }
+  if (!trend.slopeThresholds || typeof trend.slopeThresholds !== "object") {
+    errors.push("trend.slopeThresholds is required");
+  } else {
+    for (const [type, slope] of Object.entries(trend.slopeThresholds)) {
+      if (!knownChannels.has(type)) errors.push(`trend.slopeThresholds.${type}: unknown measurement type`);
+      if (typeof slope !== "number") errors.push(`trend.slopeThresholds.${type} must be a number`);
+    }
+  }
+  return errors;
+}
+
+function checkRange(errors, label, r) {
+  if (!r || typeof r !== "object") {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (r.min !== undefined && typeof r.min !== "number") errors.push(`${label}.min must be a number`);
+  if (r.max !== undefined && typeof r.max !== "number") errors.push(`${label}.max must be a number`);
+  if (typeof r.min === "number" && typeof r.max === "number" && r.min > r.max) {
+    errors.push(`${label}: min must not exceed max`);
+  }
+}
+module.exports = ConfigManager;
+module.exports.validateConfig = validateConfig;
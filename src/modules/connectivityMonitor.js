@@ -0,0 +1,177 @@
+const http = require("http");
+const https = require("https");
+const EventEmitter = require("events");
+const { info, warn } = require("../utils/logger");
+/**
+ * ConnectivityMonitor
+ * --------------------
+ * Discovers by itself whether the backend is reachable.
+ *
+ * A health URL is probed periodically; the connectivity state only flips
+ * after several consecutive results in the same direction (hysteresis),
+ * so a single lost probe does not make the device go offline.
+ *
+ * Emits:
+ *   "change" -> { online, previous, changedAt, reason }
+ */
+class ConnectivityMonitor extends EventEmitter {
+  /**
+ * Initializes the connectivity monitor.
+ *
+ * Design notes:
+ * - The initial state is supplied by the caller (the current state of the
+ *   offline cache), so starting the monitor never emits a spurious change.
+ * - The probe is injectable; the default performs an HTTP GET and treats
+ *   any 2xx response as success.
+ *
+ * @param {Object} params
+ * @param {string} [params.healthUrl] - Backend health endpoint
+ * @param {number} [params.intervalMs=5000] - Probe interval
+ * @param {number} [params.timeoutMs=2000] - Probe timeout
+ * @param {number} [params.failuresToOffline=3] - Consecutive failures before going offline
+ * @param {number} [params.successesToOnline=2] - Consecutive successes before coming back online
+ * @param {boolean} [params.initialOnline=true]
+ * @param {Function} [params.probe] - async () => boolean (injectable for tests)
+ */
+  constructor({
+    healthUrl,
+    intervalMs = 5000,
+    timeoutMs = 2000,
+    failuresToOffline = 3,
+    successesToOnline = 2,
+    initialOnline = true,
+    probe
+  } = {}) {
+    super();
+    this.healthUrl = healthUrl;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.failuresToOffline = failuresToOffline;
+    this.successesToOnline = successesToOnline;
+    this.probe = probe || (() => httpProbe(this.healthUrl, this.timeoutMs));
+    this.online = initialOnline;
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.lastChangeAt = new Date().toISOString();
+    this.lastProbeAt = null;
+    this.changes = [];                                                                // Most recent state changes, newest first
+    this.timer = null;
+  }
+  /**
+ * Updates probe settings at runtime. The current state is kept.
+ *
+ * @param {Object} params - Same keys as the constructor
+ */
+  reconfigure({ healthUrl, intervalMs, timeoutMs, failuresToOffline, successesToOnline } = {}) {
+    if (healthUrl !== undefined) this.healthUrl = healthUrl;
+    if (intervalMs !== undefined) this.intervalMs = intervalMs;
+    if (timeoutMs !== undefined) this.timeoutMs = timeoutMs;
+    if (failuresToOffline !== undefined) this.failuresToOffline = failuresToOffline;
+    if (successesToOnline !== undefined) this.successesToOnline = successesToOnline;
+  }
+  /**
+ * Runs one probe and applies the hysteresis rules.
+ *
+ * @returns {Promise<boolean>} Connectivity state after the probe
+ */
+  async check() {
+    let ok;
+    try {
+      ok = !!(await this.probe());
+    } catch {
+      ok = false;
+    }
+    this.lastProbeAt = new Date().toISOString();
+    if (ok) {
+      this.consecutiveSuccesses += 1;
+      this.consecutiveFailures = 0;
+      if (!this.online && this.consecutiveSuccesses >= this.successesToOnline) {
+        this._change(true, `${this.consecutiveSuccesses} successful probes`);
+      }
+    } else {
+      this.consecutiveFailures += 1;
+      this.consecutiveSuccesses = 0;
+      if (this.online && this.consecutiveFailures >= this.failuresToOffline) {
+        this._change(false, `${this.consecutiveFailures} failed probes`);
+      }
+    }
+    return this.online;
+  }
+  /**
+ * Records a state set from outside the monitor (e.g. POST /online),
+ * so that the hysteresis counters start over from that state.
+ *
+ * @param {boolean} online
+ */
+  setState(online) {
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    if (this.online !== !!online) this._change(!!online, "manual");
+  }
+  /**
+ * Starts periodic probing. Probes never overlap.
+ */
+  start() {
+    if (this.timer) return;
+    const loop = async () => {
+      await this.check().catch((e) => warn("Connectivity probe failed", { error: e.message }));
+      if (this.timer) this.timer = setTimeout(loop, this.intervalMs).unref();
+    };
+    this.timer = setTimeout(loop, 0).unref();
+  }
+  /**
+ * Stops periodic probing.
+ */
+  stop() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  /**
+ * Returns the current state for status displays.
+ *
+ * @returns {Object} { online, lastChangeAt, lastProbeAt, changes }
+ */
+  getStatus() {
+    return {
+      online: this.online,
+      lastChangeAt: this.lastChangeAt,
+      lastProbeAt: this.lastProbeAt,
+      changes: this.changes
+    };
+  }
+
+  _change(online, reason) {
+    const event = {
+      online,
+      previous: this.online,
+      changedAt: new Date().toISOString(),
+      reason
+    };
+    this.online = online;
+    this.lastChangeAt = event.changedAt;
+    this.changes.unshift(event);
+    this.changes.length = Math.min(this.changes.length, 20);
+    info("Connectivity changed", { online, reason });
+    this.emit("change", event);
+  }
+}
+/**
+ * Probes a health URL with an HTTP GET.
+ *
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} True on a 2xx response
+ */
+function httpProbe(url, timeoutMs) {
+  const client = new URL(url).protocol === "https:" ? https : http;
+  return new Promise((resolve) => {
+    const req = client.get(url, { timeout: timeoutMs }, (res) => {
+      res.resume();
+      resolve(res.statusCode >= 200 && res.statusCode < 300);
+    });
+    req.on("timeout", () => req.destroy(new Error("health probe timed out")));
+    req.on("error", () => resolve(false));
+  });
+}
+module.exports = ConnectivityMonitor;
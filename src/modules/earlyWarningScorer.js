@@ -0,0 +1,178 @@
+const { nowIso, toMs } = require("../utils/time");
+const { createAnomaly } = require("../models/anomaly");
+/**
+ * EarlyWarningScorer
+ * -------------------
+ * Maintains a running, NEWS2-style early warning score per patient.
+ *
+ * Each supported vital is mapped to a sub-score using configurable bands;
+ * the total is the sum of the sub-scores of the latest (non-stale) values.
+ * Alerts are raised when the total, or a single parameter, crosses one of
+ * the configured alert levels.
+ *
+ * Unlike AnomalyDetector, this module is stateful: it keeps the latest
+ * value per patient and vital, and the last alert level reached.
+ */
+class EarlyWarningScorer {
+  /**
+ * Initializes the scorer.
+ *
+ * Design notes:
+ * - Bands are half-open: `min` is inclusive, `max` is exclusive.
+ * - Values older than `maxAgeMs` no longer contribute to the score.
+ * - An alert is raised only when a level is crossed upwards; dropping
+ *   below a level re-arms it.
+ *
+ * @param {Object} params
+ * @param {Object} params.parameters - Score bands per measurement type
+ * @param {Object} params.alertLevels - Total and single-parameter alert levels
+ * @param {number} [params.maxAgeMs] - Maximum age of a contributing value
+ */
+  constructor({ parameters = {}, alertLevels = {}, maxAgeMs = Infinity } = {}) {
+    this.parameters = parameters;
+    this.alertLevels = alertLevels;
+    this.maxAgeMs = maxAgeMs;
+    this.latestByPatient = new Map();                                                 // patientId -> { TYPE: { value, timestamp } }
+    this.levelByPatient = new Map();                                                  // patientId -> { totalMin: reached band, parameters: Set<TYPE> }
+  }
+  /**
+ * Replaces score bands and alert levels at runtime.
+ *
+ * Latest values and reached levels are kept.
+ *
+ * @param {Object} params - Same shape as the constructor parameters
+ */
+  reconfigure({ parameters = {}, alertLevels = {}, maxAgeMs = Infinity } = {}) {
+    this.parameters = parameters;
+    this.alertLevels = alertLevels;
+    this.maxAgeMs = maxAgeMs;
+  }
+  /**
+ * Maps a single value to its sub-score.
+ *
+ * @param {string} measurementType
+ * @param {number} value
+ * @returns {number|null} Sub-score, or null if the type is not scored
+ */
+  scoreParameter(measurementType, value) {
+    const bands = this.parameters[measurementType];
+    if (!bands) return null;
+    const band = bands.find(
+      (b) => (b.min === undefined || value >= b.min) && (b.max === undefined || value < b.max)
+    );
+    return band ? band.score : 0;
+  }
+  /**
+ * Records a measurement and returns the level crossings that warrant an alert.
+ *
+ * @param {Object} measurement - Validated raw measurement
+ * @returns {Array} Early warning anomalies (possibly empty)
+ */
+  update(measurement) {
+    if (!this.parameters[measurement.measurementType]) return [];
+    const latest = this.latestByPatient.get(measurement.patientId) || {};
+    latest[measurement.measurementType] = {
+      value: measurement.value,
+      timestamp: measurement.timestamp
+    };
+    this.latestByPatient.set(measurement.patientId, latest);
+    const score = this.getScore(measurement.patientId, toMs(measurement.timestamp));
+    return this._detectCrossings(measurement.patientId, score);
+  }
+  /**
+ * Computes the current score and its per-parameter breakdown.
+ *
+ * @param {string} patientId
+ * @param {number} [atMs] - Reference time for staleness (defaults to now)
+ * @returns {Object|null} Score snapshot, or null if nothing was recorded
+ */
+  getScore(patientId, atMs = Date.now()) {
+    const latest = this.latestByPatient.get(patientId);
+    if (!latest) return null;
+    const parameters = {};
+    let total = 0;
+    for (const [type, entry] of Object.entries(latest)) {
+      if (atMs - toMs(entry.timestamp) > this.maxAgeMs) continue;                    // Stale values no longer describe the patient's current state.
+      const score = this.scoreParameter(type, entry.value);
+      parameters[type] = { value: entry.value, score, timestamp: entry.timestamp };
+      total += score;
+    }
+    const band = this._totalBand(total);
+    return {
+      total,
+      level: band ? band.level : "NONE",
+      parameters
+    };
+  }
+  /**
+ * Returns the highest total alert band reached by a score.
+ *
+ * @param {number} total
+ * @returns {Object|null}
+ */
+  _totalBand(total) {
+    const bands = this.alertLevels.total || [];
+    let reached = null;
+    for (const b of bands) {
+      if (total >= b.min && (!reached || b.min > reached.min)) reached = b;
+    }
+    return reached;
+  }
+  /**
+ * Compares a score with the last reached levels and builds anomalies
+ * for every upward crossing.
+ *
+ * @param {string} patientId
+ * @param {Object} score - Current score snapshot
+ * @returns {Array} Anomalies
+ */
+  _detectCrossings(patientId, score) {
+    const state = this.levelByPatient.get(patientId) || { totalMin: -Infinity, parameters: new Set() };
+    const anomalies = [];
+
+    const band = this._totalBand(score.total);
+    const bandMin = band ? band.min : -Infinity;
+    if (band && bandMin > state.totalMin) {
+      anomalies.push(
+        createAnomaly({
+          anomalyType: "EARLY_WARNING_SCORE",
+          measurementType: "EARLY_WARNING_SCORE",
+          observedValue: score.total,
+          expectedRange: { min: 0, max: band.min - 1 },
+          detectionTimestamp: nowIso(),
+          message: `Early warning score ${score.total} reached level ${band.level}`,
+          context: { score },
+          severity: band.severity
+        })
+      );
+    }
+    state.totalMin = bandMin;                                                         // Falling below a band re-arms its alert.
+
+    const single = this.alertLevels.singleParameter;
+    if (single) {
+      for (const [type, p] of Object.entries(score.parameters)) {
+        if (p.score < single.min) {
+          state.parameters.delete(type);
+          continue;
+        }
+        if (state.parameters.has(type)) continue;
+        state.parameters.add(type);
+        anomalies.push(
+          createAnomaly({
+            anomalyType: "EARLY_WARNING_PARAMETER",
+            measurementType: type,
+            observedValue: p.value,
+            expectedRange: null,
+            detectionTimestamp: nowIso(),
+            message: `${type} early warning sub-score ${p.score}`,
+            context: { parameterScore: p.score, score },
+            severity: single.severity
+          })
+        );
+      }
+    }
+    this.levelByPatient.set(patientId, state);
+    return anomalies;
+  }
+}
+module.exports = EarlyWarningScorer;
@@ -0,0 +1,148 @@
+/**
+ * EscalationEngine
+ * -----------------
+ * Escalates alerts that nobody acknowledges.
+ *
+ * Every new alert is tracked with a deadline derived from its severity.
+ * When the deadline passes while the alert is still ACTIVE, the alert is
+ * re-raised one severity level higher and routed to the next tier of the
+ * notification chain (e.g. bedside → charge nurse → physician).
+ *
+ * Deadlines are absolute timestamps stored on the alert itself
+ * (`alert.escalation.dueAt`) rather than running timers, so they are not
+ * affected by connectivity changes and are restored after a restart from
+ * the persisted alerts.
+ */
+class EscalationEngine {
+  /**
+ * Initializes the escalation engine.
+ *
+ * Design notes:
+ * - The engine never reads the clock by itself; callers pass `now`, which
+ *   keeps escalation deterministic and testable.
+ * - Escalation stops at the last tier of the chain; the severity never
+ *   goes beyond the highest configured level.
+ *
+ * @param {Object} params
+ * @param {string[]} [params.severityLevels] - Severity levels, lowest first
+ * @param {Object} [params.timeoutsMs] - Acknowledgement timeout per severity level
+ * @param {string[]} [params.chain] - Notification tiers, first tier first
+ */
+  constructor({
+    severityLevels = ["LOW", "MEDIUM", "HIGH", "CRITICAL"],
+    timeoutsMs = {},
+    chain = ["BEDSIDE", "CHARGE_NURSE", "PHYSICIAN"]
+  } = {}) {
+    this.severityLevels = severityLevels;
+    this.timeoutsMs = timeoutsMs;
+    this.chain = chain;
+    this.tracked = new Map();                                                       // alertId -> latest alert copy awaiting acknowledgement
+  }
+  /**
+ * Replaces the escalation policy at runtime.
+ * Deadlines already scheduled are kept; new timeouts apply from the next step.
+ *
+ * @param {Object} params - Same keys as the constructor
+ */
+  reconfigure({ severityLevels, timeoutsMs, chain } = {}) {
+    if (severityLevels) this.severityLevels = severityLevels;
+    if (timeoutsMs) this.timeoutsMs = timeoutsMs;
+    if (chain) this.chain = chain;
+  }
+  /**
+ * Starts tracking a new alert at the first tier of the chain.
+ *
+ * @param {Object} alertEvent - Newly created alert
+ * @param {number} [now=Date.now()]
+ * @returns {Object} Alert with its `escalation` state attached
+ */
+  track(alertEvent, now = Date.now()) {
+    const tracked = {
+      ...alertEvent,
+      escalation: {
+        tier: 0,
+        recipient: this.chain[0],
+        dueAt: this._dueAt(alertEvent.severityLevel, 0, now),
+        history: []
+      }
+    };
+    if (tracked.escalation.dueAt) this.tracked.set(tracked.alertId, tracked);
+    return tracked;
+  }
+  /**
+ * Re-tracks persisted alerts (e.g. after a restart).
+ * Only ACTIVE alerts with a pending deadline are considered.
+ *
+ * @param {Array} alerts
+ */
+  restore(alerts) {
+    for (const a of alerts) {
+      if ((a.state || "ACTIVE") === "ACTIVE" && a.escalation && a.escalation.dueAt) {
+        this.tracked.set(a.alertId, a);
+      }
+    }
+  }
+  /**
+ * Stops tracking an alert (acknowledged or resolved).
+ *
+ * @param {string} alertId
+ */
+  untrack(alertId) {
+    this.tracked.delete(alertId);
+  }
+  /**
+ * Escalates every tracked alert whose deadline has passed.
+ *
+ * An alert that stayed unacknowledged across several timeouts (e.g. while
+ * the process was down) is escalated once per call, so each tier is
+ * notified in turn.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Escalated alerts (updated copies)
+ */
+  checkDue(now = Date.now()) {
+    const escalated = [];
+    for (const alert of this.tracked.values()) {
+      if (Date.parse(alert.escalation.dueAt) > now) continue;
+      const next = this._escalate(alert, now);
+      if (next.escalation.dueAt) this.tracked.set(next.alertId, next);
+      else this.tracked.delete(next.alertId);
+      escalated.push(next);
+    }
+    return escalated;
+  }
+
+  _escalate(alert, now) {
+    const tier = Math.min(alert.escalation.tier + 1, this.chain.length - 1);
+    const level = this.severityLevels.indexOf(alert.severityLevel);
+    const severityLevel =
+      level === -1 ? alert.severityLevel : this.severityLevels[Math.min(level + 1, this.severityLevels.length - 1)];
+    const at = new Date(now).toISOString();
+    return {
+      ...alert,
+      severityLevel,
+      escalation: {
+        tier,
+        recipient: this.chain[tier],
+        dueAt: this._dueAt(severityLevel, tier, now),
+        history: [
+          ...alert.escalation.history,
+          {
+            at,
+            fromSeverity: alert.severityLevel,
+            toSeverity: severityLevel,
+            fromRecipient: alert.escalation.recipient,
+            toRecipient: this.chain[tier]
+          }
+        ]
+      }
+    };
+  }
+
+  _dueAt(severityLevel, tier, now) {
+    const timeoutMs = this.timeoutsMs[severityLevel];
+    if (!(timeoutMs > 0) || tier >= this.chain.length - 1) return null;             // No timeout configured, or nobody left to escalate to.
+    return new Date(now + timeoutMs).toISOString();
+  }
+}
+module.exports = EscalationEngine;
@@ -0,0 +1,248 @@
+const { nowIso, toMs } = require("../utils/time");
+const { mean } = require("../utils/stats");
+const { createAnomaly } = require("../models/anomaly");
+
+const SCAN_STEPS = 200;
+
+/**
+ * ForecastDetector
+ * -----------------
+ * Extrapolates the recent (smoothed) series of a channel toward its
+ * threshold limits, e.g. "SPO2 projected to fall below 92 in about 8 minutes".
+ *
+ * Supported methods:
+ * - linear: least-squares line against the timestamps;
+ * - holt:   Holt's double-exponential smoothing (level + trend), adapted to
+ *           irregular sampling by scaling the trend with the elapsed time.
+ *
+ * A PREDICTED_BREACH anomaly is raised when the projected crossing time
+ * falls within `horizonMs`. It carries the estimated time-to-breach and a
+ * confidence interval derived from the forecast's prediction band.
+ */
+class ForecastDetector {
+  /**
+ * Initializes the detector.
+ *
+ * Design notes:
+ * - Values already beyond a limit are left to the threshold detector.
+ * - A prediction is raised once per channel and direction; it re-arms when
+ *   the projected crossing moves out of the horizon, so a steady decline
+ *   does not alert on every sample.
+ *
+ * @param {Object} params
+ * @param {boolean} [params.enabled=false]
+ * @param {string} [params.method="linear"] - "linear" or "holt"
+ * @param {number} [params.horizonMs=900000] - Alert when the breach is expected within this time
+ * @param {number} [params.minPoints=5] - Minimum window length
+ * @param {number} [params.minSpanMs=0] - Minimum time covered by the window
+ * @param {number} [params.confidenceZ=1.96] - Width of the prediction band (standard deviations)
+ * @param {Object} [params.holt] - { alpha, beta } smoothing factors
+ * @param {string[]} [params.types] - Channels to forecast (default: all with thresholds)
+ * @param {string} [params.severity] - Severity of PREDICTED_BREACH anomalies
+ */
+  constructor(params = {}) {
+    this.predicting = new Set();                                                      // "patientId|TYPE|direction" with a raised prediction
+    this.reconfigure(params);
+  }
+  /**
+ * Replaces the forecasting settings at runtime.
+ *
+ * @param {Object} params - Same shape as the constructor parameters
+ */
+  reconfigure({
+    enabled = false,
+    method = "linear",
+    horizonMs = 900000,
+    minPoints = 5,
+    minSpanMs = 0,
+    confidenceZ = 1.96,
+    holt = {},
+    types = null,
+    severity
+  } = {}) {
+    this.enabled = enabled;
+    this.method = method;
+    this.horizonMs = horizonMs;
+    this.minPoints = minPoints;
+    this.minSpanMs = minSpanMs;
+    this.confidenceZ = confidenceZ;
+    this.holt = { alpha: 0.5, beta: 0.3, ...holt };
+    this.types = types;
+    this.severity = severity;
+  }
+  /**
+ * Forecasts a channel and returns a PREDICTED_BREACH anomaly if a limit
+ * is expected to be crossed within the horizon.
+ *
+ * @param {Array} window - Smoothed sliding window of the channel
+ * @param {string} measurementType
+ * @param {Object} limits - { LOW: rule|null, HIGH: rule|null }, the limits reached first
+ * @param {string} patientId
+ * @returns {Object|null} Anomaly or null
+ */
+  detect(window, measurementType, limits, patientId) {
+    if (!this.enabled || (this.types && !this.types.includes(measurementType))) return null;
+    if (window.length < this.minPoints) return null;
+    const t0 = toMs(window[0].timestamp);
+    const xs = window.map((m) => (toMs(m.timestamp) - t0) / 60000);                // Minutes since the first point
+    if (xs[xs.length - 1] * 60000 < this.minSpanMs) return null;
+    const model = this.method === "holt" ? fitHolt(xs, window.map((m) => m.value), this.holt) : fitLinear(xs, window.map((m) => m.value));
+    if (!model) return null;
+
+    for (const rule of [limits.LOW, limits.HIGH]) {
+      if (!rule) continue;
+      const key = `${patientId}|${measurementType}|${rule.direction}`;
+      const prediction = this._predict(model, rule);
+      if (!prediction) {
+        this.predicting.delete(key);                                                  // Re-arm once the projection leaves the horizon.
+        continue;
+      }
+      if (this.predicting.has(key)) continue;
+      this.predicting.add(key);
+      return this._anomaly(window[window.length - 1], measurementType, limits, rule, prediction);
+    }
+    return null;
+  }
+  /**
+ * Estimates when the forecast crosses a limit.
+ *
+ * @returns {Object|null} { minutes, earliest, latest } (latest is null when the
+ * far edge of the band does not cross within the search range), or null if
+ * no crossing is expected within the horizon
+ */
+  _predict(model, rule) {
+    const high = rule.direction === "HIGH";
+    const beyond = (v) => (high ? v >= rule.limit : v <= rule.limit);
+    if (beyond(model.level)) return null;                                             // Already crossed: handled by the threshold detector.
+    if (high ? model.trend <= 0 : model.trend >= 0) return null;
+    const minutes = (rule.limit - model.level) / model.trend;
+    const horizonMin = this.horizonMs / 60000;
+    if (minutes > horizonMin) return null;
+    const z = this.confidenceZ;
+    const near = (t) => model.level + model.trend * t + (high ? 1 : -1) * z * model.sigma(t);
+    const far = (t) => model.level + model.trend * t - (high ? 1 : -1) * z * model.sigma(t);
+    const range = 4 * horizonMin;
+    return {
+      minutes,
+      earliest: firstCrossing(near, beyond, range),
+      latest: firstCrossing(far, beyond, range)
+    };
+  }
+
+  _anomaly(last, measurementType, limits, rule, prediction) {
+    const toMsOrNull = (min) => (min === null ? null : Math.round(min * 60000));
+    const timeToBreachMs = toMsOrNull(prediction.minutes);
+    return createAnomaly({
+      anomalyType: "PREDICTED_BREACH",
+      measurementType,
+      observedValue: last.value,
+      expectedRange: { min: limits.LOW && limits.LOW.limit, max: limits.HIGH && limits.HIGH.limit },
+      detectionTimestamp: nowIso(),
+      message:
+        `${measurementType} projected to ${rule.direction === "HIGH" ? "rise above" : "fall below"} ${rule.limit} ` +
+        `in about ${Math.max(1, Math.round(prediction.minutes))} minutes`,
+      context: {
+        method: this.method,
+        direction: rule.direction,
+        limit: rule.limit,
+        timeToBreachMs,
+        breachAt: new Date(toMs(last.timestamp) + timeToBreachMs).toISOString(),
+        confidenceInterval: {
+          z: this.confidenceZ,
+          earliestMs: toMsOrNull(prediction.earliest),
+          latestMs: toMsOrNull(prediction.latest)
+        },
+        last
+      },
+      severity: this.severity
+    });
+  }
+}
+/**
+ * Least-squares line; the prediction band widens with the distance from
+ * the observed time range.
+ *
+ * @param {number[]} xs - Minutes
+ * @param {number[]} ys - Values
+ * @returns {Object|null} { level, trend, sigma(t) } at the last point, t in minutes ahead
+ */
+function fitLinear(xs, ys) {
+  const n = xs.length;
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - xMean) ** 2;
+    sxy += (xs[i] - xMean) * (ys[i] - yMean);
+  }
+  if (sxx === 0) return null;                                                         // All points share one timestamp.
+  const trend = sxy / sxx;
+  const intercept = yMean - trend * xMean;
+  const ssr = ys.reduce((acc, y, i) => acc + (y - (intercept + trend * xs[i])) ** 2, 0);
+  const s = n > 2 ? Math.sqrt(ssr / (n - 2)) : 0;
+  const xLast = xs[n - 1];
+  return {
+    level: intercept + trend * xLast,
+    trend,
+    sigma: (t) => s * Math.sqrt(1 + 1 / n + (xLast + t - xMean) ** 2 / sxx)
+  };
+}
+/**
+ * Holt's linear trend method over irregularly spaced points.
+ *
+ * @param {number[]} xs - Minutes
+ * @param {number[]} ys - Values
+ * @param {Object} params - { alpha, beta }
+ * @returns {Object|null} { level, trend (per minute), sigma(t) }
+ */
+function fitHolt(xs, ys, { alpha, beta }) {
+  const n = xs.length;
+  const span = xs[n - 1] - xs[0];
+  if (span === 0) return null;
+  let level = ys[0];
+  let trend = (ys[n - 1] - ys[0]) / span;                                             // Seed the trend with the overall slope.
+  const errors = [];
+  for (let i = 1; i < n; i++) {
+    const dt = xs[i] - xs[i - 1];
+    const predicted = level + trend * dt;
+    errors.push(ys[i] - predicted);                                                   // One-step-ahead forecast errors
+    const next = alpha * ys[i] + (1 - alpha) * predicted;
+    if (dt > 0) trend = beta * ((next - level) / dt) + (1 - beta) * trend;
+    level = next;
+  }
+  const s = Math.sqrt(mean(errors.map((e) => e * e)));
+  const step = span / (n - 1);
+  return {
+    level,
+    trend,
+    sigma: (t) => {
+      let variance = 1;                                                               // h-step variance factor of Holt's method
+      for (let j = 1; j < Math.ceil(t / step); j++) variance += (alpha * (1 + beta * j)) ** 2;
+      return s * Math.sqrt(variance);
+    }
+  };
+}
+/**
+ * Returns the first time (minutes) at which `fn(t)` satisfies `beyond`,
+ * scanning [0, range] and refining by bisection.
+ *
+ * @returns {number|null}
+ */
+function firstCrossing(fn, beyond, range) {
+  if (beyond(fn(0))) return 0;
+  const step = range / SCAN_STEPS;
+  for (let i = 1; i <= SCAN_STEPS; i++) {
+    if (!beyond(fn(i * step))) continue;
+    let lo = (i - 1) * step;
+    let hi = i * step;
+    for (let k = 0; k < 20; k++) {
+      const mid = (lo + hi) / 2;
+      if (beyond(fn(mid))) hi = mid;
+      else lo = mid;
+    }
+    return hi;
+  }
+  return null;
+}
+module.exports = ForecastDetector;
@@ -0,0 +1,213 @@
+const path = require("path");
+const { warn } = require("../utils/logger");
+const WebhookSink = require("../sinks/webhookSink");
+const SmtpSink = require("../sinks/smtpSink");
+const SyslogSink = require("../sinks/syslogSink");
+const FileSink = require("../sinks/fileSink");
+
+const SINK_TYPES = {
+  webhook: (options) => new WebhookSink(options),
+  smtp: (options) => new SmtpSink(options),
+  syslog: (options) => new SyslogSink(options),
+  file: (options, baseDir) => new FileSink({ ...options, path: path.resolve(baseDir, options.path || "") })
+};
+
+/**
+ * NotificationDispatcher
+ * -----------------------
+ * Forwards published alerts to notification sinks (webhook, SMTP,
+ * syslog, NDJSON file or custom sinks).
+ *
+ * Routing rules decide which sinks receive an alert:
+ *   { "severities": ["HIGH"], "patients": ["p1"], "recipients": ["PHYSICIAN"], "sinks": ["smtp"] }
+ * Omitted criteria match everything; an alert goes to the union of the
+ * sinks of all matching rules.
+ *
+ * Each sink has its own retry queue. `dispatch` only enqueues, so a slow
+ * or failing sink never blocks ingestion or the other sinks.
+ *
+ * Sink interface:
+ *   send(alert) -> Promise<void>
+ */
+class NotificationDispatcher {
+  /**
+ * Initializes the dispatcher.
+ *
+ * Design notes:
+ * - Queues are drained in order, one alert at a time per sink.
+ * - A failed send is retried with exponential backoff; after `maxRetries`
+ *   the alert is dropped for that sink and counted.
+ * - A full queue drops its oldest entry rather than growing unbounded.
+ *
+ * @param {Object} params
+ * @param {boolean} [params.enabled=false]
+ * @param {Object} [params.sinks] - Sink definitions by name ({ type, ...options })
+ * @param {Array} [params.routes] - Routing rules
+ * @param {Object} [params.retry] - { maxRetries, baseDelayMs, maxDelayMs, maxQueue }
+ * @param {string} [params.baseDir] - Base directory for relative file sink paths
+ * @param {Function} [params.sleep] - Delay function (injectable for tests)
+ */
+  constructor({
+    enabled = false,
+    sinks = {},
+    routes = [],
+    retry = {},
+    baseDir = process.cwd(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref())
+  } = {}) {
+    this.baseDir = baseDir;
+    this.sleep = sleep;
+    this.queues = new Map();                                                          // sink name -> SinkQueue
+    this.reconfigure({ enabled, sinks, routes, retry });
+  }
+  /**
+ * Replaces sinks, routes and retry settings at runtime.
+ *
+ * Pending alerts of a sink that still exists are kept, even if its
+ * options changed; queues of removed sinks are discarded.
+ *
+ * @param {Object} params - Same keys as the constructor
+ */
+  reconfigure({ enabled = false, sinks = {}, routes = [], retry = {} } = {}) {
+    this.enabled = enabled;
+    this.routes = routes;
+    this.retry = { maxRetries: 5, baseDelayMs: 1000, maxDelayMs: 60000, maxQueue: 1000, ...retry };
+    for (const [name, queue] of this.queues) {
+      if (!queue.custom && !sinks[name]) this.queues.delete(name);
+    }
+    for (const [name, definition] of Object.entries(sinks)) {
+      const factory = SINK_TYPES[definition.type];
+      if (!factory) throw new Error(`unknown sink type: ${definition.type}`);
+      const { type, ...options } = definition;
+      this._queueFor(name).sink = factory(options, this.baseDir);
+    }
+    for (const queue of this.queues.values()) queue.retry = this.retry;
+  }
+  /**
+ * Registers a custom sink instance under a name usable in routes.
+ *
+ * @param {string} name
+ * @param {Object} sink - Object implementing send(alert)
+ */
+  registerSink(name, sink) {
+    const queue = this._queueFor(name);
+    queue.sink = sink;
+    queue.custom = true;
+  }
+  /**
+ * Lists the sinks an alert is routed to.
+ *
+ * @param {Object} alert
+ * @returns {string[]} Sink names
+ */
+  route(alert) {
+    const names = new Set();
+    for (const rule of this.routes) {
+      if (rule.severities && !rule.severities.includes(alert.severityLevel)) continue;
+      if (rule.patients && !rule.patients.includes(alert.patientId)) continue;
+      if (rule.recipients && !(alert.escalation && rule.recipients.includes(alert.escalation.recipient))) continue;
+      for (const name of rule.sinks || []) names.add(name);
+    }
+    return [...names];
+  }
+  /**
+ * Enqueues an alert for every matching sink and returns immediately.
+ *
+ * @param {Object} alert
+ * @returns {string[]} Sink names the alert was queued for
+ */
+  dispatch(alert) {
+    if (!this.enabled) return [];
+    const targets = [];
+    for (const name of this.route(alert)) {
+      const queue = this.queues.get(name);
+      if (!queue || !queue.sink) {
+        warn("Notification route references an unknown sink", { sink: name });
+        continue;
+      }
+      queue.push(alert);
+      targets.push(name);
+    }
+    return targets;
+  }
+  /**
+ * Resolves once every queue is empty (all alerts delivered or dropped).
+ *
+ * @returns {Promise<void>}
+ */
+  async whenIdle() {
+    let busy = [...this.queues.values()].filter((q) => q.draining);
+    while (busy.length) {
+      await Promise.all(busy.map((q) => q.draining));
+      busy = [...this.queues.values()].filter((q) => q.draining);
+    }
+  }
+  /**
+ * Returns delivery counters per sink.
+ *
+ * @returns {Object} { [sink]: { queued, sent, failures, dropped } }
+ */
+  getStats() {
+    const stats = {};
+    for (const [name, queue] of this.queues) {
+      stats[name] = { queued: queue.items.length, ...queue.counters };
+    }
+    return stats;
+  }
+
+  _queueFor(name) {
+    if (!this.queues.has(name)) this.queues.set(name, new SinkQueue(name, this.retry, (ms) => this.sleep(ms)));
+    return this.queues.get(name);
+  }
+}
+/**
+ * Retry queue of a single sink.
+ */
+class SinkQueue {
+  constructor(name, retry, sleep) {
+    this.name = name;
+    this.retry = retry;
+    this.sleep = sleep;
+    this.sink = null;
+    this.custom = false;
+    this.items = [];                                                                  // { alert, attempts }
+    this.draining = null;
+    this.counters = { sent: 0, failures: 0, dropped: 0 };
+  }
+
+  push(alert) {
+    if (this.items.length >= this.retry.maxQueue) {
+      this.items.splice(this.draining ? 1 : 0, 1);                                    // The head may be in flight; drop the oldest waiting one.
+      this.counters.dropped += 1;
+      warn("Notification queue full, dropping oldest alert", { sink: this.name });
+    }
+    this.items.push({ alert, attempts: 0 });
+    if (!this.draining) {
+      this.draining = this._drain().finally(() => {
+        this.draining = null;
+      });
+    }
+  }
+
+  async _drain() {
+    while (this.items.length) {
+      const item = this.items[0];
+      try {
+        await this.sink.send(item.alert);
+        this.items.shift();
+        this.counters.sent += 1;
+      } catch (e) {
+        item.attempts += 1;
+        this.counters.failures += 1;
+        if (item.attempts > this.retry.maxRetries) {
+          this.items.shift();
+          this.counters.dropped += 1;
+          warn("Notification dropped after retries", { sink: this.name, alertId: item.alert.alertId, error: e.message });
+          continue;
+        }
+        await this.sleep(Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (item.attempts - 1)));
+      }
+    }
+  }
+}
+module.exports = NotificationDispatcher;
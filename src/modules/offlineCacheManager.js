@@ -1,27 +1,209 @@
+const WriteAheadLog = require("../repositories/WriteAheadLog");
+const { info, warn } = require("../utils/logger");
+const { isCompoundValue } = require("../models/measurement");
 /**
  * OfflineCacheManager
  * --------------------
  * Manages temporary storage of measurement and alert events
  * during offline operation.
  *
- * Events are stored in-memory and flushed in chronological order
- * when connectivity is restored.
+ * Events are kept in memory for fast access and, when a log file is
+ * configured, backed by an append-only write-ahead log on disk. After a
+ * reboot or crash the log is replayed, so cached events survive and are
+ * flushed in chronological order when connectivity is restored.
  *
- * This component provides offline reliability but does not
- * implement persistent storage.
+ * The queue is bounded (in events and bytes). When a limit is reached:
+ * 1. Older normal-range measurements are downsampled into per-bucket
+ *    summaries (min/mean/max per patient, type and e.g. minute; per
+ *    component for compound values such as blood pressure).
+ * 2. If that is not enough, the oldest non-alert events are evicted.
+ * Alerts are never dropped.
  */
 class OfflineCacheManager {
   /**
  * Initializes the offline cache.
  *
  * Design notes:
- * - Events are stored in-memory (v1 implementation).
  * - Both measurements and alerts are stored as unified events.
+ * - Every event is written to the log before it is added to memory.
+ * - Without `walFile` the cache is purely in-memory.
  * - Connectivity is assumed to be online by default.
+ *
+ * - Limits are enforced with hysteresis: once exceeded, the queue is
+ *   reduced to `lowWaterRatio` of the limit, so compaction (and the log
+ *   rewrite it implies) does not run on every new event.
+ * - Acknowledged events leave entries behind in the log. The log is
+ *   rewritten to the live queue once acknowledgements empty the queue, or
+ *   once it exceeds `walCompactBytes` and is mostly acknowledged entries.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.walFile] - Write-ahead log path
+ * @param {string} [params.fsyncPolicy] - "always" | "interval" | "never"
+ * @param {number} [params.fsyncIntervalMs] - Used by the "interval" policy
+ * @param {number} [params.maxEvents] - Queue capacity in events (default: unbounded)
+ * @param {number} [params.maxBytes] - Queue capacity in serialized bytes (default: unbounded)
+ * @param {number} [params.downsampleBucketMs=60000] - Summary bucket width
+ * @param {number} [params.lowWaterRatio=0.9] - Target fill ratio after compaction
+ * @param {number} [params.walCompactBytes=1048576] - Log size from which acknowledged entries are compacted away
+ * @param {Function} [params.isNormalMeasurement] - Classifies measurements that may be downsampled
  */
-    constructor() {
+    constructor({
+      walFile,
+      fsyncPolicy,
+      fsyncIntervalMs,
+      maxEvents = Infinity,
+      maxBytes = Infinity,
+      downsampleBucketMs = 60000,
+      lowWaterRatio = 0.9,
+      walCompactBytes = 1048576,
+      isNormalMeasurement = () => false
+    } = {}) {
       this.events=[];
       this.isOnline = true;
+      this.maxEvents = maxEvents;
+      this.maxBytes = maxBytes;
+      this.downsampleBucketMs = downsampleBucketMs;
+      this.lowWaterRatio = lowWaterRatio;
+      this.walCompactBytes = walCompactBytes;
+      this.isNormalMeasurement = isNormalMeasurement;
+      this.queueBytes = 0;
+      this.counters = {                                                           // Cumulative: what was summarised or dropped instead of delivered
+        downsampledMeasurements: 0,
+        summariesCreated: 0,
+        evictedMeasurements: 0,
+        evictedSummaries: 0
+      };
+      this.wal = walFile ? new WriteAheadLog({ file: walFile, fsyncPolicy, fsyncIntervalMs }) : null;
+      if (this.wal) this._recover();
+    }
+    /**
+     * Replays the write-ahead log into memory after a restart or crash.
+     */
+    _recover() {
+      const records = this.wal.open();
+      const acked = new Set();                                                    // Event ids are unique, so acks can be applied in one pass.
+      for (const record of records) {
+        if (record.op === "store") this.events.push(record.event);
+        if (record.op === "counters") Object.assign(this.counters, record.counters);
+        if (record.op === "ack") record.eventIds.forEach((id) => acked.add(id));
+      }
+      if (acked.size) this.events = this.events.filter((e) => !acked.has(e.eventId));
+      this.queueBytes = this.events.reduce((sum, e) => sum + eventBytes(e), 0);
+      if (records.length || this.wal.recovery.truncatedBytes) {
+        info("Offline cache recovered from write-ahead log", {
+          events: this.events.length,
+          truncatedBytes: this.wal.recovery.truncatedBytes
+        });
+      }
+    }
+    /**
+     * Persists and caches a unified event.
+     *
+     * @param {Object} event
+     */
+    _store(event) {
+      if (this.wal) this.wal.append({ op: "store", event });                     // Durable first: an event is only cached once it is on disk.
+      this.events.push(event);
+      this.queueBytes += eventBytes(event);
+      if (this._isOverLimit(1)) this._enforceCapacity();
+    }
+    /**
+     * Checks the queue against its limits, scaled by a fill ratio.
+     *
+     * @param {number} ratio - 1 for the hard limit, lowWaterRatio for the target
+     * @param {number} [depth] - Queue depth to check (defaults to the current one)
+     * @returns {boolean}
+     */
+    _isOverLimit(ratio, depth = this.events.length) {
+      return (
+        depth > this.maxEvents * ratio ||
+        this.queueBytes > this.maxBytes * ratio
+      );
+    }
+    /**
+     * Brings the queue back under its low-water mark.
+     *
+     * Downsampling runs first, oldest buckets first; eviction of the
+     * oldest non-alert events runs only if downsampling was not enough.
+     */
+    _enforceCapacity() {
+      const depth = this.events.length;
+      this._downsample();
+      this._evict();
+      if (this._isOverLimit(1)) {
+        warn("Offline cache over capacity with alerts only; alerts are never dropped", this.getStats());
+      }
+      if (this.wal && this.events.length < depth) this._compactLog();              // Otherwise nothing was summarised or evicted and the log still matches the queue.
+    }
+    /**
+     * Rewrites the write-ahead log to the counters and the live queue.
+     */
+    _compactLog() {
+      this.wal.rewrite([
+        { op: "counters", counters: this.counters },
+        ...this.events.map((event) => ({ op: "store", event }))
+      ]);
+    }
+    /**
+     * Replaces groups of older normal-range measurements by summary events.
+     */
+    _downsample() {
+      const buckets = new Map();                                                  // patientId|type|bucketStart -> events
+      for (const e of this.events) {
+        if (e.type !== "measurement") continue;
+        if (typeof e.payload.value !== "number" && !isCompoundValue(e.payload.value)) continue;
+        if (!this.isNormalMeasurement(e.payload)) continue;
+        const bucketStart = Math.floor(e.timestamp / this.downsampleBucketMs) * this.downsampleBucketMs;
+        const key = `${e.payload.patientId}|${e.payload.measurementType}|${bucketStart}`;
+        if (!buckets.has(key)) buckets.set(key, { bucketStart, events: [] });
+        buckets.get(key).events.push(e);
+      }
+      const ordered = [...buckets.values()]
+        .filter((b) => b.events.length > 1)                                       // A single measurement gains nothing from a summary
+        .sort((a, b) => a.bucketStart - b.bucketStart);
+      for (const bucket of ordered) {
+        if (!this._isOverLimit(this.lowWaterRatio)) return;
+        const summary = summarizeBucket(bucket, this.downsampleBucketMs);
+        const removed = new Set(bucket.events);
+        this.events = this.events.filter((e) => !removed.has(e));
+        this.events.push(summary);
+        this.queueBytes += eventBytes(summary) - bucket.events.reduce((sum, e) => sum + eventBytes(e), 0);
+        this.counters.downsampledMeasurements += bucket.events.length;
+        this.counters.summariesCreated += 1;
+      }
+    }
+    /**
+     * Evicts the oldest non-alert events until the low-water mark is reached.
+     */
+    _evict() {
+      if (!this._isOverLimit(this.lowWaterRatio)) return;
+      const candidates = this.events
+        .filter((e) => e.type !== "alert")
+        .sort((a, b) => a.timestamp - b.timestamp);
+      const evicted = new Set();
+      for (const e of candidates) {
+        if (!this._isOverLimit(this.lowWaterRatio, this.events.length - evicted.size)) break;
+        evicted.add(e);
+        this.queueBytes -= eventBytes(e);
+        if (e.type === "summary") this.counters.evictedSummaries += 1;
+        else this.counters.evictedMeasurements += 1;
+      }
+      this.events = this.events.filter((e) => !evicted.has(e));
+    }
+    /**
+     * Returns queue depth, limits and downsampling/eviction counters.
+     *
+     * @returns {Object}
+     */
+    getStats() {
+      return {
+        queueDepth: this.events.length,
+        queueBytes: this.queueBytes,
+        alertsQueued: this.events.filter((e) => e.type === "alert").length,
+        maxEvents: Number.isFinite(this.maxEvents) ? this.maxEvents : null,
+        maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+        ...this.counters
+      };
     }
     /**
    * Updates the current connectivity state.
@@ -49,11 +231,12 @@ class OfflineCacheManager {
      * @param {Object} measurement - Raw measurement data
      */
     storeMeasurement(measurement) {
-      this.events.push({
+      this._store({
+        eventId: nextEventId(),
         type: "measurement",
         payload: measurement,
         timestamp: new Date(measurement.timestamp).getTime(),                     // Use the original measurement timestamp to preserve true event order.
-        synced: false                                                             // 'synced' flag reserved for future synchronization tracking (v1 placeholder).
+        synced: false                                                             // Set only once the backend acknowledged the event (see acknowledge).
       });
     }
     /**
@@ -65,7 +248,8 @@ class OfflineCacheManager {
      * @param {Object} alertEvent - Generated alert event
      */
     storeAlert(alertEvent) {
-      this.events.push({
+      this._store({
+        eventId: nextEventId(),
         type: "alert",
         payload: alertEvent,
         timestamp: new Date(alertEvent.timestamp).getTime(),
@@ -73,18 +257,140 @@ class OfflineCacheManager {
       });
     }
     /**
-     * Stores an alert event for offline operation.
+     * Returns the oldest events not yet acknowledged by the backend,
+     * in chronological order, without removing them.
      *
-     * Alerts and measurements are stored in the same event queue
-     * to allow unified, chronological synchronization.
+     * @param {number} limit - Maximum batch size
+     * @returns {Array} Pending events
+     */
+    getPendingBatch(limit) {
+      return this.events
+        .filter((e) => !e.synced)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(0, limit);
+    }
+    /**
+     * Marks acknowledged events as synced and removes them from the queue.
      *
-     * @param {Object} alertEvent - Generated alert event
+     * The acknowledgement is logged before the events are removed, so an
+     * acknowledged event is never replayed after a restart.
+     *
+     * @param {string[]} eventIds - Event ids acknowledged by the backend
+     * @returns {Array} Events that were synced
+     */
+    acknowledge(eventIds) {
+      const ids = new Set(eventIds);
+      const synced = this.events.filter((e) => ids.has(e.eventId) && !e.synced);
+      if (!synced.length) return [];
+      if (this.wal) this.wal.append({ op: "ack", eventIds: synced.map((e) => e.eventId) });
+      for (const e of synced) {
+        e.synced = true;
+        this.queueBytes -= eventBytes({ ...e, synced: false });
+      }
+      this.events = this.events.filter((e) => !e.synced);
+      if (this.wal && (!this.events.length || this._isLogMostlyAcked())) this._compactLog();
+      return synced;
+    }
+    /**
+     * Checks whether the log outgrew its compaction size while the live
+     * queue is less than half of it.
+     *
+     * @returns {boolean}
+     */
+    _isLogMostlyAcked() {
+      return this.wal.bytes > this.walCompactBytes && this.wal.bytes > 2 * this.queueBytes;
+    }
+    /**
+     * Returns all cached events in chronological order and empties the cache.
+     *
+     * The write-ahead log is cleared as well, since its content has
+     * been handed over.
+     *
+     * @returns {Array} Cached events
      */
     flushCachedData() {
       const flushed =this.events.sort((a,b)=>a.timestamp-b.timestamp);                // Ensure events are synchronized in the order they originally occurred.
       this.events=[];
+      this.queueBytes = 0;
+      if (this.wal) this.wal.clear();
       return flushed;
     }
+    /**
+     * Releases the write-ahead log file handle.
+     */
+    close() {
+      if (this.wal) this.wal.close();
+    }
   }
+/**
+ * Approximates the storage size of an event.
+ *
+ * @param {Object} event
+ * @returns {number} Serialized size in bytes
+ */
+function eventBytes(event) {
+  return Buffer.byteLength(JSON.stringify(event), "utf-8");
+}
+/**
+ * Builds a summary event (min/mean/max) for a bucket of measurements.
+ *
+ * For compound values, min/mean/max are objects with one entry per
+ * component (e.g. { systolic, diastolic }).
+ *
+ * @param {Object} bucket - { bucketStart, events }
+ * @param {number} bucketMs - Bucket width
+ * @returns {Object} Summary event
+ */
+function summarizeBucket(bucket, bucketMs) {
+  const first = bucket.events[0].payload;
+  const values = bucket.events.map((e) => e.payload.value);
+  const { min, mean, max } = isCompoundValue(first.value) ? summarizeComponents(values) : summarizeValues(values);
+  return {
+    eventId: nextEventId(),
+    type: "summary",
+    payload: {
+      patientId: first.patientId,
+      measurementType: first.measurementType,
+      bucketStart: new Date(bucket.bucketStart).toISOString(),
+      bucketEnd: new Date(bucket.bucketStart + bucketMs).toISOString(),
+      count: values.length,
+      min,
+      mean,
+      max,
+      measurementIds: bucket.events.map((e) => e.payload.measurementId)
+    },
+    timestamp: bucket.bucketStart,
+    synced: false
+  };
+}
+function summarizeValues(values) {
+  return {
+    min: Math.min(...values),
+    mean: values.reduce((a, b) => a + b, 0) / values.length,
+    max: Math.max(...values)
+  };
+}
+
+function summarizeComponents(values) {
+  const out = { min: {}, mean: {}, max: {} };
+  const components = new Set(values.flatMap((v) => (isCompoundValue(v) ? Object.keys(v) : [])));
+  for (const component of components) {
+    const series = values.map((v) => (isCompoundValue(v) ? v[component] : undefined)).filter((x) => typeof x === "number");
+    if (!series.length) continue;
+    const summary = summarizeValues(series);
+    for (const stat of ["min", "mean", "max"]) out[stat][component] = summary[stat];
+  }
+  return out;
+}
+let eventSequence = 0;
+/**
+ * Generates a unique event id, used by the backend to acknowledge events.
+ *
+ * @returns {string}
+ */
+function nextEventId() {
+  eventSequence = (eventSequence + 1) % 1e6;
+  return `E-${Date.now()}-${eventSequence}-${Math.floor(Math.random() * 1000)}`;
+}
   module.exports = OfflineCacheManager;
   
\ No newline at end of file
@@ -0,0 +1,136 @@
+const { toMs } = require("../utils/time");
+
+/**
+ * ReorderBuffer
+ * --------------
+ * Restores the timestamp order of measurement streams (patient +
+ * measurement type) that gateways deliver slightly out of order, e.g.
+ * Bluetooth or serial bursts.
+ *
+ * Every stream has a watermark: the newest timestamp seen, minus the
+ * lateness tolerance. Measurements are held until the watermark passes
+ * them and are then released in timestamp order. A measurement older than
+ * the watermark can no longer be released in order; it is rejected as
+ * `too-late` and counted.
+ *
+ * With a tolerance of 0, measurements are released immediately and any
+ * out-of-order measurement is too late.
+ */
+class ReorderBuffer {
+  /**
+ * Initializes the buffer.
+ *
+ * Design notes:
+ * - Event time (the measurement timestamps) drives the watermark, so a
+ *   device clock offset does not matter.
+ * - A stream that stops sending would keep its last measurements;
+ *   `releaseDue` releases what has been held for longer than the
+ *   tolerance in wall-clock time.
+ *
+ * @param {Object} params
+ * @param {number} [params.toleranceMs=0] - Accepted lateness
+ * @param {Object} [params.types] - Lateness tolerance per measurement type
+ */
+  constructor(params = {}) {
+    this.streams = new Map();                                                         // "patientId|TYPE" -> { maxSeen, lastReleased, pending }
+    this.stats = { released: 0, tooLate: 0, tooLateByStream: {} };
+    this.reconfigure(params);
+  }
+  /**
+ * Replaces the tolerance settings at runtime. Buffered measurements are kept.
+ *
+ * @param {Object} params - Same shape as the constructor parameters
+ */
+  reconfigure({ toleranceMs = 0, types = {} } = {}) {
+    this.toleranceMs = toleranceMs;
+    this.types = types;
+  }
+  /**
+ * Returns the lateness tolerance of a measurement type.
+ *
+ * @param {string} measurementType
+ * @returns {number}
+ */
+  getTolerance(measurementType) {
+    const configured = this.types[measurementType];
+    return configured === undefined ? this.toleranceMs : configured;
+  }
+  /**
+ * Adds a measurement to its stream.
+ *
+ * Measurements without a stream or a valid timestamp are released
+ * immediately, so the validator can reject them with their own reason.
+ *
+ * @param {Object} measurement
+ * @param {number} [now=Date.now()] - Arrival time
+ * @returns {Object} { status: "released" | "buffered", released: Array }
+ * or { status: "too-late", watermark, latenessMs }
+ */
+  push(measurement, now = Date.now()) {
+    const ms = toMs(measurement && measurement.timestamp);
+    if (!measurement || !measurement.patientId || !measurement.measurementType || !Number.isFinite(ms)) {
+      return { status: "released", released: [measurement] };
+    }
+    const key = `${measurement.patientId}|${measurement.measurementType}`;
+    const tolerance = this.getTolerance(measurement.measurementType);
+    const stream = this.streams.get(key) || { maxSeen: -Infinity, lastReleased: -Infinity, pending: [] };
+    this.streams.set(key, stream);
+
+    const watermark = Math.max(stream.maxSeen - tolerance, stream.lastReleased);
+    if (ms < watermark) {
+      this.stats.tooLate += 1;
+      this.stats.tooLateByStream[key] = (this.stats.tooLateByStream[key] || 0) + 1;
+      return {
+        status: "too-late",
+        watermark: new Date(watermark).toISOString(),
+        latenessMs: stream.maxSeen - ms
+      };
+    }
+
+    let at = stream.pending.length;
+    while (at > 0 && stream.pending[at - 1].ms > ms) at--;                            // Equal timestamps keep their arrival order.
+    stream.pending.splice(at, 0, { measurement, ms, receivedAt: now });
+    stream.maxSeen = Math.max(stream.maxSeen, ms);
+
+    const due = stream.pending.filter((p) => p.ms <= stream.maxSeen - tolerance).length;
+    const released = this._release(stream, due);
+    return { status: released.includes(measurement) ? "released" : "buffered", released };
+  }
+  /**
+ * Releases measurements held for longer than their tolerance, e.g. the
+ * last measurements of a stream that stopped sending.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Released measurements, in timestamp order per stream
+ */
+  releaseDue(now = Date.now()) {
+    const released = [];
+    for (const stream of this.streams.values()) {
+      let due = 0;
+      stream.pending.forEach((p, i) => {
+        if (now - p.receivedAt >= this.getTolerance(p.measurement.measurementType)) due = i + 1;
+      });
+      released.push(...this._release(stream, due));                                  // Older measurements go first, so the order is kept.
+    }
+    return released;
+  }
+  /**
+ * Returns the buffer counters.
+ *
+ * @returns {Object} { buffered, released, tooLate, tooLateByStream }
+ */
+  getStats() {
+    let buffered = 0;
+    for (const stream of this.streams.values()) buffered += stream.pending.length;
+    return { buffered, ...this.stats, tooLateByStream: { ...this.stats.tooLateByStream } };
+  }
+
+  _release(stream, count) {
+    if (!count) return [];
+    const out = stream.pending.splice(0, count);
+    stream.lastReleased = Math.max(stream.lastReleased, out[out.length - 1].ms);
+    this.stats.released += out.length;
+    return out.map((p) => p.measurement);
+  }
+}
+module.exports = ReorderBuffer;
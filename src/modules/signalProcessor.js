@@ -1,3 +1,7 @@
+const { FILTERS } = require("../utils/filters");
+const { toMs } = require("../utils/time");
+
+const DURATION_WINDOW_MAX_POINTS = 3600;                                              // Count cap of duration-bounded windows: one hour at 1 Hz
 /**
  * SignalProcessor
  * ----------------
@@ -14,17 +18,80 @@ class SignalProcessor {
      *
      * Design notes:
      * - Sliding windows are maintained per patient and measurement type.
-     * - Window size is configurable to support different monitoring policies.
+     * - Windows are bounded by duration per measurement type (`windows.types`,
+     *   falling back to `windows.default`), measured back from the newest
+     *   timestamp, and by an optional count cap (`maxPoints`). The cap defaults
+     *   to `windowSize` for windows without a duration only, so that densely
+     *   sampled streams still fill their whole duration.
+     * - The smoothing filter is selected per measurement type (`smoothing.types`),
+     *   falling back to `smoothing.default` (moving average over the last
+     *   `windowSize` points).
+     *
+     * @param {Object} params
+     * @param {number} params.windowSize - Count cap of windows without a duration, default moving average span
+     * @param {Object} [params.windows] - { default: { durationMs, maxPoints }, types: { TYPE: { durationMs, maxPoints } } }
+     * @param {Object} [params.smoothing] - { default: { filter, ... }, types: { TYPE: { filter, ... } } }
      */
-    constructor({ windowSize }) {
+    constructor({ windowSize, windows = {}, smoothing = {} }) {
       this.windowSize = windowSize;
+      this.windowPolicies = windows;
+      this.smoothing = smoothing;
       this.windows = new Map();                                                       // Map key format: patientId|measurementType
     }
+    /**
+     * Replaces the window configuration at runtime.
+     *
+     * Existing windows are kept; new bounds take effect on the next update.
+     *
+     * @param {Object} params
+     * @param {number} params.windowSize
+     * @param {Object} [params.windows]
+     * @param {Object} [params.smoothing]
+     */
+    reconfigure({ windowSize, windows = {}, smoothing = {} }) {
+      this.windowSize = windowSize;
+      this.windowPolicies = windows;
+      this.smoothing = smoothing;
+    }
+    /**
+     * Returns the window bounds that apply to a measurement type.
+     * Component channels fall back to their compound type before the default.
+     *
+     * @param {string} measurementType
+     * @returns {Object} { durationMs, maxPoints } (durationMs is null when unbounded)
+     */
+    getWindowPolicy(measurementType) {
+      const types = this.windowPolicies.types || {};
+      const policy = {
+        ...this.windowPolicies.default,
+        ...(types[measurementType] || types[measurementType.split(".")[0]])
+      };
+      const durationMs = policy.durationMs || null;
+      return { durationMs, maxPoints: policy.maxPoints || (durationMs ? DURATION_WINDOW_MAX_POINTS : this.windowSize) };
+    }
+    /**
+     * Returns the filter definition that applies to a measurement type.
+     * Component channels (e.g. "BLOOD_PRESSURE.systolic") fall back to
+     * their compound type before the default.
+     *
+     * @param {string} measurementType
+     * @returns {Object} { filter, ...options }
+     */
+    getFilter(measurementType) {
+      const types = this.smoothing.types || {};
+      return (
+        types[measurementType] ||
+        types[measurementType.split(".")[0]] ||
+        this.smoothing.default ||
+        { filter: "movingAverage" }
+      );
+    }
     /**
      * Updates the sliding window for a given patient and measurement type.
      *
      * The window stores raw measurements only.
-     * Older measurements are discarded when the window exceeds the configured size.
+     * Measurements older than the window duration (relative to the newest one)
+     * are discarded, then the oldest ones beyond the count cap.
      *
      * @param {string} patientId
      * @param {string} measurementType
@@ -35,7 +102,12 @@ class SignalProcessor {
       const key = `${patientId}|${measurementType}`;
       const arr = this.windows.get(key) || [];
       arr.push(measurement);
-      while (arr.length > this.windowSize) arr.shift();                                 // Enforce fixed-size sliding window by removing oldest entries
+      const { durationMs, maxPoints } = this.getWindowPolicy(measurementType);
+      if (durationMs) {
+        const oldest = toMs(measurement.timestamp) - durationMs;
+        while (arr.length > 1 && toMs(arr[0].timestamp) < oldest) arr.shift();          // Enforce the time span of the window
+      }
+      while (arr.length > maxPoints) arr.shift();                                       // Enforce the count cap by removing oldest entries
       this.windows.set(key, arr);
       return arr;
     }
@@ -53,7 +125,8 @@ class SignalProcessor {
     /**
      * Returns a smoothed version of the sliding window for analysis purposes.
      *
-     * Smoothing is implemented as a simple moving average over the raw window.
+     * Every point is replaced by the output of the configured filter at that
+     * point; all other measurement fields (timestamp, quality, ...) are kept.
      * This method does NOT modify the stored raw measurements.
      *
      * @param {string} patientId
@@ -63,11 +136,10 @@ class SignalProcessor {
     getSmoothedWindow(patientId, measurementType) {
       const rawWindow = this.getSlidingWindow(patientId, measurementType);
       if (!rawWindow || rawWindow.length === 0) return rawWindow;
-      const values = rawWindow.map(m => m.value);
-      const avg =
-      values.reduce((a, b) => a + b, 0) / values.length;                                    // Simple moving average used as lightweight noise filtering
-      return rawWindow.map(m => ({m,value: avg}));                                          // Return a derived window; raw measurements remain unchanged
+      const { filter, ...options } = this.getFilter(measurementType);
+      if (filter === "movingAverage" && options.span === undefined) options.span = this.windowSize;
+      const smoothed = FILTERS[filter](rawWindow.map((m) => m.value), options);
+      return rawWindow.map((m, i) => ({ ...m, value: smoothed[i] }));                    // Return a derived window; raw measurements remain unchanged
     }
   }
   module.exports = SignalProcessor;
-  
\ No newline at end of file
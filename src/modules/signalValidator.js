@@ -1,5 +1,7 @@
 const MIN_SIGNAL_QUALITY = 0.3;
-const { toMs } = require("../utils/time");
+const { nowIso, toMs } = require("../utils/time");
+const { isCompoundValue, channelKey, expandComponents } = require("../models/measurement");
+const { createAnomaly } = require("../models/anomaly");
 /**
  * SignalValidator
  * ----------------
@@ -10,8 +12,12 @@ const { toMs } = require("../utils/time");
  * - Acceptable signal quality
  * - Plausible value ranges
  * - Monotonic timestamp order per data stream
+ * - Absence of sensor artifacts (flatlines, impossible jumps, spikes,
+ *   sustained low signal quality)
  *
- * Measurements that fail validation are discarded early.
+ * Measurements that fail validation are discarded early. Artifacts are
+ * reported as technical findings (SENSOR_ARTIFACT, PROBE_OFF) so that staff
+ * are told to fix the probe; artifact values themselves are not discarded.
  */
 class SignalValidator {
   /**
@@ -19,10 +25,39 @@ class SignalValidator {
  *
  * Design notes:
  * - Timestamp consistency is tracked per patient and measurement type.
+ * - Compound types declare their components; plausible ranges are
+ *   configured per component channel (e.g. `BLOOD_PRESSURE.systolic`).
+ * - Artifact checks are configured per channel (`artifacts.channels`):
+ *   `maxChangePerSecond` for impossible jumps, `spikeDelta` for spikes.
+ *   Flatline and low-quality limits are counted in consecutive samples.
+ *
+ * @param {Object} params
+ * @param {Object} params.plausibleRanges
+ * @param {Object} [params.compoundTypes]
+ * @param {Object} [params.artifacts] - { enabled, flatlineSamples, lowQualitySamples, severity, channels }
  */
-  constructor({ plausibleRanges }) {
+  constructor({ plausibleRanges, compoundTypes = {}, artifacts = {} }) {
     this.plausibleRanges = plausibleRanges;
+    this.compoundTypes = compoundTypes;
+    this.artifacts = artifacts;
     this.lastTimestampByStream = new Map();                                         // Tracks last timestamp per patient and measurement stream
+    this.artifactStateByChannel = new Map();                                        // "patientId|channel" -> recent values and flatline count
+    this.lowQualityByStream = new Map();                                            // "patientId|TYPE" -> { count, raised }
+  }
+  /**
+ * Replaces the validation configuration at runtime.
+ *
+ * Timestamp tracking and artifact state per stream are kept.
+ *
+ * @param {Object} params
+ * @param {Object} params.plausibleRanges
+ * @param {Object} [params.compoundTypes]
+ * @param {Object} [params.artifacts]
+ */
+  reconfigure({ plausibleRanges, compoundTypes = {}, artifacts = {} }) {
+    this.plausibleRanges = plausibleRanges;
+    this.compoundTypes = compoundTypes;
+    this.artifacts = artifacts;
   }
   /**
  * Validates the signal quality of a measurement.
@@ -39,13 +74,33 @@ class SignalValidator {
   /**
    * Checks whether the measurement value is within plausible physiological limits.
    *
+   * Compound measurements are plausible when all required components are
+   * present and every reported component is known and within its range.
+   *
    * @param {Object} m - Measurement
    * @returns {boolean} True if value is numeric and within configured range
    */
   checkValuePlausibility(m) {
-    const r = this.plausibleRanges[m.measurementType];
-    if (!r) return false;                                                                             // Unknown measurement types are rejected
-    return typeof m.value === "number" && m.value >= r.min && m.value <= r.max;
+    const compound = this.compoundTypes[m.measurementType];
+    if (compound) return this._checkCompoundPlausibility(m, compound);
+    return isWithinRange(m.value, this.plausibleRanges[m.measurementType]);                           // Unknown measurement types are rejected
+  }
+  /**
+   * Validates the components of a compound measurement value.
+   *
+   * @param {Object} m - Measurement
+   * @param {Object} compound - Compound type definition (components, required)
+   * @returns {boolean}
+   */
+  _checkCompoundPlausibility(m, compound) {
+    if (!isCompoundValue(m.value)) return false;
+    const required = compound.required || compound.components;
+    if (!required.every((c) => m.value[c] !== undefined)) return false;
+    return Object.entries(m.value).every(
+      ([component, v]) =>
+        compound.components.includes(component) &&
+        isWithinRange(v, this.plausibleRanges[channelKey(m.measurementType, component)])
+    );
   }
   /**
  * Verifies temporal consistency of incoming measurements.
@@ -69,6 +124,125 @@ class SignalValidator {
     return { ok: true };
   }
   /**
+ * Tracks consecutive low-quality samples of a stream.
+ *
+ * A PROBE_OFF finding is returned once when the streak reaches
+ * `lowQualitySamples`; a good sample ends the streak and re-arms it.
+ *
+ * @param {Object} m - Measurement
+ * @param {boolean} lowQuality
+ * @returns {Array} Technical findings (empty or one PROBE_OFF)
+ */
+  trackSignalQuality(m, lowQuality) {
+    if (!this.artifacts.enabled) return [];
+    const key = `${m.patientId}|${m.measurementType}`;
+    if (!lowQuality) {
+      this.lowQualityByStream.delete(key);
+      return [];
+    }
+    const streak = this.lowQualityByStream.get(key) || { count: 0, raised: false };
+    streak.count += 1;
+    this.lowQualityByStream.set(key, streak);
+    if (streak.raised || streak.count < (this.artifacts.lowQualitySamples || Infinity)) return [];
+    streak.raised = true;
+    return [
+      this._artifact("PROBE_OFF", m, {
+        artifact: "low-quality",
+        samples: streak.count,
+        signalQuality: m.signalQuality
+      }, `${m.measurementType} signal quality low for ${streak.count} samples (probe off?)`)
+    ];
+  }
+  /**
+ * Checks the channels of a plausible, in-order measurement for artifacts.
+ *
+ * - Impossible jump: the change from the previous sample exceeds
+ *   `maxChangePerSecond`. The value is kept and still evaluated clinically,
+ *   since a real abrupt change must not go unalerted. A return to the
+ *   level before the jump is not a second jump (the spike check reports it).
+ * - Flatline: `flatlineSamples` identical values in a row. Reported once
+ *   per flatline; the values are still accepted.
+ * - Spike: the previous accepted value differs from both of its
+ *   neighbours by at least `spikeDelta`, in opposite directions, while the
+ *   neighbours agree. Reported after the fact, once the next sample arrived.
+ *
+ * @param {Object} m - Measurement
+ * @returns {Object} { findings: Array }
+ */
+  detectArtifacts(m) {
+    const result = { findings: [] };
+    if (!this.artifacts.enabled) return result;
+    const ms = toMs(m.timestamp);
+    for (const channel of expandComponents(m)) {
+      const limits = (this.artifacts.channels || {})[channel.measurementType] || {};
+      const key = `${m.patientId}|${channel.measurementType}`;
+      const state = this.artifactStateByChannel.get(key) || { accepted: [], lastSeen: null, flat: 0, flatRaised: false };
+      this.artifactStateByChannel.set(key, state);
+      const v = channel.value;
+
+      let jumpedFrom = null;
+      if (limits.maxChangePerSecond !== undefined && state.lastSeen) {
+        const isJump = (ref) => {
+          const seconds = Math.max(1, (ms - ref.ms) / 1000);                             // Samples closer than a second are compared per second.
+          return Math.abs(v - ref.value) / seconds > limits.maxChangePerSecond;
+        };
+        const beforeJump = state.lastSeen.jumpedFrom;
+        if (isJump(state.lastSeen) && (!beforeJump || isJump(beforeJump))) {
+          result.findings.push(
+            this._artifact("SENSOR_ARTIFACT", channel, {
+              artifact: "jump",
+              previous: state.lastSeen.value,
+              elapsedMs: ms - state.lastSeen.ms,
+              maxChangePerSecond: limits.maxChangePerSecond
+            }, `${channel.measurementType} impossible jump from ${state.lastSeen.value} to ${v}`)
+          );
+          jumpedFrom = { value: state.lastSeen.value, ms: state.lastSeen.ms };
+        }
+      }
+      state.lastSeen = { value: v, ms, jumpedFrom };
+
+      const previous = state.accepted[state.accepted.length - 1];
+      state.flat = previous && previous.value === v ? state.flat + 1 : 1;
+      if (state.flat < (this.artifacts.flatlineSamples || Infinity)) {
+        state.flatRaised = false;
+      } else if (!state.flatRaised) {
+        state.flatRaised = true;
+        result.findings.push(
+          this._artifact("SENSOR_ARTIFACT", channel, { artifact: "flatline", samples: state.flat },
+            `${channel.measurementType} flatline at ${v} for ${state.flat} samples`)
+        );
+      }
+
+      state.accepted.push({ value: v, ms, measurementId: m.measurementId });
+      if (state.accepted.length > 3) state.accepted.shift();
+      const spike = limits.spikeDelta !== undefined && state.accepted.length === 3 && findSpike(state.accepted, limits.spikeDelta);
+      if (spike) {
+        result.findings.push(
+          this._artifact("SENSOR_ARTIFACT", { ...channel, value: spike.value }, {
+            artifact: "spike",
+            spikeMeasurementId: spike.measurementId,
+            neighbours: [state.accepted[0].value, v],
+            spikeDelta: limits.spikeDelta
+          }, `${channel.measurementType} spike to ${spike.value} between ${state.accepted[0].value} and ${v}`)
+        );
+      }
+    }
+    return result;
+  }
+
+  _artifact(anomalyType, m, context, message) {
+    return createAnomaly({
+      anomalyType,
+      measurementType: m.measurementType,
+      observedValue: m.value,
+      expectedRange: null,
+      detectionTimestamp: nowIso(),
+      message,
+      context,
+      severity: (this.artifacts.severity || {})[anomalyType]
+    });
+  }
+  /**
  * Performs full validation of an incoming measurement.
  *
  * Validation includes:
@@ -76,23 +250,96 @@ class SignalValidator {
  * - Signal quality
  * - Value plausibility
  * - Timestamp consistency
+ * - Sensor artifacts
+ *
+ * Rejections name the rule that failed (`rule`, e.g.
+ * "plausibleRanges.HEART_RATE") and its context (`details`).
  *
  * @param {Object} m - Measurement
- * @returns {Object} Validation result with status and reason
+ * @returns {Object} Validation result with status, reason, rule, details and
+ * technical findings (`artifacts`, possibly empty)
  */
   buildValidationResult(m) {
+    const screening = this.screenMeasurement(m);
+    return screening.ok ? this.checkSequence(m) : screening;
+  }
+  /**
+ * Runs the checks that do not depend on the order of the stream:
+ * required fields, signal quality and value plausibility.
+ *
+ * The edge runs them before the reorder buffer, so a measurement that
+ * fails them never moves the watermark of its stream.
+ *
+ * @param {Object} m - Measurement
+ * @returns {Object} Validation result (see buildValidationResult)
+ */
+  screenMeasurement(m) {
     if (!m || !m.patientId || !m.measurementType) {
-      return { ok: false, reason: "missing fields" };
+      return { ok: false, reason: "missing fields", rule: "requiredFields", details: {}, artifacts: [] };
     }
-    if (!this.validateSignalQuality(m)) {
-      return { ok: false, reason: "low signal quality" };
+    const lowQuality = !this.validateSignalQuality(m);
+    const probe = this.trackSignalQuality(m, lowQuality);
+    if (lowQuality) {
+      return {
+        ok: false,
+        reason: "low signal quality",
+        rule: "minSignalQuality",
+        details: { signalQuality: m.signalQuality, min: MIN_SIGNAL_QUALITY },
+        artifacts: probe
+      };
     }
     if (!this.checkValuePlausibility(m)) {
-      return { ok: false, reason: "implausible value" };
+      const compound = this.compoundTypes[m.measurementType];
+      return {
+        ok: false,
+        reason: "implausible value",
+        rule: `plausibleRanges.${m.measurementType}`,
+        details: compound
+          ? { components: compound.components, required: compound.required || compound.components }
+          : { range: this.plausibleRanges[m.measurementType] || null },
+        artifacts: []
+      };
     }
+    return { ok: true, artifacts: [] };
+  }
+  /**
+ * Runs the checks that depend on the previous samples of the stream:
+ * timestamp consistency and sensor artifacts. Expects a screened
+ * measurement, in timestamp order.
+ *
+ * @param {Object} m - Measurement
+ * @returns {Object} Validation result (see buildValidationResult)
+ */
+  checkSequence(m) {
     const ts = this.verifyTimestampConsistency(m);
-    if (!ts.ok) return { ok: false, reason: ts.reason };
-    return { ok: true };
+    if (!ts.ok) return { ok: false, reason: ts.reason, rule: "timestampOrder", details: { timestamp: m.timestamp }, artifacts: [] };
+    return { ok: true, artifacts: this.detectArtifacts(m).findings };
   }
 }
+/**
+ * Finds a spike in three consecutive accepted samples: the middle one
+ * departs from both neighbours by at least `delta` in opposite
+ * directions, while the neighbours stay close to each other.
+ *
+ * @param {Array} samples - [before, candidate, after]
+ * @param {number} delta
+ * @returns {Object|null} The spike sample
+ */
+function findSpike([before, candidate, after], delta) {
+  const up = candidate.value - before.value;
+  const down = candidate.value - after.value;
+  if (Math.abs(up) < delta || Math.abs(down) < delta || Math.sign(up) !== Math.sign(down)) return null;
+  return Math.abs(after.value - before.value) < delta / 2 ? candidate : null;
+}
+/**
+ * Checks that a value is numeric and within an inclusive range.
+ *
+ * @param {*} value
+ * @param {Object} [range] - { min, max }
+ * @returns {boolean} False if the range is not configured
+ */
+function isWithinRange(value, range) {
+  if (!range) return false;
+  return typeof value === "number" && value >= range.min && value <= range.max;
+}
 module.exports = SignalValidator;
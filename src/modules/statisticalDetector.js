@@ -0,0 +1,199 @@
+const { nowIso, toMs } = require("../utils/time");
+const { createAnomaly } = require("../models/anomaly");
+
+const MAX_LEARNING_SAMPLES = 1000;
+
+/**
+ * StatisticalDetector
+ * --------------------
+ * Detects deviations from a patient's own baseline, complementing the
+ * static thresholds of AnomalyDetector (e.g. a resting HR of 55 climbing
+ * to 95 never crosses 120, but is far outside that patient's normal).
+ *
+ * Per patient and channel it learns a baseline, then:
+ * - flags single values whose z-score exceeds `zThreshold` (BASELINE_DEVIATION);
+ * - runs a two-sided CUSUM on the z-scores to catch small sustained
+ *   shifts that no single value reveals (CHANGE_POINT).
+ *
+ * Like EarlyWarningScorer, this module is stateful; baselines are kept in
+ * memory next to the sliding windows.
+ */
+class StatisticalDetector {
+  /**
+ * Initializes the detector.
+ *
+ * Design notes:
+ * - Learning lasts at least `learningMs` and `minSamples` values. The baseline
+ *   is then seeded robustly with the median and the scaled MAD, so artefacts
+ *   during learning do not inflate it.
+ * - Afterwards the baseline follows slow drift with an exponentially weighted
+ *   update (`adaptAlpha`) of values clipped at `clipZ` standard deviations.
+ *   Values flagged as deviations are not learned.
+ * - The standard deviation never drops below `minStdDev` of the type, so a
+ *   very stable signal does not turn noise into alerts.
+ *
+ * @param {Object} params
+ * @param {boolean} [params.enabled=false]
+ * @param {string[]} [params.types] - Channels to monitor (e.g. "HEART_RATE")
+ * @param {number} [params.learningMs=0] - Minimum learning period
+ * @param {number} [params.minSamples=30] - Minimum samples before detection starts
+ * @param {number} [params.adaptAlpha=0.01] - Weight of a new value once learned
+ * @param {number} [params.clipZ=3] - Clipping of values used for adaptation
+ * @param {number} [params.zThreshold=4] - z-score flagged as BASELINE_DEVIATION
+ * @param {Object} [params.minStdDev] - Minimum standard deviation per type
+ * @param {string} [params.severity] - Severity of BASELINE_DEVIATION anomalies
+ * @param {Object} [params.cusum] - { k, h, severity }: allowance and decision limit (in standard deviations)
+ */
+  constructor(params = {}) {
+    this.baselines = new Map();                                                       // "patientId|TYPE" -> baseline state
+    this.reconfigure(params);
+  }
+  /**
+ * Replaces the detection settings at runtime. Learned baselines are kept.
+ *
+ * @param {Object} params - Same shape as the constructor parameters
+ */
+  reconfigure({
+    enabled = false,
+    types = [],
+    learningMs = 0,
+    minSamples = 30,
+    adaptAlpha = 0.01,
+    clipZ = 3,
+    zThreshold = 4,
+    minStdDev = {},
+    severity,
+    cusum = {}
+  } = {}) {
+    this.enabled = enabled;
+    this.types = types;
+    this.learningMs = learningMs;
+    this.minSamples = minSamples;
+    this.adaptAlpha = adaptAlpha;
+    this.clipZ = clipZ;
+    this.zThreshold = zThreshold;
+    this.minStdDev = minStdDev;
+    this.severity = severity;
+    this.cusum = { k: 0.5, h: 8, ...cusum };
+  }
+  /**
+ * Returns the baseline of a channel.
+ *
+ * @param {string} patientId
+ * @param {string} measurementType
+ * @returns {Object|null} { phase, mean, stdDev, samples, learnedAt }
+ */
+  getBaseline(patientId, measurementType) {
+    const b = this.baselines.get(`${patientId}|${measurementType}`);
+    if (!b) return null;
+    return {
+      phase: b.learnedAt ? "ACTIVE" : "LEARNING",
+      mean: b.mean,
+      stdDev: b.learnedAt ? this._stdDev(b, measurementType) : null,
+      samples: b.count,
+      learnedAt: b.learnedAt
+    };
+  }
+  /**
+ * Records a value and returns the deviations it reveals.
+ *
+ * @param {Object} measurement - Scalar channel measurement (typically the latest smoothed point)
+ * @returns {Array} BASELINE_DEVIATION / CHANGE_POINT anomalies (possibly empty)
+ */
+  update(measurement) {
+    const { patientId, measurementType, value, timestamp } = measurement;
+    if (!this.enabled || !this.types.includes(measurementType)) return [];
+    const key = `${patientId}|${measurementType}`;
+    const atMs = toMs(timestamp);
+    let b = this.baselines.get(key);
+    if (!b) {
+      b = { startedAt: atMs, learning: [], count: 0, mean: null, variance: null, learnedAt: null, cusumHigh: 0, cusumLow: 0 };
+      this.baselines.set(key, b);
+    }
+    b.count += 1;
+    if (!b.learnedAt) {
+      this._learn(b, value, atMs);
+      return [];
+    }
+    const stdDev = this._stdDev(b, measurementType);
+    const z = (value - b.mean) / stdDev;
+    const stats = { mean: b.mean, stdDev, samples: b.count, learnedAt: b.learnedAt };
+    const anomalies = [];
+    if (Math.abs(z) >= this.zThreshold) {
+      anomalies.push(
+        createAnomaly({
+          anomalyType: "BASELINE_DEVIATION",
+          measurementType,
+          observedValue: value,
+          expectedRange: { min: b.mean - this.zThreshold * stdDev, max: b.mean + this.zThreshold * stdDev },
+          detectionTimestamp: nowIso(),
+          message: `${measurementType} deviates from patient baseline (z=${z.toFixed(2)})`,
+          context: { baseline: stats, zScore: z, last: measurement },
+          severity: this.severity
+        })
+      );
+    } else {
+      this._adapt(b, value, stdDev);                                                 // Deviating values are not learned as the new normal.
+    }
+    const change = this._updateCusum(b, z);
+    if (change) {
+      anomalies.push(
+        createAnomaly({
+          anomalyType: "CHANGE_POINT",
+          measurementType,
+          observedValue: value,
+          expectedRange: null,
+          detectionTimestamp: nowIso(),
+          message: `${measurementType} sustained ${change.direction === "HIGH" ? "rise" : "drop"} from patient baseline`,
+          context: { baseline: stats, zScore: z, cusum: change, last: measurement },
+          severity: this.cusum.severity
+        })
+      );
+    }
+    return anomalies;
+  }
+
+  _learn(b, value, atMs) {
+    b.learning.push(value);
+    if (b.learning.length > MAX_LEARNING_SAMPLES) b.learning.shift();
+    if (b.count < this.minSamples || atMs - b.startedAt < this.learningMs) return;
+    const med = median(b.learning);
+    const mad = median(b.learning.map((v) => Math.abs(v - med)));
+    b.mean = med;
+    b.variance = (1.4826 * mad) ** 2;                                                 // Scaled MAD estimates the standard deviation of normal data.
+    b.learnedAt = new Date(atMs).toISOString();
+    b.learning = [];
+  }
+
+  _adapt(b, value, stdDev) {
+    const limit = this.clipZ * stdDev;
+    const clipped = b.mean + Math.max(-limit, Math.min(limit, value - b.mean));
+    const delta = clipped - b.mean;
+    b.mean += this.adaptAlpha * delta;
+    b.variance = (1 - this.adaptAlpha) * (b.variance + this.adaptAlpha * delta * delta);
+  }
+
+  _updateCusum(b, z) {
+    const { k, h } = this.cusum;
+    b.cusumHigh = Math.max(0, b.cusumHigh + z - k);
+    b.cusumLow = Math.max(0, b.cusumLow - z - k);
+    if (b.cusumHigh <= h && b.cusumLow <= h) return null;
+    const change = b.cusumHigh > h
+      ? { direction: "HIGH", statistic: b.cusumHigh, k, h }
+      : { direction: "LOW", statistic: b.cusumLow, k, h };
+    b.cusumHigh = 0;                                                                  // Restart accumulation after a detected change.
+    b.cusumLow = 0;
+    return change;
+  }
+
+  _stdDev(b, measurementType) {
+    return Math.max(Math.sqrt(b.variance), this.minStdDev[measurementType] || 0) || 1;
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+module.exports = StatisticalDetector;
@@ -0,0 +1,158 @@
+const { toMs } = require("../utils/time");
+
+/**
+ * StreamWatchdog
+ * ---------------
+ * Notices measurement streams (patient + measurement type) that went silent,
+ * e.g. a pulse oximeter that stopped sending.
+ *
+ * The expected sampling interval of a stream is either configured per
+ * measurement type (`intervalsMs`) or learned from the observed
+ * inter-arrival times. A stream is silent once nothing arrived for
+ * `toleranceFactor` expected intervals (and at least `minSilenceMs`).
+ *
+ * The watchdog only keeps track of streams; raising and resolving the
+ * NO_DATA alerts is left to the caller.
+ */
+class StreamWatchdog {
+  /**
+ * Initializes the watchdog.
+ *
+ * Design notes:
+ * - Learned intervals are an exponentially weighted average of the
+ *   inter-arrival times; they are used once `learnSamples` intervals
+ *   have been observed.
+ * - Arrival times are the measurement timestamps, so checks are
+ *   deterministic given `now`.
+ *
+ * @param {Object} params
+ * @param {boolean} [params.enabled=false]
+ * @param {Object} [params.intervalsMs] - Expected interval per measurement type
+ * @param {number} [params.toleranceFactor=3] - Missed intervals before a stream is silent
+ * @param {number} [params.minSilenceMs=0] - Minimum silence before a stream is silent
+ * @param {number} [params.learnSamples=3] - Intervals needed before a learned interval is used
+ */
+  constructor(params = {}) {
+    this.streams = new Map();                                                         // "patientId|TYPE" -> { patientId, measurementType, lastAt, intervalMs, samples, alertId }
+    this.reconfigure(params);
+  }
+  /**
+ * Replaces the watchdog settings at runtime. Stream state is kept.
+ *
+ * @param {Object} params - Same shape as the constructor parameters
+ */
+  reconfigure({ enabled = false, intervalsMs = {}, toleranceFactor = 3, minSilenceMs = 0, learnSamples = 3 } = {}) {
+    this.enabled = enabled;
+    this.intervalsMs = intervalsMs;
+    this.toleranceFactor = toleranceFactor;
+    this.minSilenceMs = minSilenceMs;
+    this.learnSamples = learnSamples;
+  }
+  /**
+ * Records an accepted measurement of a stream.
+ *
+ * @param {Object} measurement
+ * @returns {string|null} Id of the NO_DATA alert to resolve if the stream was silent, else null
+ */
+  observe(measurement) {
+    const key = `${measurement.patientId}|${measurement.measurementType}`;
+    const at = toMs(measurement.timestamp);
+    const stream = this.streams.get(key) || {
+      patientId: measurement.patientId,
+      measurementType: measurement.measurementType,
+      lastAt: null,
+      intervalMs: null,
+      samples: 0,
+      alertId: null
+    };
+    this.streams.set(key, stream);
+    if (stream.lastAt !== null && at > stream.lastAt && !stream.alertId) {
+      const gap = at - stream.lastAt;                                                 // Gaps of a silence are not learned as the normal interval.
+      stream.intervalMs = stream.intervalMs === null ? gap : 0.8 * stream.intervalMs + 0.2 * gap;
+      stream.samples += 1;
+    }
+    stream.lastAt = Math.max(at, stream.lastAt || at);
+    const resumed = stream.alertId;
+    stream.alertId = null;
+    return resumed;
+  }
+  /**
+ * Returns the streams that became silent since the last check.
+ * A silent stream is reported once, until data resumes.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array} { patientId, measurementType, lastAt, expectedIntervalMs, silentForMs }
+ */
+  checkSilent(now = Date.now()) {
+    if (!this.enabled) return [];
+    const silent = [];
+    for (const stream of this.streams.values()) {
+      if (stream.alertId) continue;
+      const status = this._status(stream, now);
+      if (!status.stale) continue;
+      stream.alertId = "pending";                                                     // Replaced by the alert id once the caller raised it.
+      silent.push({
+        patientId: stream.patientId,
+        measurementType: stream.measurementType,
+        lastAt: new Date(stream.lastAt).toISOString(),
+        expectedIntervalMs: status.expectedIntervalMs,
+        silentForMs: status.ageMs
+      });
+    }
+    return silent;
+  }
+  /**
+ * Links a silent stream to the NO_DATA alert raised for it.
+ *
+ * @param {string} patientId
+ * @param {string} measurementType
+ * @param {string} alertId
+ */
+  markAlerted(patientId, measurementType, alertId) {
+    const stream = this.streams.get(`${patientId}|${measurementType}`);
+    if (stream) {
+      stream.alertId = alertId;
+      return;
+    }
+    this.streams.set(`${patientId}|${measurementType}`, {                             // Restored after a restart: no data seen yet.
+      patientId,
+      measurementType,
+      lastAt: null,
+      intervalMs: null,
+      samples: 0,
+      alertId
+    });
+  }
+  /**
+ * Returns the age and staleness of every stream of a patient.
+ *
+ * @param {string} patientId
+ * @param {number} [now=Date.now()]
+ * @returns {Object} { TYPE: { lastAt, ageMs, expectedIntervalMs, stale } }
+ */
+  getStatus(patientId, now = Date.now()) {
+    const out = {};
+    for (const stream of this.streams.values()) {
+      if (stream.patientId !== patientId || stream.lastAt === null) continue;
+      out[stream.measurementType] = {
+        lastAt: new Date(stream.lastAt).toISOString(),
+        ...this._status(stream, now)
+      };
+    }
+    return out;
+  }
+
+  _status(stream, now) {
+    const ageMs = stream.lastAt === null ? null : Math.max(0, now - stream.lastAt);
+    const configured = this.intervalsMs[stream.measurementType];
+    const expectedIntervalMs =
+      configured || (stream.samples >= this.learnSamples ? Math.round(stream.intervalMs) : null);
+    const stale =
+      this.enabled &&
+      ageMs !== null &&
+      expectedIntervalMs !== null &&
+      ageMs > Math.max(expectedIntervalMs * this.toleranceFactor, this.minSilenceMs);
+    return { ageMs, expectedIntervalMs, stale };
+  }
+}
+module.exports = StreamWatchdog;
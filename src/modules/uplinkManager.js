@@ -0,0 +1,111 @@
+const { info, warn } = require("../utils/logger");
+/**
+ * UplinkManager
+ * --------------
+ * Delivers cached events to the backend through a pluggable transport.
+ *
+ * The offline cache acts as an outbox: events stay in it (and in its
+ * write-ahead log) until the backend acknowledges them individually.
+ * Only acknowledged events are marked `synced` and removed.
+ *
+ * Transport interface:
+ *   send(events) -> Promise<{ acked: string[] }>
+ */
+class UplinkManager {
+  /**
+ * Initializes the uplink.
+ *
+ * Design notes:
+ * - Events are sent in chronological batches of `batchSize`.
+ * - A failed batch (error, or nothing acknowledged) is retried with
+ *   exponential backoff, up to `maxRetries` times per sync run.
+ * - Only one sync runs at a time; concurrent callers share it.
+ *
+ * @param {Object} params
+ * @param {Object} params.transport - Uplink transport
+ * @param {Object} params.cache - OfflineCacheManager used as outbox
+ * @param {number} [params.batchSize=100]
+ * @param {number} [params.maxRetries=5]
+ * @param {number} [params.baseDelayMs=500] - First retry delay
+ * @param {number} [params.maxDelayMs=30000] - Upper bound of a retry delay
+ * @param {Function} [params.sleep] - Delay function (injectable for tests)
+ */
+  constructor({
+    transport,
+    cache,
+    batchSize = 100,
+    maxRetries = 5,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref())
+  }) {
+    this.transport = transport;
+    this.cache = cache;
+    this.batchSize = batchSize;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.sleep = sleep;
+    this.inFlight = null;
+    this.lastReport = null;
+  }
+  /**
+ * Computes the delay before a retry.
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+  backoffDelay(attempt) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+  }
+  /**
+ * Sends all pending events, batch by batch, until the outbox is empty,
+ * connectivity is lost or retries are exhausted.
+ *
+ * @returns {Promise<Object>} Sync report
+ */
+  sync() {
+    if (!this.inFlight) {
+      this.inFlight = this._run().finally(() => {
+        this.inFlight = null;
+      });
+    }
+    return this.inFlight;
+  }
+
+  async _run() {
+    const report = { status: "synced", sent: 0, acked: 0, failedAttempts: 0, pending: 0 };
+    let attempt = 0;
+    while (true) {
+      if (!this.cache.checkConnectivityStatus()) {
+        report.status = "offline";
+        break;
+      }
+      const batch = this.cache.getPendingBatch(this.batchSize);
+      if (!batch.length) break;
+      try {
+        report.sent += batch.length;
+        const { acked = [] } = await this.transport.send(batch);
+        const synced = this.cache.acknowledge(acked);
+        report.acked += synced.length;
+        if (!synced.length) throw new Error("no events acknowledged");
+        attempt = 0;                                                                   // Progress was made: the next failure starts a fresh backoff.
+      } catch (e) {
+        report.failedAttempts += 1;
+        if (attempt >= this.maxRetries) {
+          report.status = "failed";
+          report.error = e.message;
+          warn("Uplink sync gave up", { error: e.message, retries: attempt });
+          break;
+        }
+        await this.sleep(this.backoffDelay(attempt));
+        attempt += 1;
+      }
+    }
+    report.pending = this.cache.getPendingBatch(Infinity).length;
+    if (report.acked) info("Uplink sync", report);
+    this.lastReport = { ...report, finishedAt: new Date().toISOString() };
+    return report;
+  }
+}
+module.exports = UplinkManager;
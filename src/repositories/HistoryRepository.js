@@ -1,49 +1,390 @@
 const fs = require("fs");
 const path = require("path");
+const SegmentStore = require("./SegmentStore");
+const { expandComponents } = require("../models/measurement");
+const { ALERT_TRANSITIONS } = require("../models/alertEvent");
 
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+const MAX_BUCKETS = 10000;                                                          // Per aggregation, over all channels
+
+/**
+ * HistoryRepository
+ * ------------------
+ * Local history of raw measurements and alerts, kept in two append-only
+ * segment stores (data/history/measurements, data/history/alerts).
+ *
+ * - Saving appends one record: constant cost per write, and a crash
+ *   mid-write loses at most that record instead of corrupting the file.
+ * - Alert transitions append the new version of the alert; the latest
+ *   version wins. Alerts are few and change state, so their latest
+ *   versions are also kept in memory.
+ * - History written by earlier versions (measurements.json, alerts.json)
+ *   is imported once, when the stores are created. The old files are left
+ *   untouched.
+ *
+ * Retention (see compact): raw measurements past their retention are
+ * replaced by per-minute rollups, expired minute rollups by per-hour
+ * rollups (data/history/rollups-1m, rollups-1h). Every measurement is
+ * therefore counted in exactly one tier, and queries combine the tiers.
+ */
 class HistoryRepository {
-  constructor({ storageDir } = {}) {
+  constructor({ storageDir, maxSegmentBytes, maxSegmentAgeMs } = {}) {
     this.storageDir = storageDir || path.join(__dirname, "..", "data");
-    this.measurementsFile = path.join(this.storageDir, "measurements.json");
-    this.alertsFile = path.join(this.storageDir, "alerts.json");
+    this.historyDir = path.join(this.storageDir, "history");
+
+    const fresh = !fs.existsSync(this.historyDir);
+    const limits = { maxSegmentBytes, maxSegmentAgeMs };
+    this.measurementStore = new SegmentStore({ dir: path.join(this.historyDir, "measurements"), ...limits }).open();
+    this.alertStore = new SegmentStore({ dir: path.join(this.historyDir, "alerts"), ...limits }).open();
+    this.minuteRollups = new SegmentStore({ dir: path.join(this.historyDir, "rollups-1m"), ...limits }).open();
+    this.hourRollups = new SegmentStore({ dir: path.join(this.historyDir, "rollups-1h"), ...limits }).open();
+    if (fresh) this._importLegacy();
 
-    if (!fs.existsSync(this.storageDir)) fs.mkdirSync(this.storageDir, { recursive: true });
-    if (!fs.existsSync(this.measurementsFile)) fs.writeFileSync(this.measurementsFile, "[]", "utf-8");
-    if (!fs.existsSync(this.alertsFile)) fs.writeFileSync(this.alertsFile, "[]", "utf-8");
+    this.alerts = new Map();                                                        // alertId -> latest version, in the order alerts were first saved
+    this.alertSegments = new Map();                                                 // alertId -> segment holding the latest version
+    for (const { record, seq } of this.alertStore.entries()) this._trackAlert(record, seq);
   }
 
-  _readJson(file) {
-    try {
-      return JSON.parse(fs.readFileSync(file, "utf-8"));
-    } catch {
-      return [];
+  // rotation limits may change with the configuration
+  reconfigure({ maxSegmentBytes, maxSegmentAgeMs } = {}) {
+    for (const store of [this.measurementStore, this.alertStore, this.minuteRollups, this.hourRollups]) {
+      store.reconfigure({ maxSegmentBytes, maxSegmentAgeMs });
     }
   }
 
-  _append(file, obj) {
-    const arr = this._readJson(file);
-    arr.push(obj);
-    fs.writeFileSync(file, JSON.stringify(arr, null, 2), "utf-8");
+  _trackAlert(alert, seq = this.alertStore.active.seq) {
+    this.alerts.set(alert.alertId, alert);
+    this.alertSegments.set(alert.alertId, seq);
+  }
+
+  _importLegacy() {
+    for (const [file, store] of [["measurements.json", this.measurementStore], ["alerts.json", this.alertStore]]) {
+      let arr;
+      try {
+        arr = JSON.parse(fs.readFileSync(path.join(this.storageDir, file), "utf-8"));
+      } catch {
+        continue;
+      }
+      if (Array.isArray(arr)) arr.forEach((record) => store.append(record));
+    }
   }
 
   saveMeasurement(m) {
-    this._append(this.measurementsFile, m);
+    this.measurementStore.append(m);
   }
 
   saveAlert(a) {
-    this._append(this.alertsFile, a);
+    this.alertStore.append(a);
+    this._trackAlert(a);
+  }
+
+  getAlert(alertId) {
+    return this.alerts.get(alertId) || null;
   }
 
-  // optionnel (si tu veux afficher l’historique plus tard)
-  getRecentMeasurements(limit = 50) {
-    const arr = this._readJson(this.measurementsFile);
-    return arr.slice(-limit).reverse();
+  // stores a new version of an alert (e.g. after a lifecycle transition)
+  updateAlert(alert) {
+    if (!this.alerts.has(alert.alertId)) return false;
+    this.alertStore.append(alert);
+    this._trackAlert(alert);
+    return true;
+  }
+
+  // most recent first, stops after `limit` matches; `from`/`to` bound the alert
+  // timestamp (ISO strings, inclusive). Alerts stored before lifecycle tracking
+  // count as ACTIVE (and CLINICAL)
+  getAlerts({ state, patientId, category, from, to, limit = 50 } = {}) {
+    const fromMs = from ? Date.parse(from) : -Infinity;
+    const toMs = to ? Date.parse(to) : Infinity;
+    const all = [...this.alerts.values()];
+    const out = [];
+    for (let i = all.length - 1; i >= 0 && out.length < limit; i--) {
+      const a = all[i];
+      if (state && (a.state || "ACTIVE") !== state) continue;
+      if (patientId && a.patientId !== patientId) continue;
+      if (category && (a.category || "CLINICAL") !== category) continue;
+      if ((from || to) && !(Date.parse(a.timestamp) >= fromMs && Date.parse(a.timestamp) <= toMs)) continue;
+      out.push(a);
+    }
+    return out;
+  }
+
+  // most recent first; only the newest segments are read
+  getRecentMeasurements(limit = 50, { patientId } = {}) {
+    const out = [];
+    for (const m of this.measurementStore.records({ patientId, reverse: true })) {
+      if (out.length >= limit) break;
+      if (!patientId || m.patientId === patientId) out.push(m);
+    }
+    return out;
+  }
+
+  /**
+   * Lists measurements, most recent first, one page at a time.
+   *
+   * Where raw measurements were pruned, their rollups are listed instead
+   * (minute rollups, then hour rollups), as measurement-like records:
+   * { patientId, measurementType (channel), timestamp (bucket start),
+   *   value (mean), rollup: { bucketMs, count, min, max } }.
+   *
+   * @param {Object} [query]
+   * @param {string} [query.patientId]
+   * @param {string[]} [query.types] - Measurement types (e.g. ["HEART_RATE", "SPO2"])
+   * @param {string} [query.from] - Earliest timestamp (ISO, inclusive)
+   * @param {string} [query.to] - Latest timestamp (ISO, inclusive)
+   * @param {number} [query.limit=50] - Page size (at least 1)
+   * @param {string} [query.cursor] - `nextCursor` of the previous page
+   * @returns {Object} { measurements, nextCursor } (nextCursor is null on the last page)
+   * @throws {Error} If the cursor is invalid
+   */
+  queryMeasurements({ patientId, types, from, to, limit = 50, cursor } = {}) {
+    const pageSize = Math.max(1, Math.trunc(limit) || 1);
+    const match = measurementFilter({ patientId, types, from, to });
+    const start = decodeCursor(cursor);
+    const tiers = [this.measurementStore, this.minuteRollups, this.hourRollups];
+    const measurements = [];
+    let last = null;
+    for (let tier = start ? start.tier : 0; tier < tiers.length; tier++) {
+      const after = start && start.tier === tier ? start : null;
+      for (const entry of tiers[tier].entries({ ...match.range, patientId, reverse: true, after })) {
+        if (!match(entry.record)) continue;
+        if (measurements.length >= pageSize) {
+          return { measurements, nextCursor: encodeCursor(last) };                // At least one more match exists.
+        }
+        measurements.push(tier ? rollupAsMeasurement(entry.record) : entry.record);
+        last = { ...entry, tier };
+      }
+    }
+    return { measurements, nextCursor: null };
+  }
+
+  /**
+   * Aggregates measurements into fixed time buckets (count/min/mean/max),
+   * per channel: compound values are split into their components
+   * (e.g. "BLOOD_PRESSURE.systolic").
+   *
+   * Rollups of pruned raw data are included. A bucket fed by rollups
+   * coarser than the bucket width reports that width as `resolutionMs`.
+   *
+   * @param {Object} query - Same filters as queryMeasurements, plus:
+   * @param {number} query.bucketMs - Bucket width; buckets are aligned to multiples of it
+   * @param {number} [query.maxBuckets=10000] - Most buckets over all channels
+   * @returns {Object} { CHANNEL: [{ bucketStart, bucketEnd, count, min, mean, max }] }, oldest bucket first
+   * @throws {Error} If the data spans more than `maxBuckets` buckets (code TOO_MANY_BUCKETS)
+   */
+  aggregateMeasurements({ patientId, types, from, to, bucketMs, maxBuckets = MAX_BUCKETS }) {
+    const match = measurementFilter({ patientId, types, from, to });
+    const buckets = new Map();                                                      // "CHANNEL|bucketStart" -> running aggregate
+    for (const store of [this.hourRollups, this.minuteRollups, this.measurementStore]) {
+      for (const record of store.records({ ...match.range, patientId })) {
+        if (!match(record)) continue;
+        for (const part of toAggregates(record)) {
+          const bucketStart = Math.floor(part.atMs / bucketMs) * bucketMs;
+          const key = `${part.channel}|${bucketStart}`;
+          const b = buckets.get(key) || { ...part, atMs: bucketStart, count: 0, sum: 0, min: Infinity, max: -Infinity, widthMs: 0 };
+          mergeAggregate(b, part);
+          buckets.set(key, b);
+          if (buckets.size > maxBuckets) {
+            const err = new Error(`more than ${maxBuckets} buckets: use wider buckets or a shorter range`);
+            err.code = "TOO_MANY_BUCKETS";
+            throw err;
+          }
+        }
+      }
+    }
+    const series = {};
+    for (const b of [...buckets.values()].sort((x, y) => x.atMs - y.atMs)) {
+      (series[b.channel] = series[b.channel] || []).push({
+        bucketStart: new Date(b.atMs).toISOString(),
+        bucketEnd: new Date(b.atMs + bucketMs).toISOString(),
+        count: b.count,
+        min: b.min,
+        mean: b.sum / b.count,
+        max: b.max,
+        ...(b.widthMs > bucketMs ? { resolutionMs: b.widthMs } : {})
+      });
+    }
+    return series;
+  }
+
+  /**
+   * Applies the retention policy.
+   *
+   * Retention works on whole finalised segments: a segment is pruned once
+   * its newest record is past the retention of its tier.
+   * - raw measurements older than `rawMeasurementsMs` are replaced by minute rollups;
+   * - minute rollups older than `minuteRollupsMs` are replaced by hour rollups;
+   * - hour rollups older than `hourRollupsMs` are deleted;
+   * - alerts older than `alertsMs` are deleted, unless the segment holds the
+   *   latest version of an alert that is still open (ACTIVE / ACKNOWLEDGED).
+   * A retention that is not set keeps that tier forever.
+   *
+   * @param {Object} policy - { rawMeasurementsMs, minuteRollupsMs, hourRollupsMs, alertsMs }
+   * @param {number} [now=Date.now()]
+   * @returns {Object} Report per tier: { segments, records, bytes } pruned, `rollups` written
+   * and, for alerts, `keptOpen` segments
+   */
+  compact({ rawMeasurementsMs, minuteRollupsMs, hourRollupsMs, alertsMs } = {}, now = Date.now()) {
+    const report = { compactedAt: new Date(now).toISOString() };
+    if (rawMeasurementsMs) {
+      report.rawMeasurements = this._rollUp(this.measurementStore, this.minuteRollups, MINUTE_MS, now - rawMeasurementsMs, "raw");
+    }
+    if (minuteRollupsMs) {
+      report.minuteRollups = this._rollUp(this.minuteRollups, this.hourRollups, HOUR_MS, now - minuteRollupsMs, "1m");
+    }
+    if (hourRollupsMs) report.hourRollups = this._rollUp(this.hourRollups, null, null, now - hourRollupsMs, "1h");
+    if (alertsMs) report.alerts = this._pruneAlerts(now - alertsMs);
+    return report;
+  }
+
+  _rollUp(source, target, bucketMs, cutoffMs, tier) {
+    const report = { segments: 0, records: 0, bytes: 0, ...(target ? { rollups: 0 } : {}) };
+    for (const index of source.expiredSegments(cutoffMs)) {
+      if (target) {
+        const key = `${tier}:${index.seq}:${index.firstAt}:${index.records}`;
+        const rollups = rollUp(source.readSegment(index.seq), bucketMs, key);
+        const written = countTail(target, key);                                    // Written before a crash, possibly only in part.
+        rollups.slice(written).forEach((r) => target.append(r));
+        target.sync();                                                              // The rollups are durable before their source is deleted.
+        report.rollups += rollups.length - written;
+      }
+      source.dropSegment(index.seq);
+      report.segments += 1;
+      report.records += index.records;
+      report.bytes += index.bytes;
+    }
+    return report;
+  }
+
+  _pruneAlerts(cutoffMs) {
+    const report = { segments: 0, records: 0, bytes: 0, keptOpen: 0 };
+    for (const index of this.alertStore.expiredSegments(cutoffMs)) {
+      const latest = [...this.alertSegments].filter(([, seq]) => seq === index.seq).map(([alertId]) => alertId);
+      if (latest.some((alertId) => ALERT_TRANSITIONS[this.alerts.get(alertId).state || "ACTIVE"].length)) {
+        report.keptOpen += 1;
+        continue;
+      }
+      this.alertStore.dropSegment(index.seq);
+      for (const alertId of latest) {
+        this.alerts.delete(alertId);
+        this.alertSegments.delete(alertId);
+      }
+      report.segments += 1;
+      report.records += index.records;
+      report.bytes += index.bytes;
+    }
+    return report;
   }
 
   getRecentAlerts(limit = 50) {
-    const arr = this._readJson(this.alertsFile);
-    return arr.slice(-limit).reverse();
+    return [...this.alerts.values()].slice(-limit).reverse();
+  }
+
+  close() {
+    for (const store of [this.measurementStore, this.alertStore, this.minuteRollups, this.hourRollups]) store.close();
+  }
+}
+
+// number of records at the end of a store that carry the given rollup source
+function countTail(store, source) {
+  let count = 0;
+  for (const record of store.records({ reverse: true })) {
+    if (record.source !== source) break;
+    count += 1;
+  }
+  return count;
+}
+
+// record filter for measurement queries; `range` narrows the segments to read.
+// Rollups are per channel ("BLOOD_PRESSURE.systolic") and match their type.
+function measurementFilter({ patientId, types, from, to }) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  const match = (m) => {
+    const t = Date.parse(m.timestamp);
+    return (
+      (!patientId || m.patientId === patientId) &&
+      (!types || !types.length || types.includes(m.measurementType.split(".")[0])) &&
+      t >= fromMs &&
+      t <= toMs
+    );
+  };
+  match.range = { from: fromMs, to: toMs };
+  return match;
+}
+
+// splits a raw measurement (per channel) or a rollup into { channel, patientId, atMs, count, sum, min, max, widthMs }
+function toAggregates(record) {
+  const atMs = Date.parse(record.timestamp);
+  if (record.bucketMs) {
+    const { patientId, measurementType: channel, count, min, mean, max, bucketMs: widthMs } = record;
+    return [{ channel, patientId, atMs, count, sum: mean * count, min, max, widthMs }];
+  }
+  return expandComponents(record)
+    .filter((c) => typeof c.value === "number")
+    .map((c) => ({ channel: c.measurementType, patientId: c.patientId, atMs, count: 1, sum: c.value, min: c.value, max: c.value, widthMs: 0 }));
+}
+
+function mergeAggregate(into, part) {
+  into.count += part.count;
+  into.sum += part.sum;
+  into.min = Math.min(into.min, part.min);
+  into.max = Math.max(into.max, part.max);
+  into.widthMs = Math.max(into.widthMs, part.widthMs);
+}
+
+// rollup records of one segment: count/min/mean/max per patient, channel and bucket
+function rollUp(records, bucketMs, source) {
+  const buckets = new Map();
+  for (const record of records) {
+    for (const part of toAggregates(record)) {
+      const atMs = Math.floor(part.atMs / bucketMs) * bucketMs;
+      const key = `${part.patientId}|${part.channel}|${atMs}`;
+      const b = buckets.get(key) || { ...part, atMs, count: 0, sum: 0, min: Infinity, max: -Infinity };
+      mergeAggregate(b, part);
+      buckets.set(key, b);
+    }
+  }
+  return [...buckets.values()].map((b) => ({
+    patientId: b.patientId,
+    measurementType: b.channel,
+    timestamp: new Date(b.atMs).toISOString(),
+    bucketMs,
+    count: b.count,
+    min: b.min,
+    mean: b.sum / b.count,
+    max: b.max,
+    source
+  }));
+}
+
+function rollupAsMeasurement(r) {
+  return {
+    patientId: r.patientId,
+    measurementType: r.measurementType,
+    timestamp: r.timestamp,
+    value: r.mean,
+    rollup: { bucketMs: r.bucketMs, count: r.count, min: r.min, max: r.max }
+  };
+}
+
+// cursors are opaque to clients: the tier and store position of the last returned record
+function encodeCursor({ tier, seq, line }) {
+  return Buffer.from(JSON.stringify({ tier, seq, line }), "utf-8").toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { tier = 0, seq, line } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if ([tier, seq, line].every(Number.isInteger)) return { tier, seq, line };
+  } catch {
+    // fall through
   }
+  const err = new Error(`invalid cursor: ${cursor}`);
+  err.code = "INVALID_CURSOR";
+  throw err;
 }
 
 module.exports = HistoryRepository;
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+
+const OVERRIDE_KEYS = ["thresholds", "slopeThresholds", "severityPolicy", "debounceMs"];
+
+/**
+ * PatientProfileRepository
+ * -------------------------
+ * Stores per-patient and per-cohort overrides of the global detection
+ * and alerting configuration (e.g. COPD SpO2 targets, paediatric ranges).
+ *
+ * File layout (patientProfiles.json):
+ * {
+ *   "cohorts":  { "COPD": { "description": "...", "overrides": { ... } } },
+ *   "patients": { "p1": { "cohort": "COPD", "overrides": { ... } } }
+ * }
+ *
+ * Supported overrides: thresholds, slopeThresholds, severityPolicy, debounceMs.
+ */
+class PatientProfileRepository {
+  constructor({ storageDir } = {}) {
+    this.storageDir = storageDir || path.join(__dirname, "..", "data");
+    this.profilesFile = path.join(this.storageDir, "patientProfiles.json");
+
+    if (!fs.existsSync(this.storageDir)) fs.mkdirSync(this.storageDir, { recursive: true });
+    if (!fs.existsSync(this.profilesFile)) {
+      fs.writeFileSync(this.profilesFile, JSON.stringify({ cohorts: {}, patients: {} }, null, 2), "utf-8");
+    }
+    this.data = this._read();
+  }
+
+  _read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.profilesFile, "utf-8"));
+      return { cohorts: data.cohorts || {}, patients: data.patients || {} };
+    } catch {
+      return { cohorts: {}, patients: {} };
+    }
+  }
+
+  _write() {
+    const tmp = `${this.profilesFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2), "utf-8");
+    fs.renameSync(tmp, this.profilesFile);                                          // Rename keeps the file intact if the process dies mid-write
+  }
+
+  getProfile(patientId) {
+    return this.data.patients[patientId] || null;
+  }
+
+  getCohort(name) {
+    return this.data.cohorts[name] || null;
+  }
+
+  listCohorts() {
+    return this.data.cohorts;
+  }
+
+  /**
+   * Creates or replaces a patient's profile.
+   *
+   * @param {string} patientId
+   * @param {Object} profile - { cohort?, overrides? }
+   * @returns {Object} Stored profile
+   * @throws {Error} If the profile is invalid
+   */
+  saveProfile(patientId, profile) {
+    const cleaned = {
+      ...(profile.cohort ? { cohort: profile.cohort } : {}),
+      overrides: profile.overrides || {}
+    };
+    validateProfile(cleaned, this.data.cohorts);
+    this.data.patients[patientId] = cleaned;
+    this._write();
+    return cleaned;
+  }
+
+  /**
+   * Creates or replaces a cohort definition.
+   *
+   * @param {string} name - Cohort name (e.g. "COPD")
+   * @param {Object} cohort - { description?, overrides? }
+   * @returns {Object} Stored cohort
+   * @throws {Error} If the overrides are invalid
+   */
+  saveCohort(name, cohort) {
+    const cleaned = {
+      ...(cohort.description ? { description: cohort.description } : {}),
+      overrides: cohort.overrides || {}
+    };
+    validateProfile({ overrides: cleaned.overrides }, this.data.cohorts);
+    this.data.cohorts[name] = cleaned;
+    this._write();
+    return cleaned;
+  }
+
+  deleteProfile(patientId) {
+    const existed = !!this.data.patients[patientId];
+    delete this.data.patients[patientId];
+    if (existed) this._write();
+    return existed;
+  }
+
+  /**
+   * Resolves the effective overrides for a patient.
+   *
+   * Cohort overrides apply first, patient overrides on top. Threshold,
+   * slope and severity overrides replace the global entry of the same
+   * measurement type; other types keep the global configuration.
+   *
+   * @param {string} patientId
+   * @returns {Object} Effective overrides (empty object if none)
+   */
+  resolveOverrides(patientId) {
+    const profile = this.data.patients[patientId];
+    if (!profile) return {};
+    const cohort = profile.cohort ? this.data.cohorts[profile.cohort] : null;
+    return mergeOverrides(cohort ? cohort.overrides : {}, profile.overrides);
+  }
+}
+
+function mergeOverrides(base = {}, top = {}) {
+  const out = {};
+  for (const key of OVERRIDE_KEYS) {
+    if (base[key] === undefined && top[key] === undefined) continue;
+    out[key] =
+      key === "debounceMs"
+        ? top[key] ?? base[key]
+        : { ...(base[key] || {}), ...(top[key] || {}) };
+  }
+  return out;
+}
+
+function validateProfile(profile, cohorts) {
+  if (profile.cohort && !cohorts[profile.cohort]) {
+    throw new Error(`unknown cohort: ${profile.cohort}`);
+  }
+  const overrides = profile.overrides;
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("overrides must be an object");
+  }
+  for (const key of Object.keys(overrides)) {
+    if (!OVERRIDE_KEYS.includes(key)) throw new Error(`unsupported override: ${key}`);
+  }
+  if (overrides.debounceMs !== undefined && !(overrides.debounceMs >= 0)) {
+    throw new Error("debounceMs must be a non-negative number");
+  }
+  for (const [type, t] of Object.entries(overrides.thresholds || {})) {
+    if (typeof t.min === "number" && typeof t.max === "number" && t.min > t.max) {
+      throw new Error(`thresholds.${type}: min must not exceed max`);
+    }
+  }
+}
+
+module.exports = PatientProfileRepository;
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const SegmentStore = require("./SegmentStore");
+
+/**
+ * QuarantineRepository
+ * ---------------------
+ * Keeps every measurement the edge rejected, for device troubleshooting
+ * and regulatory review.
+ *
+ * Each record stores the measurement as received, the validation reason
+ * (e.g. "implausible value") and the validator rule that failed
+ * (e.g. "plausibleRanges.HEART_RATE"), appended to a segment store
+ * (data/history/rejections) like the measurement history. Queries only
+ * read the segments that can match, and expired segments are pruned
+ * under the retention policy (see prune).
+ *
+ * Rejections written by earlier versions (rejections.ndjson) are imported
+ * once, when the store is created. The old file is left untouched.
+ */
+class QuarantineRepository {
+  constructor({ storageDir, maxSegmentBytes, maxSegmentAgeMs } = {}) {
+    this.storageDir = storageDir || path.join(__dirname, "..", "data");
+    const dir = path.join(this.storageDir, "history", "rejections");
+
+    const fresh = !fs.existsSync(dir);
+    this.store = new SegmentStore({ dir, maxSegmentBytes, maxSegmentAgeMs, timeOf: (r) => Date.parse(r.rejectedAt) }).open();
+    if (fresh) this._importLegacy();
+  }
+
+  // rotation limits may change with the configuration
+  reconfigure({ maxSegmentBytes, maxSegmentAgeMs } = {}) {
+    this.store.reconfigure({ maxSegmentBytes, maxSegmentAgeMs });
+  }
+
+  _importLegacy() {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(this.storageDir, "rejections.ndjson"), "utf-8");
+    } catch {
+      return;
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        this.store.append(JSON.parse(line));
+      } catch {
+        // torn last line (crash mid-write): skipped
+      }
+    }
+  }
+
+  /**
+   * Stores a rejected measurement.
+   *
+   * @param {Object} params
+   * @param {Object} params.measurement - Measurement as received
+   * @param {string} params.reason - Validation reason
+   * @param {string} params.rule - Validator rule that failed
+   * @param {Object} [params.details] - Rule-specific context (e.g. the configured range)
+   * @returns {Object} Stored record
+   */
+  saveRejection({ measurement, reason, rule, details = {} }) {
+    const m = measurement || {};
+    const record = {
+      rejectionId: `R-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      rejectedAt: new Date().toISOString(),
+      patientId: m.patientId || null,
+      measurementType: m.measurementType || null,
+      deviceId: m.deviceId || null,
+      reason,
+      rule,
+      details,
+      measurement: m
+    };
+    this.store.append(record);
+    return record;
+  }
+
+  /**
+   * Lists rejections, most recent first. Only the newest matching segments
+   * are read.
+   *
+   * @param {Object} [filter] - { patientId, measurementType, reason, deviceId, from, to, limit }
+   * `from`/`to` bound the rejection time (ISO strings, inclusive)
+   * @returns {Array} Rejection records
+   */
+  getRejections({ limit = 50, ...filter } = {}) {
+    const out = [];
+    if (!(limit > 0)) return out;
+    const match = matches(filter);
+    for (const r of this.store.records({ ...match.range, patientId: filter.patientId, reverse: true })) {
+      if (!match(r)) continue;
+      out.push(r);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /**
+   * Counts rejections per reason and per device.
+   *
+   * @param {Object} [filter] - Same filters as getRejections (without limit)
+   * @returns {Object} { total, byReason: { reason: n }, byDevice: { deviceId: n } }
+   * Measurements without a device id are counted under "unknown".
+   */
+  countRejections(filter = {}) {
+    const counts = { total: 0, byReason: {}, byDevice: {} };
+    const match = matches(filter);
+    for (const r of this.store.records({ ...match.range, patientId: filter.patientId })) {
+      if (!match(r)) continue;
+      const device = r.deviceId || "unknown";
+      counts.total += 1;
+      counts.byReason[r.reason] = (counts.byReason[r.reason] || 0) + 1;
+      counts.byDevice[device] = (counts.byDevice[device] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Deletes the segments whose newest rejection is older than `cutoffMs`.
+   *
+   * @param {number} cutoffMs
+   * @returns {Object} { segments, records, bytes } pruned
+   */
+  prune(cutoffMs) {
+    const report = { segments: 0, records: 0, bytes: 0 };
+    for (const index of this.store.expiredSegments(cutoffMs)) {
+      this.store.dropSegment(index.seq);
+      report.segments += 1;
+      report.records += index.records;
+      report.bytes += index.bytes;
+    }
+    return report;
+  }
+
+  close() {
+    this.store.close();
+  }
+}
+
+// record filter for rejection queries; `range` narrows the segments to read
+function matches({ patientId, measurementType, reason, deviceId, from, to }) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  const match = (r) =>
+    (!patientId || r.patientId === patientId) &&
+    (!measurementType || r.measurementType === measurementType) &&
+    (!reason || r.reason === reason) &&
+    (!deviceId || (r.deviceId || "unknown") === deviceId) &&
+    Date.parse(r.rejectedAt) >= fromMs &&
+    Date.parse(r.rejectedAt) <= toMs;
+  match.range = { from: fromMs, to: toMs };
+  return match;
+}
+
+module.exports = QuarantineRepository;
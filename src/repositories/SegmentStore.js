@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const { warn } = require("../utils/logger");
+
+const OPEN_SUFFIX = ".open.ndjson";
+const SEGMENT_SUFFIX = ".ndjson";
+const INDEX_SUFFIX = ".idx.json";
+
+/**
+ * SegmentStore
+ * -------------
+ * Append-only store of JSON records, split into NDJSON segment files.
+ *
+ * Directory layout:
+ *   000001.ndjson, 000001.idx.json   finalised segment and its index
+ *   000002.open.ndjson               segment currently written
+ *
+ * - A write appends one line to the open segment: constant cost, the
+ *   existing data is never rewritten.
+ * - The open segment is finalised once it would exceed `maxSegmentBytes`
+ *   or is older than `maxSegmentAgeMs`: it is fsynced and renamed to its
+ *   final name (atomic), then its index is written (temp file + rename).
+ * - The index of a segment holds its record count and time range, overall
+ *   and per patient, so queries skip segments that cannot match.
+ *
+ * Recovery on open: a torn last line of the open segment (crash
+ * mid-write) is truncated, and a finalised segment without an index
+ * (crash during finalisation) is indexed again.
+ */
+class SegmentStore {
+  /**
+   * @param {Object} params
+   * @param {string} params.dir - Directory of the store
+   * @param {number} [params.maxSegmentBytes=1048576]
+   * @param {number} [params.maxSegmentAgeMs=3600000]
+   * @param {Function} [params.timeOf] - Record -> timestamp (ms) used by the index
+   */
+  constructor({ dir, maxSegmentBytes = 1048576, maxSegmentAgeMs = 3600000, timeOf = (r) => Date.parse(r.timestamp) }) {
+    this.dir = dir;
+    this.timeOf = timeOf;
+    this.segments = [];                                                             // Indexes of finalised segments, oldest first
+    this.active = null;                                                             // { seq, file, fd, openedAt, index }
+    this.lastSeq = 0;
+    this.recovery = null;                                                           // Result of the last recovery: { truncatedBytes, reindexed }
+    this.reconfigure({ maxSegmentBytes, maxSegmentAgeMs });
+  }
+
+  /**
+   * Replaces the rotation limits. They apply from the next write.
+   *
+   * @param {Object} params - { maxSegmentBytes, maxSegmentAgeMs }
+   */
+  reconfigure({ maxSegmentBytes = 1048576, maxSegmentAgeMs = 3600000 } = {}) {
+    this.maxSegmentBytes = maxSegmentBytes;
+    this.maxSegmentAgeMs = maxSegmentAgeMs;
+  }
+
+  /**
+   * Opens the store and recovers from an interrupted write or finalisation.
+   *
+   * @returns {SegmentStore} this
+   */
+  open() {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    const files = fs.readdirSync(this.dir);
+    const openSeqs = files.filter((f) => f.endsWith(OPEN_SUFFIX)).map((f) => Number.parseInt(f, 10)).sort((a, b) => a - b);
+    this.recovery = { truncatedBytes: 0, reindexed: 0 };
+
+    const openSeq = openSeqs.pop();
+    for (const seq of openSeqs) {                                                   // Only the newest open segment may keep growing.
+      this._finalise(seq, this._recoverOpen(seq));
+    }
+    const finalSeqs = fs
+      .readdirSync(this.dir)
+      .filter((f) => /^\d+\.ndjson$/.test(f))
+      .map((f) => Number.parseInt(f, 10))
+      .sort((a, b) => a - b);
+    this.segments = finalSeqs.map((seq) => this._loadIndex(seq));
+    this.lastSeq = Math.max(0, openSeq || 0, ...finalSeqs);
+
+    if (openSeq !== undefined) {
+      const index = this._recoverOpen(openSeq);
+      this.active = {
+        seq: openSeq,
+        file: this._file(openSeq, OPEN_SUFFIX),
+        fd: fs.openSync(this._file(openSeq, OPEN_SUFFIX), "a"),
+        openedAt: Date.now(),                                                       // The age of a recovered segment restarts.
+        index
+      };
+    }
+    return this;
+  }
+
+  /**
+   * Appends a record, rotating the open segment first if needed.
+   *
+   * @param {Object} record - JSON-serializable record
+   * @param {number} [now=Date.now()]
+   */
+  append(record, now = Date.now()) {
+    const line = Buffer.from(`${JSON.stringify(record)}\n`, "utf-8");
+    if (this.active && this.active.index.records > 0) {
+      const full = this.active.index.bytes + line.length > this.maxSegmentBytes;
+      const old = now - this.active.openedAt >= this.maxSegmentAgeMs;
+      if (full || old) this.rotate();
+    }
+    if (!this.active) this._openNext(now);
+    fs.writeSync(this.active.fd, line);                                             // Single write so a record is never interleaved
+    indexRecord(this.active.index, record, this.timeOf(record), line.length);
+  }
+
+  /**
+   * Finalises the open segment; the next write opens a new one.
+   */
+  rotate() {
+    if (!this.active) return;
+    fs.fsyncSync(this.active.fd);
+    fs.closeSync(this.active.fd);
+    const { seq, index } = this.active;
+    this.active = null;
+    this._finalise(seq, index);
+    this.segments.push(index);
+  }
+
+  /**
+   * Flushes the open segment to disk, e.g. before data it replaces is deleted.
+   */
+  sync() {
+    if (this.active) fs.fsyncSync(this.active.fd);
+  }
+
+  /**
+   * Iterates the stored records.
+   *
+   * Segments whose index shows no record of the patient or time range are
+   * skipped without being read; records are not filtered further.
+   *
+   * @param {Object} [options] - Same options as entries()
+   * @returns {Iterable<Object>} Records
+   */
+  *records(options) {
+    for (const entry of this.entries(options)) yield entry.record;
+  }
+
+  /**
+   * Iterates the stored records with their position in the store.
+   *
+   * Positions are stable (records are never rewritten), so a position can
+   * be used to resume an iteration, e.g. as a pagination cursor.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.patientId]
+   * @param {number} [options.from] - Earliest time (ms)
+   * @param {number} [options.to] - Latest time (ms)
+   * @param {boolean} [options.reverse=false] - Newest first
+   * @param {Object} [options.after] - { seq, line }: resume after this position
+   * @returns {Iterable<Object>} { record, seq, line }
+   */
+  *entries({ patientId, from = -Infinity, to = Infinity, reverse = false, after = null } = {}) {
+    const segments = [...this.segments];
+    if (this.active) segments.push(this.active.index);
+    if (reverse) segments.reverse();
+    for (const index of segments) {
+      if (after && (reverse ? index.seq > after.seq : index.seq < after.seq)) continue;
+      const range = patientId ? index.patients[patientId] : index;
+      if (!range || !range.records) continue;
+      if (range.lastAt !== null && range.lastAt < from) continue;
+      if (range.firstAt !== null && range.firstAt > to) continue;
+      const entries = this._readLines(index.seq).records.map((record, line) => ({ record, seq: index.seq, line }));
+      if (reverse) entries.reverse();
+      for (const entry of entries) {
+        if (after && entry.seq === after.seq && (reverse ? entry.line >= after.line : entry.line <= after.line)) continue;
+        yield entry;
+      }
+    }
+  }
+
+  /**
+   * Returns the index of every segment, oldest first (the open one last).
+   *
+   * @returns {Array} { seq, records, bytes, firstAt, lastAt, patients }
+   */
+  getIndex() {
+    return this.active ? [...this.segments, this.active.index] : [...this.segments];
+  }
+
+  /**
+   * Returns the finalised segments whose newest record is older than
+   * `cutoffMs`. An open segment that old is finalised first.
+   *
+   * @param {number} cutoffMs
+   * @returns {Array} Segment indexes, oldest first
+   */
+  expiredSegments(cutoffMs) {
+    if (this.active && this.active.index.lastAt !== null && this.active.index.lastAt < cutoffMs) this.rotate();
+    return this.segments.filter((index) => index.lastAt !== null && index.lastAt < cutoffMs);
+  }
+
+  /**
+   * Reads all records of one segment.
+   *
+   * @param {number} seq
+   * @returns {Array} Records in append order
+   */
+  readSegment(seq) {
+    return this._readLines(seq).records;
+  }
+
+  /**
+   * Deletes a finalised segment and its index.
+   *
+   * @param {number} seq
+   */
+  dropSegment(seq) {
+    fs.unlinkSync(this._file(seq, SEGMENT_SUFFIX));                                // Data first: an index without its segment is ignored.
+    fs.rmSync(this._file(seq, INDEX_SUFFIX), { force: true });
+    this.segments = this.segments.filter((index) => index.seq !== seq);
+  }
+
+  close() {
+    if (!this.active) return;
+    fs.fsyncSync(this.active.fd);
+    fs.closeSync(this.active.fd);
+    this.active = null;                                                             // Reopened (and re-indexed) as the open segment on the next open().
+  }
+
+  _file(seq, suffix) {
+    return path.join(this.dir, `${String(seq).padStart(6, "0")}${suffix}`);
+  }
+
+  _openNext(now) {
+    const seq = ++this.lastSeq;                                                     // Not reused after a segment was dropped.
+    const file = this._file(seq, OPEN_SUFFIX);
+    this.active = { seq, file, fd: fs.openSync(file, "a"), openedAt: now, index: emptyIndex(seq) };
+  }
+
+  _finalise(seq, index) {
+    fs.renameSync(this._file(seq, OPEN_SUFFIX), this._file(seq, SEGMENT_SUFFIX));
+    this._writeIndex(index);
+  }
+
+  _writeIndex(index) {
+    const file = this._file(index.seq, INDEX_SUFFIX);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(index), "utf-8");
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  _loadIndex(seq) {
+    try {
+      return JSON.parse(fs.readFileSync(this._file(seq, INDEX_SUFFIX), "utf-8"));
+    } catch {
+      const index = this._indexFile(seq, SEGMENT_SUFFIX);                           // Crash between rename and index write.
+      this._writeIndex(index);
+      this.recovery.reindexed += 1;
+      return index;
+    }
+  }
+
+  _recoverOpen(seq) {
+    const file = this._file(seq, OPEN_SUFFIX);
+    const buf = fs.readFileSync(file);
+    const validBytes = buf.lastIndexOf(0x0a) + 1;                                  // Everything after the last newline is a torn write.
+    if (validBytes < buf.length) {
+      warn("Segment store: truncating torn tail", { file, truncatedBytes: buf.length - validBytes });
+      fs.truncateSync(file, validBytes);
+      this.recovery.truncatedBytes += buf.length - validBytes;
+    }
+    return this._indexFile(seq, OPEN_SUFFIX);
+  }
+
+  _indexFile(seq, suffix) {
+    const index = emptyIndex(seq);
+    const { records, sizes } = this._readLines(seq, suffix);
+    records.forEach((r, i) => indexRecord(index, r, this.timeOf(r), sizes[i]));
+    return index;
+  }
+
+  _readLines(seq, suffix) {
+    const file = suffix
+      ? this._file(seq, suffix)
+      : this.active && this.active.seq === seq
+        ? this.active.file
+        : this._file(seq, SEGMENT_SUFFIX);
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf-8");
+    } catch {
+      return { records: [], sizes: [] };
+    }
+    const records = [];
+    const sizes = [];
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+        sizes.push(Buffer.byteLength(line, "utf-8") + 1);
+      } catch {
+        warn("Segment store: skipping unreadable record", { file });
+      }
+    }
+    return { records, sizes };
+  }
+}
+
+function emptyIndex(seq) {
+  return { seq, records: 0, bytes: 0, firstAt: null, lastAt: null, patients: {} };
+}
+
+/**
+ * Adds one record to a segment index.
+ *
+ * @param {Object} index
+ * @param {Object} record
+ * @param {number} atMs - Record time (NaN if unknown)
+ * @param {number} bytes - Encoded size of the record
+ */
+function indexRecord(index, record, atMs, bytes) {
+  index.records += 1;
+  index.bytes += bytes;
+  widen(index, atMs);
+  if (!record.patientId) return;
+  const patient = index.patients[record.patientId] || { records: 0, firstAt: null, lastAt: null };
+  patient.records += 1;
+  widen(patient, atMs);
+  index.patients[record.patientId] = patient;
+}
+
+function widen(range, atMs) {
+  if (!Number.isFinite(atMs)) return;
+  range.firstAt = range.firstAt === null ? atMs : Math.min(range.firstAt, atMs);
+  range.lastAt = range.lastAt === null ? atMs : Math.max(range.lastAt, atMs);
+}
+
+module.exports = SegmentStore;
@@ -14,17 +14,24 @@
  */
 
 const EdgeProcessor = require("./edgeProcessor");
-const { nowIso } = require("./utils/time");
 
 const edge = new EdgeProcessor();
 
-function meas(patientId, type, value, quality = 1.0) {
+const SAMPLE_INTERVAL_MS = 5000;                                                  // Simulated time between two measurements
+let clock = Date.now() - 3600000;                                                 // Simulated clock, started in the past so no timestamp lies ahead of the edge
+
+/**
+ * Creates a measurement. Without an explicit timestamp, it is stamped when
+ * it is sent, one simulated sample interval after the previous one, so
+ * trends and rates of change span realistic time.
+ */
+function meas(patientId, type, value, quality = 1.0, timestamp = null) {
   return {
     measurementId: `M-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
     patientId,
     measurementType: type,
     value,
-    timestamp: nowIso(),
+    timestamp,
     signalQuality: quality
   };
 }
@@ -46,17 +53,16 @@ const stream = [
   // =========================================================
   // TEST 2 – Threshold-based anomaly (tachycardia)
   // =========================================================
-{ log: "TEST 2: Threshold Violation (Tachycardia)\n   Expected: Immediate alert generation" },
-  meas(patientId, "HEART_RATE", 180),                         // ⚠️ urgence: tachycardie
-  meas(patientId, "HEART_RATE", 78),
+{ log: "TEST 2: Threshold Violation (Tachycardia)\n   Expected: Immediate alert generation (early warning score, SENSOR_ARTIFACT for the abrupt rise), THRESHOLD_HIGH once the smoothed rate exceeds the limit" },
+  meas(patientId, "HEART_RATE", 180),                         // ⚠️ urgence: tachycardie (abrupt, still evaluated)
+  meas(patientId, "HEART_RATE", 182),                         // 🚨 alert
   meas(patientId, "SPO2", 98),
   meas(patientId, "TEMPERATURE", 36.9),
   // =========================================================
   // TEST 3 – Alert debouncing
   // =========================================================
- { log: "TEST 3: Alert Debouncing\n   Expected: Repeated alerts suppressed within debounce interval" },
-  meas(patientId, "HEART_RATE", 85),
-  meas(patientId, "HEART_RATE", 132),                         // 🚨 alert (debounced if repeated)
+ { log: "TEST 3: Alert Debouncing\n   Expected: Repeated alert suppressed while the tachycardia persists" },
+  meas(patientId, "HEART_RATE", 178),                         // 🚨 alert (debounced)
   // =========================================================
   // TEST 4 – Offline operation and caching
   // =========================================================
@@ -85,31 +91,51 @@ const stream = [
   // =========================================================
   // TEST 7 – Timestamp consistency (out-of-order measurement)
   // =========================================================
-  { log: "TEST 7: Timestamp Order Validation\n   Expected: Measurement rejected due to out-of-order timestamp" },
+  { log: "TEST 7: Timestamp Order Validation\n   Expected: Measurement rejected as too-late (out of order beyond the reorder tolerance)" },
   meas(patientId, "HEART_RATE", 88, 1.0, "2025-01-01T00:00:00.000Z"),     // Expected: measurement discarded due to invalid timestamp order
 
   // =========================================================
   // TEST 8 – Trend-based anomaly detection (no threshold violation)
   // =========================================================
-  { log:"TEST 8: Trend-Based Detection\n   Expected: Trend anomaly detected without threshold violation"},
-  // Gradual increase should trigger trend anomaly
-  meas(patientId, "HEART_RATE", 80),
-  meas(patientId, "HEART_RATE", 85),
-  meas(patientId, "HEART_RATE", 90),
-  meas(patientId, "HEART_RATE", 95),
-  meas(patientId, "HEART_RATE", 100)
+  { log:"TEST 8: Trend-Based Detection\n   Expected: Trend anomaly detected without threshold violation, once the rise spans trend.minSpanMs"},
+  // Gradual increase over one minute (second patient, so earlier values do not mix in) should trigger a trend anomaly
+  ...[80, 82, 84, 86, 88, 90, 92, 94, 96, 98, 100, 102, 104].map((v) => meas("P002", "HEART_RATE", v))
 ];
 
+/**
+ * Prints the processing result of one measurement.
+ */
+function report(res) {
+  for (const t of res.technicalAlerts || []) {
+    console.log(`🔧 TECH    | ${t.alertType} | ${t.associatedAnomaly.message}`);
+  }
+  const m = res.measurement;
+  if (res.status === "ok") {
+    console.log(`OK        | ${m.measurementType}=${m.value} (q=${m.signalQuality})${res.note ? ` [${res.note}]` : ""}`);
+  } else if (res.status === "buffered") {
+    return;                                                                       // Reported once the reorder buffer releases it.
+  } else if (res.status === "alert") {
+    console.log(
+      `🚨 ALERT   | ${res.alert.severityLevel} | ${res.anomaly.message} | value=${res.anomaly.observedValue}`
+    );
+  } else {
+    console.log(`❌ REJECTED | ${res.reason}`);
+  }
+}
+
 let i = 0;
 const interval = setInterval(() => {
-  if (i >= stream.length) {
+  const item = stream[i++];
+  if (!item || item.log || item.cmd) {
+    edge.releaseBuffered(Infinity).forEach(report);                               // A scenario ends: release what the reorder buffer still holds.
+  }
+
+  if (!item) {
     clearInterval(interval);
     console.log("\n✅ Simulation finished.");
     return;
   }
 
-  const item = stream[i++];
-
   if (item.log) {
     console.log("\n" + item.log);
     return;
@@ -133,16 +159,12 @@ const interval = setInterval(() => {
     return;
   }
 
-  const res = edge.ingestMeasurement(item);
-
-  if (res.status === "ok") {
-    console.log(`OK        | ${item.measurementType}=${item.value} (q=${item.signalQuality})`);
-  } else if (res.status === "alert") {
-    console.log(
-      `🚨 ALERT   | ${res.alert.severityLevel} | ${res.anomaly.message} | value=${res.anomaly.observedValue}`
-    );
-  } else {
-    console.log(`❌ REJECTED | ${res.reason}`);
+  if (item.timestamp === null) {
+    clock += SAMPLE_INTERVAL_MS;
+    item.timestamp = new Date(clock).toISOString();
   }
+  const res = edge.ingestMeasurement(item);
+  (res.released || []).forEach(report);                                           // Earlier measurements released by this one come first.
+  report(res);
 }, 1000);
 
@@ -0,0 +1,28 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * FileSink
+ * ---------
+ * Notification sink that appends every alert as one JSON line (NDJSON).
+ *
+ * Implements the sink interface:
+ *   send(alert) -> Promise<void>
+ */
+class FileSink {
+  /**
+   * @param {Object} params
+   * @param {string} params.path - Target file (directories are created)
+   */
+  constructor({ path: file }) {
+    if (!file) throw new Error("file sink requires a path");
+    this.file = file;
+  }
+
+  async send(alert) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${JSON.stringify(alert)}\n`, "utf-8");
+  }
+}
+
+module.exports = FileSink;
@@ -0,0 +1,170 @@
+const net = require("net");
+const os = require("os");
+
+/**
+ * SmtpSink
+ * ---------
+ * Notification sink that emails alerts through a local SMTP relay.
+ *
+ * Implements the sink interface:
+ *   send(alert) -> Promise<void>
+ *
+ * Minimal SMTP client (RFC 5321): EHLO, MAIL FROM, RCPT TO, DATA, QUIT.
+ * Authentication and TLS are left to the local relay, which is expected
+ * to accept mail from the edge device.
+ */
+class SmtpSink {
+  /**
+   * @param {Object} params
+   * @param {string} [params.host="localhost"]
+   * @param {number} [params.port=25]
+   * @param {string} params.from - Sender address
+   * @param {string|string[]} params.to - Recipient address(es)
+   * @param {string} [params.subjectPrefix="[MedAlert]"]
+   * @param {number} [params.timeoutMs=10000]
+   */
+  constructor({ host = "localhost", port = 25, from, to, subjectPrefix = "[MedAlert]", timeoutMs = 10000 }) {
+    const recipients = [].concat(to || []);
+    if (!from || !recipients.length) throw new Error("smtp sink requires from and to");
+    this.host = host;
+    this.port = port;
+    this.from = from;
+    this.to = recipients;
+    this.subjectPrefix = subjectPrefix;
+    this.timeoutMs = timeoutMs;
+    this.hostname = os.hostname();
+  }
+
+  async send(alert) {
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error("SMTP connection timed out")));
+    const replies = replyReader(socket);
+    const dialogue = [
+      [null, 220],
+      [`EHLO ${this.hostname}`, 250],
+      [`MAIL FROM:<${this.from}>`, 250],
+      ...this.to.map((r) => [`RCPT TO:<${r}>`, 250]),
+      ["DATA", 354],
+      [`${this.formatMessage(alert)}\r\n.`, 250],
+      ["QUIT", 221]
+    ];
+    try {
+      for (const [command, expected] of dialogue) {
+        if (command !== null) socket.write(`${command}\r\n`);
+        const reply = await replies.next();
+        if (reply.code !== expected) {
+          throw new Error(`SMTP ${command ? command.split(" ")[0] : "greeting"} failed: ${reply.text}`);
+        }
+      }
+    } finally {
+      socket.end();
+    }
+  }
+
+  /**
+   * Builds the RFC 5322 message (headers + dot-stuffed body).
+   *
+   * @param {Object} alert
+   * @returns {string}
+   */
+  formatMessage(alert) {
+    const anomaly = alert.associatedAnomaly || {};
+    const [alertId, patientId, alertType, severity, raised] = [
+      alert.alertId, alert.patientId, alert.alertType, alert.severityLevel, alert.timestamp
+    ].map(singleLine);
+    const subject = `${this.subjectPrefix} ${severity} ${alertType} - patient ${patientId}`;
+    const body = [
+      `Alert:    ${alertId}`,
+      `Patient:  ${patientId}`,
+      `Type:     ${alertType}`,
+      `Severity: ${severity}`,
+      `Raised:   ${raised}`,
+      ...(anomaly.message ? ["", singleLine(anomaly.message)] : []),
+      ...(alert.escalation && alert.escalation.recipient ? ["", `Escalation tier: ${singleLine(alert.escalation.recipient)}`] : [])
+    ];
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(", ")}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${alertId.replace(/[\s<>]/g, "")}.${Date.now()}@${this.hostname}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      ...body.map((line) => (line.startsWith(".") ? `.${line}` : line))
+    ].join("\r\n");
+  }
+}
+
+/**
+ * Flattens an alert field to one line. Fields come from measurements
+ * (e.g. the patient id), so CR/LF must not reach the headers or the
+ * SMTP dialogue, where they would start new headers or commands.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function singleLine(value) {
+  return String(value === undefined || value === null ? "" : value).replace(/[\r\n\u0000-\u001f\u007f]+/g, " ");
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded-word if it is not ASCII.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, "utf-8").toString("base64")}?=`;
+}
+
+/**
+ * Collects complete SMTP replies (multi-line replies end with "NNN text").
+ *
+ * @param {net.Socket} socket
+ * @returns {{next: Function}} next() -> Promise<{code, text}>
+ */
+function replyReader(socket) {
+  const replies = [];
+  const waiting = [];
+  let buffer = "";
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  socket.setEncoding("utf-8");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      if (/^\d{3}(?: |$)/.test(line)) replies.push({ code: Number(line.slice(0, 3)), text: line });
+    }
+    settle();
+  });
+  socket.on("error", (err) => {
+    failure = err;
+    settle();
+  });
+  socket.on("close", () => {
+    failure = failure || new Error("SMTP connection closed");
+    settle();
+  });
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    })
+  };
+}
+
+module.exports = SmtpSink;
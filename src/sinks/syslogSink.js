@@ -0,0 +1,111 @@
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+
+const SEVERITY_CODES = { CRITICAL: 2, HIGH: 3, MEDIUM: 4, LOW: 5 };                  // crit, err, warning, notice
+const ENTERPRISE_ID = 32473;                                                         // Reserved for documentation (RFC 5612)
+
+/**
+ * SyslogSink
+ * -----------
+ * Notification sink that sends alerts as RFC 5424 syslog messages over
+ * UDP (one datagram per message) or TCP (octet-counting framing, RFC 6587).
+ *
+ * Implements the sink interface:
+ *   send(alert) -> Promise<void>
+ *
+ * Message layout:
+ *   <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [alert@32473 ...] MSG
+ */
+class SyslogSink {
+  /**
+   * @param {Object} params
+   * @param {string} [params.host="localhost"]
+   * @param {number} [params.port=514]
+   * @param {string} [params.protocol="udp"] - "udp" or "tcp"
+   * @param {number} [params.facility=16] - Syslog facility (16 = local0)
+   * @param {string} [params.appName="medalert"]
+   * @param {number} [params.timeoutMs=5000] - TCP connection timeout
+   */
+  constructor({ host = "localhost", port = 514, protocol = "udp", facility = 16, appName = "medalert", timeoutMs = 5000 } = {}) {
+    if (!["udp", "tcp"].includes(protocol)) throw new Error(`unknown syslog protocol: ${protocol}`);
+    this.host = host;
+    this.port = port;
+    this.protocol = protocol;
+    this.facility = facility;
+    this.appName = appName;
+    this.timeoutMs = timeoutMs;
+    this.hostname = os.hostname();
+  }
+
+  send(alert) {
+    const message = this.format(alert);
+    return this.protocol === "udp" ? this._sendUdp(message) : this._sendTcp(message);
+  }
+
+  /**
+   * Formats an alert as an RFC 5424 message.
+   *
+   * @param {Object} alert
+   * @returns {string}
+   */
+  format(alert) {
+    const pri = this.facility * 8 + (SEVERITY_CODES[alert.severityLevel] ?? 4);
+    const sd = `[alert@${ENTERPRISE_ID} ${[
+      ["alertId", alert.alertId],
+      ["patientId", alert.patientId],
+      ["severity", alert.severityLevel],
+      ["state", alert.state]
+    ]
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => `${k}="${escapeParam(v)}"`)
+      .join(" ")}]`;
+    const anomaly = alert.associatedAnomaly || {};
+    const msg = anomaly.message || `${alert.alertType} for patient ${alert.patientId}`;
+    return [
+      `<${pri}>1`,
+      alert.timestamp || new Date().toISOString(),
+      headerField(this.hostname, 255),
+      headerField(this.appName, 48),
+      process.pid,
+      headerField(alert.alertType, 32),
+      sd,
+      msg
+    ].join(" ");
+  }
+
+  _sendUdp(message) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(this.host) ? "udp6" : "udp4");
+      socket.send(Buffer.from(message, "utf-8"), this.port, this.host, (err) => {
+        socket.close();
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  _sendTcp(message) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error("syslog connection timed out")));
+      socket.on("error", reject);
+      socket.on("connect", () => {
+        socket.end(`${Buffer.byteLength(message, "utf-8")} ${message}`, "utf-8", resolve);
+      });
+    });
+  }
+}
+
+// Header fields are printable US-ASCII without spaces; "-" means empty
+function headerField(value, maxLength) {
+  const cleaned = String(value || "").replace(/[^\x21-\x7e]/g, "").slice(0, maxLength);
+  return cleaned || "-";
+}
+
+// Structured data values escape '"', '\' and ']'
+function escapeParam(value) {
+  return String(value).replace(/["\\\]]/g, (c) => `\\${c}`);
+}
+
+module.exports = SyslogSink;
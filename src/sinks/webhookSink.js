@@ -0,0 +1,79 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+/**
+ * WebhookSink
+ * ------------
+ * Notification sink that POSTs every alert as JSON to a webhook.
+ *
+ * Implements the sink interface:
+ *   send(alert) -> Promise<void>
+ *
+ * When a secret is configured, requests are signed so the receiver can
+ * verify origin and integrity:
+ *   X-MedAlert-Timestamp: <unix ms>
+ *   X-MedAlert-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Any non-2xx status, network error or timeout rejects the promise.
+ */
+class WebhookSink {
+  /**
+   * @param {Object} params
+   * @param {string} params.url - Webhook endpoint
+   * @param {string} [params.secret] - HMAC signing secret
+   * @param {number} [params.timeoutMs=5000] - Request timeout
+   * @param {Object} [params.headers] - Additional request headers
+   */
+  constructor({ url, secret, timeoutMs = 5000, headers = {} }) {
+    if (!url) throw new Error("webhook sink requires a url");
+    this.url = new URL(url);
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+  }
+
+  send(alert) {
+    const body = JSON.stringify(alert);
+    const timestamp = String(Date.now());
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      ...this.headers
+    };
+    if (this.secret) {
+      headers["X-MedAlert-Timestamp"] = timestamp;
+      headers["X-MedAlert-Signature"] = `sha256=${sign(this.secret, timestamp, body)}`;
+    }
+    const client = this.url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, { method: "POST", headers, timeout: this.timeoutMs }, (res) => {
+        res.resume();
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`webhook responded ${res.statusCode}`));
+          }
+          resolve();
+        });
+      });
+      req.on("timeout", () => req.destroy(new Error("webhook request timed out")));
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * Computes the webhook signature (also used by receivers to verify it).
+ *
+ * @param {string} secret
+ * @param {string} timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+module.exports = WebhookSink;
+module.exports.sign = sign;
@@ -0,0 +1,70 @@
+const http = require("http");
+const https = require("https");
+
+/**
+ * HttpTransport
+ * --------------
+ * Uplink transport that POSTs event batches as JSON to a backend.
+ *
+ * Implements the uplink transport interface:
+ *   send(events) -> Promise<{ acked: string[] }>
+ *
+ * Request body:  { "events": [ ...unified events ] }
+ * Response body: { "acked": [ ...eventIds ] }
+ *
+ * Any non-2xx status, network error, timeout or malformed response
+ * rejects the promise so the caller can retry.
+ */
+class HttpTransport {
+  /**
+   * @param {Object} params
+   * @param {string} params.url - Backend ingest endpoint
+   * @param {number} [params.timeoutMs=5000] - Request timeout
+   * @param {Object} [params.headers] - Additional request headers
+   */
+  constructor({ url, timeoutMs = 5000, headers = {} }) {
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+  }
+
+  send(events) {
+    const body = JSON.stringify({ events });
+    const client = this.url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        this.url,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            ...this.headers
+          },
+          timeout: this.timeoutMs
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+              return reject(new Error(`uplink responded ${res.statusCode}`));
+            }
+            try {
+              const parsed = JSON.parse(data);
+              if (!Array.isArray(parsed.acked)) throw new Error("missing acked list");
+              resolve({ acked: parsed.acked });
+            } catch (e) {
+              reject(new Error(`invalid uplink response: ${e.message}`));
+            }
+          });
+        }
+      );
+      req.on("timeout", () => req.destroy(new Error("uplink request timed out")));
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = HttpTransport;
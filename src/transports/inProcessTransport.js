@@ -0,0 +1,41 @@
+/**
+ * InProcessTransport
+ * -------------------
+ * In-memory uplink transport used for tests and local simulation.
+ *
+ * Implements the uplink transport interface:
+ *   send(events) -> Promise<{ acked: string[] }>
+ *
+ * Received events are kept in `received`. Failures and partial
+ * acknowledgements can be scripted to exercise retry behavior.
+ */
+class InProcessTransport {
+  /**
+   * @param {Object} [params]
+   * @param {number} [params.failTimes=0] - Number of upcoming sends that reject
+   * @param {Function} [params.shouldAck] - Decides per event whether it is acknowledged
+   */
+  constructor({ failTimes = 0, shouldAck = () => true } = {}) {
+    this.failTimes = failTimes;
+    this.shouldAck = shouldAck;
+    this.received = [];
+    this.sendCalls = 0;
+  }
+
+  async send(events) {
+    this.sendCalls += 1;
+    if (this.failTimes > 0) {
+      this.failTimes -= 1;
+      throw new Error("simulated uplink failure");
+    }
+    const acked = [];
+    for (const event of events) {
+      if (!this.shouldAck(event)) continue;
+      if (!this.received.some((e) => e.eventId === event.eventId)) this.received.push(event); // Idempotent: retried events are stored once
+      acked.push(event.eventId);
+    }
+    return { acked };
+  }
+}
+
+module.exports = InProcessTransport;
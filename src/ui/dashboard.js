@@ -13,16 +13,53 @@ function fmt(ts) {
   }
 }
 
-function setStatusPill(online) {
+function fmtValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "object") {
+    const map = value.map !== undefined ? ` (${value.map})` : "";
+    return `${value.systolic ?? "—"}/${value.diastolic ?? "—"}${map}`;
+  }
+  return value;
+}
+
+function fmtSince(ts) {
+  if (!ts) return "";
+  const s = Math.max(0, Math.round((Date.now() - new Date(ts).getTime()) / 1000));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+// e.g. "97 · stale 2m 5s" when the stream went silent
+function setCard(id, measurement) {
+  const el = $(id);
+  if (!el) return;
+  if (!measurement) {
+    el.textContent = "—";
+    el.classList.remove("stale");
+    return;
+  }
+  const value = fmtValue(measurement.value);
+  const age = measurement.ageMs === undefined ? "" : fmtSince(Date.now() - measurement.ageMs);
+  el.textContent = measurement.stale ? `${value} · stale ${age}` : value;
+  el.title = age ? `updated ${age} ago` : "";
+  el.classList.toggle("stale", !!measurement.stale);
+}
+
+function setStatusPill(online, connectivity) {
   const pill = $("statusPill");
   if (!pill) return;
 
+  const since = connectivity?.lastChangeAt ? ` · ${fmtSince(connectivity.lastChangeAt)}` : "";
+  const last = connectivity?.changes?.[0];
+  pill.title = last ? `Last change: ${fmt(last.changedAt)} (${last.reason})` : "";
+
   if (online) {
-    pill.textContent = "ONLINE";
+    pill.textContent = `ONLINE${since}`;
     pill.classList.remove("offline");
     pill.classList.add("online");
   } else {
-    pill.textContent = "OFFLINE";
+    pill.textContent = `OFFLINE${since}`;
     pill.classList.remove("online");
     pill.classList.add("offline");
   }
@@ -47,7 +84,7 @@ function renderMeasurementsTable() {
     tr.innerHTML = `
       <td>${fmt(m.timestamp)}</td>
       <td>${m.measurementType || "—"}</td>
-      <td>${m.value ?? "—"}</td>
+      <td>${fmtValue(m.value)}</td>
       <td>${m.signalQuality ?? "—"}</td>
     `;
     tbody.appendChild(tr);
@@ -61,17 +98,63 @@ function renderAlertsTable() {
 
   for (const a of alertHistory) {
     const sev = a.severityLevel || "—";
+    const state = a.state || "ACTIVE";
+    const last = (a.transitions || [])[a.transitions?.length - 1];
     const tr = document.createElement("tr");
+    tr.className = `category-${a.category || "CLINICAL"}`;
     tr.innerHTML = `
       <td>${fmt(a.timestamp)}</td>
       <td>${a.patientId || "—"}</td>
-      <td>${a.alertType || "—"}</td>
+      <td>${a.category === "TECHNICAL" ? "🔧 " : ""}${a.alertType || "—"}</td>
       <td class="sev-${sev}">${sev}</td>
+      <td class="state-${state}" title="${last ? `${last.by} · ${fmt(last.at)}` : ""}">${state}${escalationLabel(a)}</td>
+      <td></td>
     `;
+
+    // actions depend on the lifecycle state
+    const actions = tr.lastElementChild;
+    if (state === "ACTIVE") actions.appendChild(alertButton("Ack", a.alertId, "ack"));
+    if (state === "ACTIVE" || state === "ACKNOWLEDGED") {
+      actions.appendChild(alertButton("Resolve", a.alertId, "resolve"));
+    }
     tbody.appendChild(tr);
   }
 }
 
+// e.g. " · ↑ CHARGE_NURSE" once an alert has been escalated
+function escalationLabel(a) {
+  const steps = a.escalation?.history?.length || 0;
+  return steps ? ` · ↑ ${a.escalation.recipient}` : "";
+}
+
+function alertButton(label, alertId, action) {
+  const btn = document.createElement("button");
+  btn.className = "btn-small";
+  btn.textContent = label;
+  btn.addEventListener("click", () => changeAlertState(alertId, action));
+  return btn;
+}
+
+async function changeAlertState(alertId, action) {
+  const by = $("caregiver")?.value?.trim() || "dashboard";
+  const res = await fetch(`/alerts/${encodeURIComponent(alertId)}/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ by })
+  });
+  const out = await res.json();
+
+  if (!out.ok) {
+    toast(`❌ Error: ${out.error || "alert update failed"}`);
+    return;
+  }
+
+  const i = alertHistory.findIndex((a) => a.alertId === alertId);
+  if (i !== -1) alertHistory[i] = out.alert;
+  toast(`✅ Alert ${out.alert.state}`);
+  renderAlertsTable();
+}
+
 function renderAllTables() {
   renderMeasurementsTable();
   renderAlertsTable();
@@ -99,18 +182,28 @@ async function refresh() {
   const res = await fetch(`/status?patientId=${encodeURIComponent(patientId)}`);
   const data = await res.json();
 
-  setStatusPill(!!data.online);
+  setStatusPill(!!data.online, data.connectivity);
 
   const m = data.measurements || {};
-  $("hr").textContent = m.HEART_RATE?.value ?? "—";
-  $("spo2").textContent = m.SPO2?.value ?? "—";
-  $("temp").textContent = m.TEMPERATURE?.value ?? "—";
+  setCard("hr", m.HEART_RATE);
+  setCard("spo2", m.SPO2);
+  setCard("temp", m.TEMPERATURE);
+  setCard("bp", m.BLOOD_PRESSURE);
+  setCard("rr", m.RESPIRATORY_RATE);
+  setCard("glucose", m.GLUCOSE);
+
+  const ews = data.earlyWarningScore;
+  $("ews").textContent = ews ? `${ews.total} (${ews.level})` : "—";
+  $("ewsBreakdown").textContent = ews
+    ? Object.entries(ews.parameters).map(([type, p]) => `${type}: ${p.score}`).join(" · ")
+    : "";
 }
 
 async function ingest() {
   const patientId = $("patientId").value.trim();
   const measurementType = $("type").value;
-  const value = Number($("value").value);
+  const raw = $("value").value.trim();
+  const value = raw.includes("/") ? raw : Number(raw); // "120/80" for blood pressure
   const signalQuality = Number($("signalQuality").value);
 
   const res = await fetch("/ingest", {
@@ -134,13 +227,21 @@ async function ingest() {
 
   // if alert was produced, push to alert history
   if (out.result?.alert) {
-    alertHistory.unshift(out.result.alert);
-    if (alertHistory.length > 10) alertHistory.pop();
+    alertHistory.unshift(...(out.result.alerts || [out.result.alert]));
+    alertHistory.length = Math.min(alertHistory.length, 10);
     toast(`⚠️ ALERT ${out.result.alert.severityLevel}: ${out.result.alert.alertType}`);
   } else {
     toast("✅ Measurement sent");
   }
 
+  // technical alerts (probe off, artifacts) may come with discarded measurements too
+  const technical = out.result?.technicalAlerts || [];
+  if (technical.length) {
+    alertHistory.unshift(...technical);
+    alertHistory.length = Math.min(alertHistory.length, 10);
+    toast(`🔧 ${technical[0].alertType}: ${technical[0].associatedAnomaly?.message || "check the probe"}`);
+  }
+
   renderAllTables();
   refresh();
 }
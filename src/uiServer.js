@@ -6,7 +6,10 @@ const path = require("path");
 
 // Connect to the real EdgeProcessor (uiServer.js is inside src/)
 const EdgeProcessor = require("./edgeProcessor");
+const { ALERT_STATES } = require("./models/alertEvent");
 const edge = new EdgeProcessor();
+edge.watchConfig(); // hot-reload thresholds.json edits
+edge.startConnectivityMonitor(); // probes connectivity.healthUrl when enabled
 
 const PORT = 6001;
 
@@ -16,6 +19,36 @@ const uiCache = {
   patients: new Map(), // patientId -> { lastMeasurements: {TYPE: measurement}, alerts: [] }
 };
 
+// keep the UI flag in sync with automatic connectivity changes
+edge.connectivityMonitor.on("change", (event) => {
+  uiCache.online = event.online;
+});
+
+// re-raise unacknowledged alerts; show the escalated version in the UI cache
+edge.startEscalationTimer((escalated) => {
+  for (const alert of escalated) {
+    const p = ensurePatient(alert.patientId);
+    p.alerts = p.alerts.map((a) => (a.alertId === alert.alertId ? alert : a));
+  }
+});
+
+// raise NO_DATA alerts for silent streams; list them in the UI cache
+edge.startWatchdogTimer((raised) => {
+  for (const alert of raised) {
+    const p = ensurePatient(alert.patientId);
+    p.alerts.unshift(alert);
+    p.alerts = p.alerts.slice(0, 50);
+  }
+});
+
+// prune old history (raw -> minute -> hour rollups); the report is logged
+edge.startCompactionTimer();
+
+// measurements held by the reorder buffer are processed once their tolerance expired
+edge.startReorderTimer((results) => {
+  for (const result of results) cacheResult(result);
+});
+
 function ensurePatient(patientId) {
   if (!uiCache.patients.has(patientId)) {
     uiCache.patients.set(patientId, { lastMeasurements: {}, alerts: [] });
@@ -23,6 +56,26 @@ function ensurePatient(patientId) {
   return uiCache.patients.get(patientId);
 }
 
+// Lists the alerts of one processing result in the UI cache
+function cacheResult(result) {
+  const raised = result?.status === "alert" && result.alert ? result.alerts || [result.alert] : [];
+  // technical alerts (artifacts, probe off) are listed next to clinical ones
+  for (const alerts of [raised, result?.technicalAlerts || []]) {
+    if (!alerts.length) continue;
+    const p = ensurePatient(alerts[0].patientId);
+    p.alerts.unshift(...alerts);
+    p.alerts = p.alerts.slice(0, 50);
+  }
+
+  // conditions that cleared (or streams that resumed): show the auto-resolved state of their alerts
+  for (const resolution of result?.resolved || []) {
+    const resolved = edge.historyRepository.getAlert(resolution.resolvesAlertId);
+    if (!resolved) continue;
+    const p = ensurePatient(resolved.patientId);
+    p.alerts = p.alerts.map((a) => (a.alertId === resolved.alertId ? resolved : a));
+  }
+}
+
 function sendJson(res, code, obj) {
   res.writeHead(code, { "Content-Type": "application/json" });
   res.end(JSON.stringify(obj));
@@ -42,6 +95,12 @@ function readBody(req) {
   });
 }
 
+// Page size from a query string: an integer in [1, max], `fallback` when missing or not a number
+function parseLimit(value, fallback = 50, max = 1000) {
+  const n = Math.trunc(Number(value));
+  return Number.isFinite(n) && n !== 0 ? Math.min(Math.max(n, 1), max) : fallback;
+}
+
 function getContentType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   if (ext === ".html") return "text/html; charset=utf-8";
@@ -55,14 +114,23 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function makeMeasurement({ patientId, measurementType, value, signalQuality }) {
+// Accepts numbers, compound objects ({ systolic, diastolic }) or "120/80" strings
+function parseValue(value) {
+  if (value !== null && typeof value === "object") return value;
+  const bp = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value));
+  if (bp) return { systolic: Number(bp[1]), diastolic: Number(bp[2]) };
+  return Number(value);
+}
+
+function makeMeasurement({ patientId, measurementType, value, signalQuality, deviceId }) {
   return {
     measurementId: `M-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
     patientId,
     measurementType,
-    value: Number(value),
+    value: parseValue(value),
     timestamp: nowIso(),
     signalQuality: signalQuality === undefined ? 1.0 : Number(signalQuality),
+    ...(deviceId ? { deviceId: String(deviceId) } : {}),
   };
 }
 
@@ -76,10 +144,24 @@ const server = http.createServer(async (req, res) => {
     const patientId = urlObj.searchParams.get("patientId") || "p1";
     const p = ensurePatient(patientId);
 
+    // mark every last value with its age; stale = its stream went silent
+    const streams = edge.getStreamStatus(patientId);
+    const measurements = {};
+    for (const [type, m] of Object.entries(p.lastMeasurements)) {
+      const stream = streams[type];
+      measurements[type] = stream ? { ...m, ageMs: stream.ageMs, stale: stream.stale } : m;
+    }
+
     return sendJson(res, 200, {
       online: uiCache.online,
+      connectivity: edge.getConnectivityStatus(),
       patientId,
-      measurements: p.lastMeasurements,
+      measurements,
+      earlyWarningScore: edge.getEarlyWarningScore(patientId),
+      offlineCache: edge.getOfflineCacheStats(),
+      reorder: edge.getReorderStats(),
+      historyCompaction: edge.lastCompaction,
+      uplink: edge.uplinkManager ? edge.uplinkManager.lastReport : null,
       alerts: p.alerts.slice(0, 20),
     });
   }
@@ -96,27 +178,26 @@ const server = http.createServer(async (req, res) => {
     }
   }
 
-  // POST /ingest  { patientId, measurementType, value, signalQuality }
+  // POST /ingest  { patientId, measurementType, value, signalQuality, deviceId? }
   if (req.method === "POST" && urlObj.pathname === "/ingest") {
     try {
       const body = await readBody(req);
-      const { patientId, measurementType, value, signalQuality } = body;
+      const { patientId, measurementType, value, signalQuality, deviceId } = body;
 
       if (!patientId || !measurementType) {
         return sendJson(res, 400, { ok: false, error: "missing patientId or measurementType" });
       }
 
-      const measurement = makeMeasurement({ patientId, measurementType, value, signalQuality });
+      const measurement = makeMeasurement({ patientId, measurementType, value, signalQuality, deviceId });
       const result = edge.ingestMeasurement(measurement);
 
       // update UI cache for quick status display
       const p = ensurePatient(patientId);
       p.lastMeasurements[measurementType] = measurement;
 
-      if (result?.status === "alert" && result.alert) {
-        p.alerts.unshift(result.alert);
-        p.alerts = p.alerts.slice(0, 50);
-      }
+      // one measurement may raise several alerts (e.g. composite rules) and
+      // release earlier ones held by the reorder buffer
+      for (const r of [...(result?.released || []), result]) cacheResult(r);
 
       return sendJson(res, 200, { ok: true, measurement, result });
     } catch (e) {
@@ -126,29 +207,170 @@ const server = http.createServer(async (req, res) => {
 
   // POST /flush
   if (req.method === "POST" && urlObj.pathname === "/flush") {
-    const out = edge.flushCachedData();
+    // with an uplink configured, wait until the backend acknowledged the batch
+    const out = edge.uplinkManager ? await edge.syncWithBackend() : edge.flushCachedData();
     return sendJson(res, 200, { ok: true, out });
   }
 
-  // ✅ GET /history?patientId=p1
-  // Loads persisted history from HistoryRepository (measurements.json + alerts.json)
+  // GET /alerts?state=ACTIVE&patientId=p1&category=TECHNICAL&limit=50
+  if (req.method === "GET" && urlObj.pathname === "/alerts") {
+    const state = urlObj.searchParams.get("state") || undefined;
+    if (state && !ALERT_STATES.includes(state)) {
+      return sendJson(res, 400, { ok: false, error: `unknown state: ${state}` });
+    }
+    const category = urlObj.searchParams.get("category") || undefined;
+    if (category && !["CLINICAL", "TECHNICAL"].includes(category)) {
+      return sendJson(res, 400, { ok: false, error: `unknown category: ${category}` });
+    }
+    const patientId = urlObj.searchParams.get("patientId") || undefined;
+    const limit = parseLimit(urlObj.searchParams.get("limit"));
+    return sendJson(res, 200, { ok: true, alerts: edge.getAlerts({ state, patientId, category, limit }) });
+  }
+
+  // GET /rejections?patientId=p1&measurementType=SPO2&reason=too-late&deviceId=ox-1&from=ISO&to=ISO
+  // -> quarantined measurements + counts per reason and per device
+  if (req.method === "GET" && urlObj.pathname === "/rejections") {
+    const q = urlObj.searchParams;
+    for (const key of ["from", "to"]) {
+      if (q.get(key) && Number.isNaN(Date.parse(q.get(key)))) {
+        return sendJson(res, 400, { ok: false, error: `invalid ${key}: ${q.get(key)}` });
+      }
+    }
+    const { rejections, counts } = edge.getRejections({
+      patientId: q.get("patientId") || undefined,
+      measurementType: q.get("measurementType") || undefined,
+      reason: q.get("reason") || undefined,
+      deviceId: q.get("deviceId") || undefined,
+      from: q.get("from") || undefined,
+      to: q.get("to") || undefined,
+      limit: parseLimit(q.get("limit")),
+    });
+    return sendJson(res, 200, { ok: true, counts, rejections });
+  }
+
+  // POST /alerts/:id/ack      { by, note? }
+  // POST /alerts/:id/resolve  { by, note? }
+  const alertMatch = /^\/alerts\/([^/]+)\/(ack|resolve)$/.exec(urlObj.pathname);
+  if (req.method === "POST" && alertMatch) {
+    try {
+      const alertId = decodeURIComponent(alertMatch[1]);
+      const body = await readBody(req);
+      const alert =
+        alertMatch[2] === "ack"
+          ? edge.acknowledgeAlert(alertId, body)
+          : edge.resolveAlert(alertId, body);
+
+      // keep the UI cache in sync with the persisted state
+      const p = ensurePatient(alert.patientId);
+      p.alerts = p.alerts.map((a) => (a.alertId === alert.alertId ? alert : a));
+
+      return sendJson(res, 200, { ok: true, alert });
+    } catch (e) {
+      const code = e.code === "NOT_FOUND" ? 404 : e.code === "INVALID_TRANSITION" ? 409 : 400;
+      return sendJson(res, code, { ok: false, error: e.message });
+    }
+  }
+
+  // GET /history?patientId=p1&type=HEART_RATE,SPO2&from=ISO&to=ISO&limit=50&cursor=...
+  // GET /history?patientId=p1&from=ISO&to=ISO&bucketMinutes=5  -> count/min/mean/max per bucket
+  // Loads persisted history from HistoryRepository (segment stores in data/history)
   if (req.method === "GET" && urlObj.pathname === "/history") {
     try {
-      const patientId = urlObj.searchParams.get("patientId"); // optional
+      const q = urlObj.searchParams;
+      const patientId = q.get("patientId") || undefined; // optional
+      const types = q.getAll("type").flatMap((t) => t.split(",")).filter(Boolean);
+      const from = q.get("from") || undefined;
+      const to = q.get("to") || undefined;
+      for (const [key, value] of [["from", from], ["to", to]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+          return sendJson(res, 400, { ok: false, error: `invalid ${key}: ${value}` });
+        }
+      }
 
-      // methods exist if you created src/repositories/HistoryRepository.js from earlier
-      const measurements = edge.historyRepository.getRecentMeasurements(50);
-      const alerts = edge.historyRepository.getRecentAlerts(50);
+      // alerts of the same patient and time range (most recent first)
+      const alerts = edge.getAlerts({ patientId, from, to, limit: 50 });
 
-      const mFiltered = patientId ? measurements.filter(x => x.patientId === patientId) : measurements;
-      const aFiltered = patientId ? alerts.filter(x => x.patientId === patientId) : alerts;
+      if (q.has("bucketMinutes")) {
+        const bucketMinutes = Number(q.get("bucketMinutes"));
+        if (!(bucketMinutes >= 1)) {
+          return sendJson(res, 400, { ok: false, error: "bucketMinutes must be at least 1" });
+        }
+        const bucketMs = bucketMinutes * 60000;
+        const series = edge.historyRepository.aggregateMeasurements({ patientId, types, from, to, bucketMs });
+        return sendJson(res, 200, { ok: true, bucketMs, series, alerts });
+      }
+
+      const limit = parseLimit(q.get("limit"));
+      const cursor = q.get("cursor") || undefined;
+      const page = edge.historyRepository.queryMeasurements({ patientId, types, from, to, limit, cursor });
+      return sendJson(res, 200, { ok: true, measurements: page.measurements, nextCursor: page.nextCursor, alerts });
+    } catch (e) {
+      return sendJson(res, ["INVALID_CURSOR", "TOO_MANY_BUCKETS"].includes(e.code) ? 400 : 500, { ok: false, error: e.message });
+    }
+  }
 
-      return sendJson(res, 200, { ok: true, measurements: mFiltered, alerts: aFiltered });
+  // POST /history/compact  -> applies the retention policy now and reports what was pruned
+  if (req.method === "POST" && urlObj.pathname === "/history/compact") {
+    try {
+      return sendJson(res, 200, { ok: true, report: edge.compactHistory() });
     } catch (e) {
       return sendJson(res, 500, { ok: false, error: e.message });
     }
   }
 
+  // GET /patients/:id/profile  -> stored profile + effective overrides
+  // PUT /patients/:id/profile  { cohort?, overrides? }
+  const profileMatch = /^\/patients\/([^/]+)\/profile$/.exec(urlObj.pathname);
+  if (profileMatch) {
+    const patientId = decodeURIComponent(profileMatch[1]);
+    const profiles = edge.patientProfileRepository;
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, {
+        ok: true,
+        patientId,
+        profile: profiles.getProfile(patientId),
+        effective: profiles.resolveOverrides(patientId),
+      });
+    }
+
+    if (req.method === "PUT") {
+      try {
+        const body = await readBody(req);
+        const profile = profiles.saveProfile(patientId, body);
+        return sendJson(res, 200, {
+          ok: true,
+          patientId,
+          profile,
+          effective: profiles.resolveOverrides(patientId),
+        });
+      } catch (e) {
+        return sendJson(res, 400, { ok: false, error: e.message });
+      }
+    }
+  }
+
+  // GET /config  -> running configuration + version
+  if (req.method === "GET" && urlObj.pathname === "/config") {
+    return sendJson(res, 200, { ok: true, version: edge.configVersion, config: edge.cfg });
+  }
+
+  // PUT /config  { ...complete configuration }
+  if (req.method === "PUT" && urlObj.pathname === "/config") {
+    try {
+      const body = await readBody(req);
+      const version = edge.updateConfig(body);
+      return sendJson(res, 200, { ok: true, version });
+    } catch (e) {
+      return sendJson(res, 400, { ok: false, error: e.message, details: e.details });
+    }
+  }
+
+  // GET /cohorts
+  if (req.method === "GET" && urlObj.pathname === "/cohorts") {
+    return sendJson(res, 200, { ok: true, cohorts: edge.patientProfileRepository.listCohorts() });
+  }
+
   // ---------------- Static files ----------------
   // Serve files from src/ui/*
   const safePath = urlObj.pathname === "/" ? "/ui/index.html" : `/ui${urlObj.pathname}`;
@@ -0,0 +1,34 @@
+/**
+ * Checksum Utilities
+ * -------------------
+ * CRC-32 (IEEE 802.3) used to detect corrupted or torn records
+ * in on-disk logs.
+ *
+ * Implemented explicitly to keep the project self-contained
+ * and avoid external dependencies.
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;                                 // Reflected IEEE polynomial
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+/**
+ * Computes the CRC-32 of a buffer.
+ *
+ * @param {Buffer} buf
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+module.exports = { crc32 };
@@ -0,0 +1,119 @@
+/**
+ * Smoothing Filters
+ * ------------------
+ * Point-wise smoothing filters applied to the values of a sliding window.
+ *
+ * Every filter maps a series of values to a smoothed series of the same
+ * length, so the shape of the signal (and therefore its trend) is kept.
+ * Filters are causal: a smoothed point depends only on the points up to it.
+ *
+ * Filter options (per measurement type in `smoothing`):
+ * - movingAverage: { span } – mean of the last `span` points (default: window size)
+ * - ema:           { alpha } – exponential moving average, 0 < alpha <= 1
+ * - median:        { span } – median of the last `span` points (default 3)
+ * - kalman:        { processNoise, measurementNoise } – 1-D constant-level Kalman filter
+ */
+const { mean } = require("./stats");
+
+/**
+ * Trailing moving average.
+ *
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.span=values.length]
+ * @returns {number[]}
+ */
+function movingAverage(values, { span = values.length } = {}) {
+  return values.map((_, i) => mean(values.slice(Math.max(0, i - span + 1), i + 1)));
+}
+
+/**
+ * Exponential moving average, seeded with the first value.
+ *
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.5] - Weight of the newest value
+ * @returns {number[]}
+ */
+function ema(values, { alpha = 0.5 } = {}) {
+  const out = [];
+  for (const v of values) {
+    out.push(out.length ? alpha * v + (1 - alpha) * out[out.length - 1] : v);
+  }
+  return out;
+}
+
+/**
+ * Trailing median; robust against isolated spikes.
+ *
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.span=3]
+ * @returns {number[]}
+ */
+function median(values, { span = 3 } = {}) {
+  return values.map((_, i) => {
+    const sorted = values.slice(Math.max(0, i - span + 1), i + 1).sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  });
+}
+
+/**
+ * One-dimensional Kalman filter for a slowly varying level.
+ *
+ * A larger `processNoise` follows changes faster; a larger
+ * `measurementNoise` smooths more.
+ *
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.processNoise=0.1]
+ * @param {number} [options.measurementNoise=1]
+ * @returns {number[]}
+ */
+function kalman(values, { processNoise = 0.1, measurementNoise = 1 } = {}) {
+  const out = [];
+  let estimate;
+  let error = measurementNoise;
+  for (const v of values) {
+    if (estimate === undefined) {
+      estimate = v;                                                                 // Seed with the first observation.
+    } else {
+      error += processNoise;                                                        // Predict: the level may have drifted.
+      const gain = error / (error + measurementNoise);
+      estimate += gain * (v - estimate);                                            // Update with the new observation.
+      error *= 1 - gain;
+    }
+    out.push(estimate);
+  }
+  return out;
+}
+
+const FILTERS = { movingAverage, ema, median, kalman };
+
+/**
+ * Validates the options of one filter definition.
+ *
+ * @param {string} label - Prefix for error messages
+ * @param {Object} def - { filter, ...options }
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateFilter(label, def) {
+  if (!def || !FILTERS[def.filter]) {
+    return [`${label}.filter must be one of ${Object.keys(FILTERS).join(", ")}`];
+  }
+  const errors = [];
+  if (def.span !== undefined && !(Number.isInteger(def.span) && def.span >= 1)) {
+    errors.push(`${label}.span must be a positive integer`);
+  }
+  if (def.alpha !== undefined && !(typeof def.alpha === "number" && def.alpha > 0 && def.alpha <= 1)) {
+    errors.push(`${label}.alpha must be in (0, 1]`);
+  }
+  for (const key of ["processNoise", "measurementNoise"]) {
+    if (def[key] !== undefined && !(typeof def[key] === "number" && def[key] > 0)) {
+      errors.push(`${label}.${key} must be a positive number`);
+    }
+  }
+  return errors;
+}
+module.exports = { FILTERS, movingAverage, ema, median, kalman, validateFilter };
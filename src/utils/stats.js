@@ -6,6 +6,7 @@
  * Implemented explicitly to keep the project self-contained
  * and avoid external dependencies.
  */
+const { toMs } = require("./time");
 /**
  * Computes the arithmetic mean of a numeric array.
  *
@@ -41,5 +42,31 @@ function slope(values) {
   }
   return den === 0 ? 0 : num / den;                                                  // Guard against division by zero in degenerate cases
 }
-module.exports = { mean, slope };
+/**
+ * Computes the linear regression slope of measurements against their
+ * timestamps, in units per minute.
+ *
+ * Unlike `slope`, irregular sampling is taken into account: five points
+ * spread over an hour give a much flatter slope than five points in a minute.
+ *
+ * @param {Array} points - Measurements ({ value, timestamp })
+ * @returns {number} Slope in units per minute (0 if the points share one timestamp)
+ */
+function slopePerMinute(points) {
+  const n = points.length;
+  if (n < 2) return 0;
+  const t0 = toMs(points[0].timestamp);
+  const xs = points.map((p) => (toMs(p.timestamp) - t0) / 60000);                    // Minutes since the first point
+  const xMean = mean(xs);
+  const yMean = mean(points.map((p) => p.value));
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - xMean;
+    num += dx * (points[i].value - yMean);
+    den += dx * dx;
+  }
+  return den === 0 ? 0 : num / den;
+}
+module.exports = { mean, slope, slopePerMinute };
   
\ No newline at end of file
@@ -20,9 +20,52 @@
  */
 const test = require("node:test");
 const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 const EdgeProcessor = require("../src/edgeProcessor");
+const OfflineCacheManager = require("../src/modules/offlineCacheManager");
+const UplinkManager = require("../src/modules/uplinkManager");
+const ConnectivityMonitor = require("../src/modules/connectivityMonitor");
+const InProcessTransport = require("../src/transports/inProcessTransport");
+const HttpTransport = require("../src/transports/httpTransport");
+const { createBackendServer } = require("../src/backendServer");
+const http = require("http");
+const net = require("net");
+const dgram = require("dgram");
+const NotificationDispatcher = require("../src/modules/notificationDispatcher");
+const WebhookSink = require("../src/sinks/webhookSink");
+const SyslogSink = require("../src/sinks/syslogSink");
+const SmtpSink = require("../src/sinks/smtpSink");
+const HistoryRepository = require("../src/repositories/HistoryRepository");
 const { nowIso } = require("../src/utils/time");
+const { FILTERS } = require("../src/utils/filters");
+
+// Helper: isolated storage directory (profiles, history) for tests that persist state,
+// removed once all tests have run
+const storageDirs = [];
+function makeStorageDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "medalert-test-"));
+  storageDirs.push(dir);
+  return dir;
+}
+test.after(() => {
+  for (const dir of storageDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Helper: copy of the default configuration that a test may rewrite
+function makeConfigCopy() {
+  const file = path.join(makeStorageDir(), "thresholds.json");
+  fs.copyFileSync(path.join(__dirname, "..", "src", "config", "thresholds.json"), file);
+  return file;
+}
+
+// Helper: edge processor on the shipped configuration, storing its state in its own
+// directory (never in src/data)
+function makeEdge(options = {}) {
+  return new EdgeProcessor({ storageDir: makeStorageDir(), ...options });
+}
 
 // Helper: create a measurement object
 function makeMeasurement({
@@ -31,7 +74,8 @@ function makeMeasurement({
   value = 80,
   signalQuality = 1.0,
   timestamp = nowIso(),
-  measurementId = `T-${Date.now()}-${Math.floor(Math.random() * 1000)}`
+  measurementId = `T-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+  deviceId
 } = {}) {
   return {
     measurementId,
@@ -39,7 +83,8 @@ function makeMeasurement({
     measurementType,
     value,
     timestamp,
-    signalQuality
+    signalQuality,
+    ...(deviceId ? { deviceId } : {})
   };
 }
 
@@ -48,7 +93,7 @@ function makeMeasurement({
 /* ------------------------------------------------------------------ */
 
 test("Normal values should NOT generate an alert", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: 80 })
   );
@@ -56,7 +101,7 @@ test("Normal values should NOT generate an alert", () => {
 });
 
 test("High Heart Rate should generate an alert (THRESHOLD_HIGH)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: 140 })
   );
@@ -67,7 +112,7 @@ test("High Heart Rate should generate an alert (THRESHOLD_HIGH)", () => {
 });
 
 test("Low SpO2 should generate an alert (THRESHOLD_LOW)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "SPO2", value: 89 })
   );
@@ -78,7 +123,7 @@ test("Low SpO2 should generate an alert (THRESHOLD_LOW)", () => {
 });
 
 test("Temperature at boundary should alert (TEMP >= 39.0)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "TEMPERATURE", value: 39.0 })
   );
@@ -88,12 +133,91 @@ test("Temperature at boundary should alert (TEMP >= 39.0)", () => {
   assert.equal(res.anomaly.anomalyType, "THRESHOLD_HIGH");
 });
 
+test("Low Heart Rate should generate an alert (bradycardia, THRESHOLD_LOW)", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ measurementType: "HEART_RATE", value: 35 })
+  );
+
+  assert.equal(res.status, "alert");
+  assert.equal(res.anomaly.anomalyType, "THRESHOLD_LOW");
+  assert.equal(res.alert.severityLevel, "HIGH");
+});
+
+test("Low Temperature should generate an alert (hypothermia, THRESHOLD_LOW)", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ measurementType: "TEMPERATURE", value: 34.2 })
+  );
+
+  assert.equal(res.status, "alert");
+  assert.equal(res.anomaly.anomalyType, "THRESHOLD_LOW");
+});
+
+test("Threshold bands: most extreme matching band determines severity", () => {
+  const edge = makeEdge();
+  const warning = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-BAND1", measurementType: "HEART_RATE", value: 130 })
+  );
+  const critical = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-BAND2", measurementType: "HEART_RATE", value: 170 })
+  );
+
+  assert.equal(warning.alert.severityLevel, "MEDIUM");
+  assert.equal(critical.alert.severityLevel, "HIGH");
+});
+
+test("Threshold rules without explicit bands fall back to min/max", () => {
+  const edge = makeEdge();
+  edge.anomalyDetector.thresholds.GLUCOSE_TEST = { min: 70, max: 180 };
+
+  const low = edge.analyzeThreshold([{ value: 60 }], "GLUCOSE_TEST");
+  const atMax = edge.analyzeThreshold([{ value: 180 }], "GLUCOSE_TEST");
+
+  assert.equal(low.anomalyType, "THRESHOLD_LOW");
+  assert.equal(atMax, null); // bounds are exclusive by default
+});
+
+test("Blood pressure is analysed per component (hypotension via systolic)", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(
+    makeMeasurement({
+      patientId: "P-BP1",
+      measurementType: "BLOOD_PRESSURE",
+      value: { systolic: 82, diastolic: 60 }
+    })
+  );
+
+  assert.equal(res.status, "alert");
+  assert.equal(res.anomaly.measurementType, "BLOOD_PRESSURE.systolic");
+  assert.equal(res.anomaly.anomalyType, "THRESHOLD_LOW");
+
+  const mapWindow = edge.signalProcessor.getSlidingWindow("P-BP1", "BLOOD_PRESSURE.map");
+  assert.equal(mapWindow.length, 1);
+  assert.equal(mapWindow[0].value, 67.3); // derived MAP = (82 + 2 * 60) / 3
+});
+
+test("Respiratory rate and glucose are checked against their thresholds", () => {
+  const edge = makeEdge();
+  const rr = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-RR1", measurementType: "RESPIRATORY_RATE", value: 32 })
+  );
+  const glucose = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-GLU1", measurementType: "GLUCOSE", value: 50 })
+  );
+
+  assert.equal(rr.anomaly.anomalyType, "THRESHOLD_HIGH");
+  assert.equal(rr.alert.severityLevel, "HIGH");
+  assert.equal(glucose.anomaly.anomalyType, "THRESHOLD_LOW");
+  assert.equal(glucose.alert.severityLevel, "HIGH");
+});
+
 /* ------------------------------------------------------------------ */
 /* Validation / rejection                                              */
 /* ------------------------------------------------------------------ */
 
 test("Low signal quality should discard measurement", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: 80, signalQuality: 0.1 })
   );
@@ -101,15 +225,31 @@ test("Low signal quality should discard measurement", () => {
 });
 
 test("Unknown measurementType should be discarded", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ measurementType: "INTRACRANIAL_PRESSURE", value: 12 })
+  );
+  assert.equal(res.status, "discarded");
+});
+
+test("Scalar value for a compound type (BLOOD_PRESSURE) should be discarded", () => {
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "BLOOD_PRESSURE", value: 120 })
   );
   assert.equal(res.status, "discarded");
 });
 
+test("Compound value missing a required component should be discarded", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ measurementType: "BLOOD_PRESSURE", value: { systolic: 120 } })
+  );
+  assert.equal(res.status, "discarded");
+});
+
 test("Missing patientId should be discarded", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement({
     measurementId: "T-missing-patient",
     measurementType: "HEART_RATE",
@@ -121,7 +261,7 @@ test("Missing patientId should be discarded", () => {
 });
 
 test("Non-numeric value should be discarded", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: "80" }) // wrong type
   );
@@ -129,7 +269,7 @@ test("Non-numeric value should be discarded", () => {
 });
 
 test("Out-of-plausible-range value should be discarded (HR=300)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   const res = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: 300 })
   );
@@ -137,7 +277,7 @@ test("Out-of-plausible-range value should be discarded (HR=300)", () => {
 });
 
 test("Out-of-order timestamps should be discarded", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   const newer = "2026-01-01T10:00:00.000Z";
   const older = "2026-01-01T09:59:59.000Z";
@@ -153,12 +293,239 @@ test("Out-of-order timestamps should be discarded", () => {
   assert.equal(r2.status, "discarded");
 });
 
+/* ------------------------------------------------------------------ */
+/* Sensor artifacts (technical alerts)                                 */
+/* ------------------------------------------------------------------ */
+
+// Helper: ingest function with explicit spacing between samples (seconds)
+function makeTimedIngest(edge, patientId, measurementType, t0 = Date.UTC(2026, 0, 5, 8, 0, 0)) {
+  return (value, sec, extra = {}) =>
+    edge.ingestMeasurement(
+      makeMeasurement({ patientId, measurementType, value, timestamp: new Date(t0 + sec * 1000).toISOString(), ...extra })
+    );
+}
+
+test("Impossible jump raises a TECHNICAL SENSOR_ARTIFACT alert and is still evaluated clinically", () => {
+  const edge = makeEdge();
+  const hr = makeTimedIngest(edge, "P-AJ", "HEART_RATE");
+
+  [82, 80, 82].forEach((v, i) => assert.equal(hr(v, i).status, "ok"));
+  const jump = hr(180, 3); // 98 beats per minute in one second
+
+  assert.notEqual(jump.status, "discarded");
+  assert.equal(jump.technicalAlerts.length, 1);
+  const alert = jump.technicalAlerts[0];
+  assert.equal(alert.alertType, "SENSOR_ARTIFACT");
+  assert.equal(alert.category, "TECHNICAL");
+  assert.equal(alert.associatedAnomaly.context.artifact, "jump");
+  assert.equal(edge.historyRepository.getAlert(alert.alertId).category, "TECHNICAL");
+  assert.equal(edge.signalProcessor.getSlidingWindow("P-AJ", "HEART_RATE").length, 4);
+
+  const sustained = [hr(181, 4), hr(179, 5)]; // the level really changed: no further jump
+  assert.ok(sustained.every((r) => !r.technicalAlerts));
+  const clinical = edge.getAlerts({ category: "CLINICAL", patientId: "P-AJ" });
+  assert.ok(clinical.some((a) => a.alertType === "THRESHOLD_HIGH"));
+  assert.deepEqual(edge.quarantineRepository.getRejections({ patientId: "P-AJ" }), []);
+});
+
+test("Flatline and spike artifacts are reported without discarding the data", () => {
+  const edge = makeEdge();
+  const hr = makeTimedIngest(edge, "P-AF", "HEART_RATE");
+
+  const flat = [];
+  for (let i = 0; i < 21; i++) flat.push(hr(72, i));
+  assert.ok(flat.every((r) => r.status === "ok"));
+  const reported = flat.filter((r) => r.technicalAlerts);
+  assert.equal(reported.length, 1); // once per flatline
+  assert.equal(reported[0].technicalAlerts[0].associatedAnomaly.context.artifact, "flatline");
+  assert.equal(flat.indexOf(reported[0]), 19);
+
+  const other = makeTimedIngest(edge, "P-AS", "HEART_RATE"); // separate patient: no debounce against the flatline alert
+  const spikeId = "M-SPIKE";
+  other(70, 0);
+  other(105, 5, { measurementId: spikeId });
+  const after = other(71, 10);
+  const spike = after.technicalAlerts[0].associatedAnomaly;
+  assert.equal(spike.context.artifact, "spike");
+  assert.equal(spike.context.spikeMeasurementId, spikeId);
+});
+
+test("Sustained low signal quality raises PROBE_OFF once per episode", () => {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.debounceMs = 0; // episodes follow each other within seconds here
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const hr = makeTimedIngest(edge, "P-PO", "HEART_RATE");
+  const low = (sec) => hr(80, sec, { signalQuality: 0.1 });
+
+  const first = [0, 1, 2, 3, 4, 5].map(low);
+  assert.ok(first.every((r) => r.status === "discarded"));
+  assert.deepEqual(first.map((r) => (r.technicalAlerts ? r.technicalAlerts[0].alertType : null)), [
+    null, null, null, null, "PROBE_OFF", null
+  ]);
+
+  assert.equal(hr(80, 6).status, "ok"); // good sample ends the episode
+  const second = [7, 8, 9, 10, 11].map(low);
+  assert.ok(second[4].technicalAlerts);
+});
+
+test("Watchdog: a silent stream raises NO_DATA once and auto-resolves when data resumes", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 5, 9, 0, 0);
+  const spo2 = makeTimedIngest(edge, "P-ND", "SPO2", t0);
+  [0, 5, 10].forEach((sec) => spo2(97, sec)); // configured interval: 5 s
+
+  assert.deepEqual(edge.checkStreams(t0 + 40000), []); // within the 30 s minimum silence
+  const raised = edge.checkStreams(t0 + 41000);
+  assert.equal(raised.length, 1);
+  assert.equal(raised[0].alertType, "NO_DATA");
+  assert.equal(raised[0].category, "TECHNICAL");
+  assert.deepEqual(edge.checkStreams(t0 + 50000), []); // reported once
+  assert.deepEqual(edge.getStreamStatus("P-ND", t0 + 50000).SPO2, {
+    lastAt: new Date(t0 + 10000).toISOString(),
+    ageMs: 40000,
+    expectedIntervalMs: 5000,
+    stale: true
+  });
+
+  const back = spo2(97, 60);
+  assert.equal(back.resolved[0].resolvesAlertId, raised[0].alertId);
+  assert.equal(edge.historyRepository.getAlert(raised[0].alertId).state, "AUTO_RESOLVED");
+  assert.equal(edge.getStreamStatus("P-ND", t0 + 61000).SPO2.stale, false);
+});
+
+test("Watchdog: the expected interval is learned for streams without a configured one", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 5, 10, 0, 0);
+  const rr = makeTimedIngest(edge, "P-NL", "RESPIRATORY_RATE", t0);
+
+  rr(16, 0);
+  rr(16, 60);
+  assert.deepEqual(edge.checkStreams(t0 + 3600000), []); // one interval is not enough to learn from
+  rr(16, 120);
+  rr(16, 180); // three one-minute intervals
+
+  assert.equal(edge.getStreamStatus("P-NL", t0 + 180000).RESPIRATORY_RATE.expectedIntervalMs, 60000);
+  assert.deepEqual(edge.checkStreams(t0 + 180000 + 180000), []); // tolerance: 3 intervals
+  assert.equal(edge.checkStreams(t0 + 180000 + 181000)[0].alertType, "NO_DATA");
+});
+
+test("Reorder buffer: late measurements within the tolerance are processed in timestamp order", () => {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  cfg.reorder = { toleranceMs: 5000 };
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const t0 = Date.UTC(2026, 0, 6, 8, 0, 0);
+  const hr = makeTimedIngest(edge, "P-RO", "HEART_RATE", t0);
+
+  assert.equal(hr(80, 0).status, "buffered");
+  assert.equal(hr(82, 2).status, "buffered");
+  assert.equal(hr(81, 1).status, "buffered"); // out of order, but within 5 s
+  const r = hr(83, 7); // watermark passes 0, 1 and 2 s
+  assert.equal(r.status, "buffered");
+  assert.deepEqual(r.released.map((x) => x.status), ["ok", "ok", "ok"]);
+  assert.deepEqual(
+    edge.signalProcessor.getSlidingWindow("P-RO", "HEART_RATE").map((m) => m.value),
+    [80, 81, 82]
+  );
+
+  const late = hr(84, 1.5); // 5.5 s behind the newest measurement
+  assert.equal(late.status, "discarded");
+  assert.equal(late.reason, "too-late");
+  assert.equal(edge.getReorderStats().tooLate, 1);
+  assert.equal(edge.getReorderStats().tooLateByStream["P-RO|HEART_RATE"], 1);
+
+  const flushed = edge.releaseBuffered(Date.now() + 5000); // the stream went quiet
+  assert.equal(flushed.length, 1);
+  assert.equal(flushed[0].measurement.value, 83);
+  assert.equal(edge.getReorderStats().buffered, 0);
+});
+
+test("Reorder buffer: the shipped configuration processes measurements as they arrive; out-of-order ones are too late", () => {
+  const edge = makeEdge();
+  assert.equal(edge.reorderBuffer.getTolerance("HEART_RATE"), 0);
+  const t0 = Date.UTC(2026, 0, 6, 9, 0, 0);
+  const hr = makeTimedIngest(edge, "P-RZ", "HEART_RATE", t0);
+
+  assert.equal(hr(80, 10).status, "ok");
+  assert.equal(hr(80, 10).status, "ok"); // same timestamp is still in order
+  const r = hr(81, 9);
+  assert.equal(r.status, "discarded");
+  assert.equal(r.reason, "too-late");
+  assert.equal(r.latenessMs, 1000);
+});
+
+test("Reorder buffer: a rejected measurement does not move the watermark of its stream", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 6, 9, 30, 0);
+  const hr = makeTimedIngest(edge, "P-RW", "HEART_RATE", t0);
+
+  assert.equal(hr(80, 0).status, "ok");
+  assert.equal(hr(500, 3600).reason, "implausible value"); // stamped one hour ahead
+  assert.equal(hr(80, 3600, { signalQuality: 0.1 }).reason, "low signal quality");
+  assert.equal(hr(82, 5).status, "ok");
+  assert.equal(edge.getReorderStats().tooLate, 0);
+});
+
+test("Quarantine: rejected measurements are stored with reason and rule, and counted per reason and device", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 6, 10, 0, 0);
+  const hr = makeTimedIngest(edge, "P-Q", "HEART_RATE", t0);
+
+  hr(80, 10, { deviceId: "hr-1" });
+  hr(500, 20, { deviceId: "hr-1" });
+  hr(80, 5, { deviceId: "hr-1" });
+  hr(80, 30, { deviceId: "hr-2", signalQuality: 0.1 });
+  makeTimedIngest(edge, "P-Q2", "SPO2", t0)(150, 0);
+
+  const { rejections, counts } = edge.getRejections({ patientId: "P-Q" });
+  assert.deepEqual(rejections.map((r) => r.reason), ["low signal quality", "too-late", "implausible value"]);
+  assert.equal(rejections[2].rule, "plausibleRanges.HEART_RATE");
+  assert.deepEqual(rejections[2].details.range, edge.cfg.plausibleRanges.HEART_RATE);
+  assert.equal(rejections[2].measurement.value, 500);
+  assert.equal(rejections[1].rule, "reorder.toleranceMs");
+  assert.equal(rejections[0].rule, "minSignalQuality");
+  assert.deepEqual(counts, {
+    total: 3,
+    byReason: { "low signal quality": 1, "too-late": 1, "implausible value": 1 },
+    byDevice: { "hr-1": 2, "hr-2": 1 }
+  });
+
+  assert.equal(edge.getRejections({ reason: "implausible value" }).counts.total, 2);
+  assert.deepEqual(edge.getRejections({ deviceId: "unknown" }).rejections.map((r) => r.patientId), ["P-Q2"]);
+  assert.equal(edge.getRejections({ measurementType: "SPO2", limit: 1 }).rejections.length, 1);
+  assert.equal(edge.getRejections({ from: new Date(Date.now() + 60000).toISOString() }).counts.total, 0);
+});
+
+test("Quarantine: a legacy rejections.ndjson is imported once and rejections expire with retention.rejectionsMs", () => {
+  const storageDir = makeStorageDir();
+  const legacy = { rejectionId: "R-OLD", rejectedAt: new Date(Date.now() - 60000).toISOString(), patientId: "P-QR", reason: "implausible value" };
+  fs.writeFileSync(path.join(storageDir, "rejections.ndjson"), `${JSON.stringify(legacy)}\n{"torn`);
+  const edge = makeEdge({ storageDir });
+  makeTimedIngest(edge, "P-QR", "HEART_RATE")(80, 0, { signalQuality: 0.1 });
+  assert.deepEqual(edge.getRejections({ patientId: "P-QR" }).rejections.map((r) => r.reason), ["low signal quality", "implausible value"]);
+  edge.quarantineRepository.close();
+  const restarted = makeEdge({ storageDir });
+  assert.equal(restarted.getRejections({ patientId: "P-QR" }).counts.total, 2); // not imported twice
+
+  assert.equal(restarted.compactHistory().rejections.records, 0);
+  const report = restarted.compactHistory(Date.now() + restarted.cfg.retention.rejectionsMs + 60000);
+  assert.equal(report.rejections.records, 2);
+  assert.equal(restarted.getRejections({ patientId: "P-QR" }).counts.total, 0);
+});
+
 /* ------------------------------------------------------------------ */
 /* Sliding window / debounce                                           */
 /* ------------------------------------------------------------------ */
 
 test("Sliding window should keep only last 5 measurements", () => {
-  const edge = new EdgeProcessor();
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  delete cfg.windows; // without a duration, windowSize caps the window
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
 
   for (let i = 0; i < 10; i++) {
     edge.ingestMeasurement(
@@ -173,7 +540,7 @@ test("Sliding window should keep only last 5 measurements", () => {
 });
 
 test("Debounce should suppress repeated alerts within debounce window", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   const r1 = edge.ingestMeasurement(
     makeMeasurement({ measurementType: "HEART_RATE", value: 140 })
@@ -187,12 +554,42 @@ test("Debounce should suppress repeated alerts within debounce window", () => {
   assert.equal(r2.status, "ok");
 });
 
+test("Smoothing filter is selected per type and keeps the original measurement fields", () => {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.smoothing.types.HEART_RATE = { filter: "median", span: 3 };
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+
+  edge.ingestMeasurement(makeMeasurement({ value: 70 }));
+  edge.ingestMeasurement(makeMeasurement({ value: 72 }));
+  const spike = edge.ingestMeasurement(makeMeasurement({ value: 150 }));
+  assert.ok(!(spike.alerts || []).some((a) => a.alertType === "THRESHOLD_HIGH")); // isolated spike is filtered out
+
+  const raw = edge.signalProcessor.getSlidingWindow("P001", "HEART_RATE");
+  const smoothed = edge.signalProcessor.getSmoothedWindow("P001", "HEART_RATE");
+  assert.deepEqual(smoothed.map((m) => m.value), [70, 71, 72]);
+  assert.deepEqual(raw.map((m) => m.value), [70, 72, 150]); // raw window untouched
+  assert.equal(smoothed[2].timestamp, raw[2].timestamp);
+  assert.equal(smoothed[2].measurementId, raw[2].measurementId);
+});
+
+test("Smoothing filters produce point-wise series", () => {
+  const values = [10, 20, 30, 40];
+  assert.deepEqual(FILTERS.movingAverage(values, { span: 2 }), [10, 15, 25, 35]);
+  assert.deepEqual(FILTERS.ema(values, { alpha: 0.5 }), [10, 15, 22.5, 31.25]);
+  assert.deepEqual(FILTERS.median([10, 50, 12, 14], { span: 3 }), [10, 30, 12, 14]);
+  const k = FILTERS.kalman(values, { processNoise: 1, measurementNoise: 1 });
+  assert.equal(k[0], 10);
+  assert.ok(k.every((v, i) => i === 0 || (v > k[i - 1] && v < values[i]))); // follows the rise, lagging behind
+});
+
 /* ------------------------------------------------------------------ */
 /* Multi-patient isolation                                             */
 /* ------------------------------------------------------------------ */
 
 test("Different patients should be handled independently", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   const a = edge.ingestMeasurement(
     makeMeasurement({ patientId: "P001", measurementType: "HEART_RATE", value: 140 })
@@ -210,7 +607,7 @@ test("Different patients should be handled independently", () => {
 /* ------------------------------------------------------------------ */
 
 test("Trend anomaly: HR increasing may trigger TREND (depending on config)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   edge.ingestMeasurement(makeMeasurement({ measurementType: "HEART_RATE", value: 90 }));
   edge.ingestMeasurement(makeMeasurement({ measurementType: "HEART_RATE", value: 94 }));
@@ -228,12 +625,767 @@ test("Trend anomaly: HR increasing may trigger TREND (depending on config)", ()
   }
 });
 
+test("Trend anomaly: slope is computed against timestamps in units per minute", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 2, 8, 0, 0);
+  let r;
+  [90, 94, 98, 102, 106].forEach((value, i) => {
+    const timestamp = new Date(t0 + i * 60000).toISOString(); // one sample per minute
+    r = edge.ingestMeasurement(makeMeasurement({ patientId: "P-TR", value, timestamp }));
+  });
+
+  assert.equal(r.status, "alert");
+  assert.equal(r.anomaly.anomalyType, "TREND");
+  assert.equal(r.anomaly.context.slope, 2); // smoothed 90..98 over 4 minutes
+  assert.equal(r.anomaly.context.spanMs, 240000);
+  assert.ok(r.anomaly.context.last.timestamp); // smoothed points keep their timestamp
+});
+
+test("Windows are bounded by duration; sparse samples do not form a trend", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 2, 9, 0, 0);
+  let r;
+  [90, 94, 98, 102, 106].forEach((value, i) => {
+    const timestamp = new Date(t0 + i * 4 * 60000).toISOString(); // one sample every 4 minutes
+    r = edge.ingestMeasurement(makeMeasurement({ patientId: "P-SP", value, timestamp }));
+  });
+
+  const window = edge.signalProcessor.getSlidingWindow("P-SP", "HEART_RATE");
+  assert.deepEqual(window.map((m) => m.value), [102, 106]); // 5-minute window
+  assert.equal(r.status, "ok");
+});
+
+test("Trend anomaly: densely sampled streams fill their window and form a trend", () => {
+  const edge = makeEdge();
+  const t0 = Date.UTC(2026, 0, 2, 10, 0, 0);
+  const results = [];
+  for (let i = 0; i <= 90; i++) {
+    const timestamp = new Date(t0 + i * 1000).toISOString(); // 1 Hz, rising 3/min
+    results.push(edge.ingestMeasurement(makeMeasurement({ patientId: "P-DENSE", value: 80 + i * 0.05, timestamp })));
+  }
+
+  assert.equal(edge.signalProcessor.getSlidingWindow("P-DENSE", "HEART_RATE").length, 91);
+  const trends = results.flatMap((r) => r.alerts || []).filter((a) => a.alertType === "TREND");
+  assert.ok(trends.length >= 1);
+  assert.ok(results.slice(0, 60).every((r) => !(r.alerts || []).some((a) => a.alertType === "TREND"))); // not before minSpanMs
+});
+
+/* ------------------------------------------------------------------ */
+/* Baseline & change-point detection                                   */
+/* ------------------------------------------------------------------ */
+
+// Helper: processor with a short baseline learning period; returns an ingest function
+function makeBaselineEdge(patientId) {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.windowSize = 1;
+  cfg.windows = {}; // single-point windows: no smoothing, no trend
+  cfg.baseline.learningMs = 0;
+  cfg.baseline.minSamples = 10;
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const t0 = Date.UTC(2026, 0, 3, 8, 0, 0);
+  let minute = 0;
+  const hr = (value) =>
+    edge.ingestMeasurement(
+      makeMeasurement({ patientId, value, timestamp: new Date(t0 + minute++ * 60000).toISOString() })
+    );
+  for (let i = 0; i < 10; i++) {
+    assert.equal(hr(i % 2 ? 56 : 54).status, "ok"); // learning: no statistical alerts
+  }
+  return { edge, hr };
+}
+
+test("Baseline: a value far from the patient's own baseline raises BASELINE_DEVIATION", () => {
+  const { edge, hr } = makeBaselineEdge("P-BL");
+  assert.equal(edge.statisticalDetector.getBaseline("P-BL", "HEART_RATE").phase, "ACTIVE");
+
+  const r = hr(70); // well below the static 120 threshold
+
+  assert.equal(r.status, "alert");
+  assert.equal(r.anomaly.anomalyType, "BASELINE_DEVIATION");
+  assert.equal(r.anomaly.context.baseline.mean, 55);
+  assert.equal(r.anomaly.context.baseline.stdDev, 3); // MAD-based estimate raised to minStdDev
+  assert.equal(r.anomaly.context.zScore, 5);
+});
+
+test("CUSUM: a small sustained shift raises a single CHANGE_POINT", () => {
+  const { hr } = makeBaselineEdge("P-CP");
+
+  const results = [62, 62, 62, 62, 62].map(hr); // z ~ 2.3 each: below the deviation threshold
+
+  assert.deepEqual(results.map((r) => r.status), ["ok", "ok", "ok", "ok", "alert"]);
+  const change = results[4].anomaly;
+  assert.equal(change.anomalyType, "CHANGE_POINT");
+  assert.equal(change.context.cusum.direction, "HIGH");
+  assert.ok(change.context.cusum.statistic > change.context.cusum.h);
+});
+
+/* ------------------------------------------------------------------ */
+/* Forecasting                                                         */
+/* ------------------------------------------------------------------ */
+
+// Helper: processor forecasting unsmoothed SpO2; returns an ingest function
+function makeForecastEdge(method) {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.forecast.method = method;
+  cfg.debounceMs = 0; // repeated predictions are suppressed by the detector itself
+  cfg.smoothing.types.SPO2 = { filter: "movingAverage", span: 1 };
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const t0 = Date.UTC(2026, 0, 4, 8, 0, 0);
+  let minute = 0;
+  return (value) =>
+    edge.ingestMeasurement(
+      makeMeasurement({
+        patientId: `P-FC-${method}`,
+        measurementType: "SPO2",
+        value,
+        timestamp: new Date(t0 + minute++ * 60000).toISOString()
+      })
+    );
+}
+
+test("Forecast (linear): falling SpO2 raises PREDICTED_BREACH with time-to-breach", () => {
+  const spo2 = makeForecastEdge("linear");
+  const results = [96, 95.5, 95, 94.5, 94].map(spo2);
+
+  assert.deepEqual(results.slice(0, 4).map((r) => r.status), ["ok", "ok", "ok", "ok"]);
+  const breach = results[4].anomaly;
+  assert.equal(breach.anomalyType, "PREDICTED_BREACH");
+  assert.equal(breach.message, "SPO2 projected to fall below 92 in about 4 minutes");
+  assert.equal(breach.context.timeToBreachMs, 240000);
+  assert.equal(breach.context.breachAt, "2026-01-04T08:08:00.000Z");
+  assert.ok(Math.abs(breach.context.confidenceInterval.earliestMs - 240000) < 1000); // perfect fit: narrow interval
+  assert.ok(Math.abs(breach.context.confidenceInterval.latestMs - 240000) < 1000);
+
+  // Raised once while the projection holds
+  assert.equal(spo2(93.5).status, "ok");
+});
+
+test("Forecast (Holt): noisy decline gives an interval around the estimate; flat series re-arms", () => {
+  const spo2 = makeForecastEdge("holt");
+  const results = [97, 96.2, 96.1, 95.1, 94.9].map(spo2);
+
+  const breach = results[4].anomaly;
+  assert.equal(breach.anomalyType, "PREDICTED_BREACH");
+  assert.equal(breach.context.method, "holt");
+  const { earliestMs, latestMs } = breach.context.confidenceInterval;
+  assert.ok(earliestMs < breach.context.timeToBreachMs);
+  assert.ok(latestMs === null || latestMs > breach.context.timeToBreachMs);
+
+  for (const value of [96, 97, 97, 97, 97]) spo2(value); // recovery: projection leaves the horizon
+  const again = [96, 95.5, 95, 94.5, 94].map(spo2);
+  assert.ok(again.some((r) => (r.alerts || []).some((a) => a.alertType === "PREDICTED_BREACH")));
+});
+
+test("Forecast: a 1 Hz stream raises PREDICTED_BREACH once it spans forecast.minSpanMs", () => {
+  const edge = makeEdge(); // shipped config: Holt, minSpanMs 120 s
+  const t0 = Date.UTC(2026, 0, 4, 9, 0, 0);
+  const results = [];
+  for (let i = 0; i <= 150; i++) {
+    const timestamp = new Date(t0 + i * 1000).toISOString(); // SpO2 falling 0.5 per minute
+    results.push(edge.ingestMeasurement(makeMeasurement({ patientId: "P-FC-1HZ", measurementType: "SPO2", value: 97 - i / 120, timestamp })));
+  }
+
+  const breaches = results.map((r, i) => [i, (r.alerts || []).find((a) => a.alertType === "PREDICTED_BREACH")]).filter(([, a]) => a);
+  assert.equal(breaches.length, 1);
+  assert.ok(breaches[0][0] >= 120);
+  assert.match(breaches[0][1].associatedAnomaly.message, /SPO2 projected to fall below 92/);
+});
+
+/* ------------------------------------------------------------------ */
+/* Patient profiles                                                    */
+/* ------------------------------------------------------------------ */
+
+test("Cohort profile overrides global thresholds (COPD SpO2 target)", () => {
+  const edge = makeEdge();
+  edge.patientProfileRepository.saveCohort("COPD", {
+    overrides: { thresholds: { SPO2: { min: 88, clear: { min: 90 } } } }
+  });
+  edge.patientProfileRepository.saveProfile("P-COPD", { cohort: "COPD" });
+
+  const copd = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-COPD", measurementType: "SPO2", value: 90 })
+  );
+  const copdNormal = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-COPD", measurementType: "SPO2", value: 97 })
+  );
+  const other = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-OTHER", measurementType: "SPO2", value: 90 })
+  );
+
+  const thresholdAlerts = (res) =>
+    (res.alerts || []).filter((a) => a.alertType.startsWith("THRESHOLD"));
+  assert.equal(thresholdAlerts(copd).length, 0);
+  assert.equal(thresholdAlerts(copdNormal).length, 0); // no upper limit: the override only lowers the LOW limit
+  assert.equal(thresholdAlerts(other).length, 1);
+});
+
+test("Patient overrides apply on top of cohort overrides (severity, debounce)", () => {
+  const edge = makeEdge();
+  edge.patientProfileRepository.saveProfile("P-PROF", {
+    overrides: { severityPolicy: { HEART_RATE: "HIGH" }, debounceMs: 0 }
+  });
+
+  const r1 = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-PROF", measurementType: "HEART_RATE", value: 130 })
+  );
+  edge.resolveAlert(r1.alert.alertId, { by: "nurse.a" }); // closes the condition, leaving only debounce
+  const r2 = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-PROF", measurementType: "HEART_RATE", value: 130 })
+  );
+
+  assert.equal(r1.alert.severityLevel, "HIGH");
+  assert.equal(r2.status, "alert"); // debounce disabled for this patient
+});
+
+test("Invalid patient profile is rejected", () => {
+  const edge = makeEdge();
+
+  assert.throws(() =>
+    edge.patientProfileRepository.saveProfile("P-BAD", {
+      overrides: { thresholds: { SPO2: { min: 95, max: 90 } } }
+    })
+  );
+  assert.throws(() => edge.patientProfileRepository.saveProfile("P-BAD", { cohort: "NOPE" }));
+});
+
+/* ------------------------------------------------------------------ */
+/* Runtime configuration                                               */
+/* ------------------------------------------------------------------ */
+
+test("Config update is applied at runtime, versioned and keeps windows", () => {
+  const configPath = makeConfigCopy();
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const v1 = edge.configVersion;
+
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-CFG", measurementType: "HEART_RATE", value: 80 }));
+  const before = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-CFG", measurementType: "HEART_RATE", value: 80 })
+  );
+  assert.equal(before.status, "ok");
+
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.thresholds.HEART_RATE = { min: 40, max: 70 };
+  const v2 = edge.updateConfig(cfg);
+
+  const after = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-CFG", measurementType: "HEART_RATE", value: 80 })
+  );
+  assert.ok(v2 > v1);
+  assert.equal(after.status, "alert");
+  assert.equal(after.anomaly.configVersion, v2);
+  assert.equal(after.alert.configVersion, v2);
+  assert.equal(edge.signalProcessor.getSlidingWindow("P-CFG", "HEART_RATE").length, 3);
+  assert.equal(JSON.parse(fs.readFileSync(configPath, "utf-8")).version, v2);
+});
+
+test("Invalid config is rejected and the running config is kept", () => {
+  const configPath = makeConfigCopy();
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const version = edge.configVersion;
+
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.thresholds.HEART_RATE = { min: 130, max: 120 };
+  cfg.thresholds.UNKNOWN_VITAL = { min: 1, max: 2 };
+
+  assert.throws(() => edge.updateConfig(cfg), /min must not exceed max/);
+  assert.equal(edge.configVersion, version);
+  assert.equal(edge.cfg.thresholds.HEART_RATE.max, 120);
+});
+
+test("Config without a trend section is rejected and ingestion keeps working", () => {
+  const configPath = makeConfigCopy();
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const version = edge.configVersion;
+
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  delete cfg.trend;
+  assert.throws(() => edge.updateConfig(cfg), /trend is required/);
+  cfg.trend = { minSpanMs: 60000 };
+  assert.throws(() => edge.updateConfig(cfg), /trend\.minPoints.*trend\.slopeThresholds is required/);
+
+  assert.equal(edge.configVersion, version);
+  assert.equal(edge.ingestMeasurement(makeMeasurement({ patientId: "P-CFT" })).status, "ok");
+});
+
+test("Config update that cannot be persisted is not applied", () => {
+  const configPath = makeConfigCopy();
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const version = edge.configVersion;
+  fs.mkdirSync(`${configPath}.tmp`); // the temp file cannot be written
+
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.debounceMs = 1000;
+
+  assert.throws(() => edge.updateConfig(cfg));
+  assert.equal(edge.configVersion, version);
+  assert.notEqual(edge.alertManager.debounceMs, 1000);
+  assert.equal(JSON.parse(fs.readFileSync(configPath, "utf-8")).debounceMs, edge.cfg.debounceMs);
+});
+
+test("Config file changes are hot-reloaded", () => {
+  const configPath = makeConfigCopy();
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+  const version = edge.configVersion;
+
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.debounceMs = 1000;
+  fs.writeFileSync(configPath, JSON.stringify(cfg), "utf-8");
+
+  assert.equal(edge.configManager.reloadFromFile(), true);
+  assert.equal(edge.alertManager.debounceMs, 1000);
+  assert.ok(edge.configVersion > version);
+  assert.equal(edge.configManager.reloadFromFile(), false); // the version written back is not a new change
+
+  cfg.debounceMs = 2000; // edited again, still without raising the version
+  fs.writeFileSync(configPath, JSON.stringify(cfg), "utf-8");
+  assert.equal(edge.configManager.reloadFromFile(), true);
+  assert.equal(edge.configVersion, version + 2);
+  assert.equal(new EdgeProcessor({ configPath, storageDir: makeStorageDir() }).configVersion, version + 2); // restart
+});
+
+/* ------------------------------------------------------------------ */
+/* Composite (multi-vital) rules                                       */
+/* ------------------------------------------------------------------ */
+
+test("Composite rule: tachycardia plus desaturation raises a COMPOSITE alert", () => {
+  const edge = makeEdge();
+
+  edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-COMP1", measurementType: "SPO2", value: 93 })
+  );
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-COMP1", measurementType: "HEART_RATE", value: 115 })
+  );
+
+  assert.equal(res.status, "alert");
+  const composite = res.alerts.find((a) => a.alertType === "COMPOSITE");
+  assert.ok(composite);
+  assert.equal(composite.associatedAnomaly.measurementType, "TACHYCARDIA_DESATURATION");
+  assert.equal(composite.severityLevel, "HIGH");
+});
+
+test("Composite rule: inputs outside the time tolerance do not match", () => {
+  const edge = makeEdge();
+
+  edge.ingestMeasurement(
+    makeMeasurement({
+      patientId: "P-COMP2",
+      measurementType: "SPO2",
+      value: 93,
+      timestamp: "2026-01-01T10:00:00.000Z"
+    })
+  );
+  const res = edge.ingestMeasurement(
+    makeMeasurement({
+      patientId: "P-COMP2",
+      measurementType: "HEART_RATE",
+      value: 115,
+      timestamp: "2026-01-01T10:05:00.000Z"
+    })
+  );
+
+  assert.equal(res.status, "ok");
+});
+
+/* ------------------------------------------------------------------ */
+/* Early warning score                                                 */
+/* ------------------------------------------------------------------ */
+
+test("Early warning score aggregates per-parameter sub-scores", () => {
+  const edge = makeEdge();
+
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-EWS1", measurementType: "HEART_RATE", value: 100 }));
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-EWS1", measurementType: "SPO2", value: 95 }));
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-EWS1", measurementType: "TEMPERATURE", value: 36.8 }));
+
+  const score = edge.getEarlyWarningScore("P-EWS1");
+  assert.equal(score.total, 2);
+  assert.equal(score.parameters.HEART_RATE.score, 1);
+  assert.equal(score.parameters.SPO2.score, 1);
+  assert.equal(score.parameters.TEMPERATURE.score, 0);
+});
+
+test("Early warning score raises an alert when the total crosses a level", () => {
+  const edge = makeEdge();
+
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-EWS2", measurementType: "HEART_RATE", value: 115 }));
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-EWS2", measurementType: "TEMPERATURE", value: 38.5 }));
+  const res = edge.ingestMeasurement(
+    makeMeasurement({ patientId: "P-EWS2", measurementType: "SPO2", value: 93 })
+  );
+
+  // 2 (HR) + 1 (TEMP) + 2 (SPO2) = 5 => MEDIUM level
+  const ews = res.alerts.find((a) => a.alertType === "EARLY_WARNING_SCORE");
+  assert.ok(ews);
+  assert.equal(ews.severityLevel, "MEDIUM");
+  assert.equal(ews.associatedAnomaly.observedValue, 5);
+});
+
+/* ------------------------------------------------------------------ */
+/* Alert lifecycle                                                     */
+/* ------------------------------------------------------------------ */
+
+test("Alert lifecycle: ACTIVE -> ACKNOWLEDGED -> RESOLVED records who and when", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-LC", measurementType: "HEART_RATE", value: 180 }));
+  const alertId = res.alert.alertId;
+  assert.equal(res.alert.state, "ACTIVE");
+
+  const acked = edge.acknowledgeAlert(alertId, { by: "nurse.a" });
+  assert.equal(acked.state, "ACKNOWLEDGED");
+  const resolved = edge.resolveAlert(alertId, { by: "dr.b", note: "rate controlled" });
+
+  assert.equal(resolved.state, "RESOLVED");
+  assert.deepEqual(
+    resolved.transitions.map((t) => [t.from, t.to, t.by]),
+    [[null, "ACTIVE", "system"], ["ACTIVE", "ACKNOWLEDGED", "nurse.a"], ["ACKNOWLEDGED", "RESOLVED", "dr.b"]]
+  );
+  assert.ok(resolved.transitions.every((t) => t.at));
+
+  // persisted and filterable by state
+  assert.equal(edge.historyRepository.getAlert(alertId).state, "RESOLVED");
+  assert.deepEqual(edge.getAlerts({ state: "RESOLVED" }).map((a) => a.alertId), [alertId]);
+  assert.ok(!edge.getAlerts({ state: "ACTIVE" }).some((a) => a.alertId === alertId));
+});
+
+test("Alert lifecycle: invalid transitions and unknown alerts are rejected", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-LC2", measurementType: "SPO2", value: 85 }));
+  const alertId = res.alert.alertId;
+
+  edge.autoResolveAlert(alertId, "value back in range");
+  assert.throws(() => edge.acknowledgeAlert(alertId, { by: "nurse.a" }), { code: "INVALID_TRANSITION" });
+  assert.throws(() => edge.resolveAlert("A-missing", { by: "nurse.a" }), { code: "NOT_FOUND" });
+  assert.throws(() => edge.resolveAlert(alertId, {}), /missing 'by'/);
+  assert.equal(edge.historyRepository.getAlert(alertId).state, "AUTO_RESOLVED");
+});
+
+/* ------------------------------------------------------------------ */
+/* Hysteresis & auto-resolution                                        */
+/* ------------------------------------------------------------------ */
+
+// Helper: processor without smoothing, so each value is checked as is
+function makeUnsmoothedEdge() {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.windowSize = 1;
+  cfg.hysteresis = { minClearMs: 60000 };
+  fs.writeFileSync(configPath, JSON.stringify(cfg));
+  return new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+}
+
+test("Hysteresis: no re-alert while open, resolution only after the minimum time in the clear band", () => {
+  const edge = makeUnsmoothedEdge();
+  const t0 = Date.UTC(2026, 0, 1, 10, 0, 0);
+  const hr = (value, sec) =>
+    edge.ingestMeasurement(
+      makeMeasurement({ patientId: "P-HY", value, timestamp: new Date(t0 + sec * 1000).toISOString() })
+    );
+
+  const opened = hr(130, 0);
+  assert.equal(opened.alert.alertType, "THRESHOLD_HIGH");
+  assert.equal(hr(115, 10).resolved, undefined); // between clear band (110) and threshold (120)
+  assert.equal(hr(125, 20).status, "ok"); // condition still open: no re-alert
+  assert.equal(hr(100, 30).resolved, undefined); // clear period starts
+  assert.equal(hr(112, 40).resolved, undefined); // left the clear band: period restarts
+  assert.equal(hr(100, 50).resolved, undefined);
+
+  edge.setOnline(false);
+  const res = hr(100, 110);
+
+  assert.equal(res.resolved.length, 1);
+  assert.equal(res.resolved[0].alertType, "RESOLVED");
+  assert.equal(res.resolved[0].resolvesAlertId, opened.alert.alertId);
+  assert.equal(edge.historyRepository.getAlert(opened.alert.alertId).state, "AUTO_RESOLVED");
+
+  // RESOLVED events follow the offline path like alerts
+  edge.setOnline(true);
+  const flushed = edge.flushCachedData();
+  assert.ok(flushed.flushed.alerts.some((a) => a.resolvesAlertId === opened.alert.alertId));
+});
+
+test("Worsening severity bypasses debounce and supersedes the open alert", () => {
+  const edge = makeUnsmoothedEdge();
+  const t0 = Date.UTC(2026, 0, 1, 11, 0, 0);
+  const hr = (value, sec) =>
+    edge.ingestMeasurement(
+      makeMeasurement({ patientId: "P-WS", value, timestamp: new Date(t0 + sec * 1000).toISOString() })
+    );
+  const threshold = (res) => (res.alerts || []).filter((a) => a.alertType === "THRESHOLD_HIGH");
+
+  const first = threshold(hr(130, 0));
+  const worse = threshold(hr(160, 1));
+  const same = threshold(hr(170, 2));
+
+  assert.equal(first[0].severityLevel, "MEDIUM");
+  assert.equal(worse.length, 1);
+  assert.equal(worse[0].severityLevel, "HIGH");
+  assert.equal(same.length, 0);
+  const superseded = edge.historyRepository.getAlert(first[0].alertId);
+  assert.equal(superseded.state, "AUTO_RESOLVED");
+  assert.match(superseded.transitions[superseded.transitions.length - 1].note, /superseded/);
+});
+
+test("A reversal to the opposite threshold opens a new condition despite the open one", () => {
+  const edge = makeUnsmoothedEdge();
+  const t0 = Date.UTC(2026, 0, 1, 11, 30, 0);
+  const hr = (value, sec) =>
+    edge.ingestMeasurement(
+      makeMeasurement({ patientId: "P-REV", value, timestamp: new Date(t0 + sec * 1000).toISOString() })
+    );
+
+  const high = hr(160, 0).alerts.find((a) => a.alertType === "THRESHOLD_HIGH");
+  const low = (hr(34, 10).alerts || []).filter((a) => a.alertType === "THRESHOLD_LOW");
+
+  assert.equal(low.length, 1); // not held back by the open tachycardia condition
+  assert.equal(edge.conditionTracker.get("P-REV", "HEART_RATE").direction, "LOW");
+  assert.equal(edge.historyRepository.getAlert(high.alertId).state, "AUTO_RESOLVED");
+});
+
+/* ------------------------------------------------------------------ */
+/* Escalation                                                          */
+/* ------------------------------------------------------------------ */
+
+test("Escalation: unacknowledged alert is re-raised one level up and routed to the next tier", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-ESC", measurementType: "SPO2", value: 85 }));
+  const alert = res.alert;
+  assert.equal(alert.severityLevel, "HIGH");
+  assert.equal(alert.escalation.recipient, "BEDSIDE");
+
+  const created = Date.parse(alert.escalation.dueAt);
+  assert.deepEqual(edge.checkEscalations(created - 1), []); // not due yet
+
+  const [escalated] = edge.checkEscalations(created);
+  assert.equal(escalated.alertId, alert.alertId);
+  assert.equal(escalated.severityLevel, "CRITICAL");
+  assert.equal(escalated.escalation.recipient, "CHARGE_NURSE");
+  assert.deepEqual(
+    escalated.escalation.history.map((h) => [h.fromSeverity, h.toSeverity, h.toRecipient]),
+    [["HIGH", "CRITICAL", "CHARGE_NURSE"]]
+  );
+  assert.equal(edge.historyRepository.getAlert(alert.alertId).escalation.recipient, "CHARGE_NURSE");
+
+  // last tier: severity is capped and escalation stops
+  const [final] = edge.checkEscalations(Date.parse(escalated.escalation.dueAt));
+  assert.equal(final.severityLevel, "CRITICAL");
+  assert.equal(final.escalation.recipient, "PHYSICIAN");
+  assert.equal(final.escalation.dueAt, null);
+  const later = edge.checkEscalations(Date.parse(escalated.escalation.dueAt) + 3600000);
+  assert.ok(!later.some((a) => a.alertId === alert.alertId));
+});
+
+test("Escalation: acknowledged alerts are not escalated", () => {
+  const edge = makeEdge();
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-ESC2", measurementType: "SPO2", value: 85 }));
+  edge.acknowledgeAlert(res.alert.alertId, { by: "nurse.a" });
+
+  const escalated = edge.checkEscalations(Date.parse(res.alert.escalation.dueAt) + 1);
+  assert.ok(!escalated.some((a) => a.alertId === res.alert.alertId));
+});
+
+test("Escalation deadlines survive offline periods and restarts", () => {
+  const dir = makeStorageDir();
+  const edge = makeEdge({ storageDir: dir });
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-ESC3", measurementType: "SPO2", value: 85 }));
+  const dueAt = Date.parse(res.alert.escalation.dueAt);
+
+  edge.setOnline(false);
+  edge.setOnline(true);
+  edge.offlineCacheManager.close();
+
+  const restarted = makeEdge({ storageDir: dir });
+  restarted.setOnline(false);
+  const [escalated] = restarted.checkEscalations(dueAt);
+
+  assert.equal(escalated.alertId, res.alert.alertId);
+  assert.equal(escalated.escalation.recipient, "CHARGE_NURSE");
+  // re-raised alert follows the offline delivery path
+  assert.equal(restarted.getOfflineCacheStats().alertsQueued, 1);
+});
+
+/* ------------------------------------------------------------------ */
+/* Notification sinks                                                  */
+/* ------------------------------------------------------------------ */
+
+test("Notification routing matches severity, patient and escalation tier", () => {
+  const dispatcher = new NotificationDispatcher({
+    enabled: true,
+    routes: [
+      { sinks: ["file"] },
+      { severities: ["HIGH", "CRITICAL"], sinks: ["pager"] },
+      { patients: ["p-vip"], sinks: ["mail"] },
+      { recipients: ["PHYSICIAN"], sinks: ["mail"] }
+    ]
+  });
+
+  assert.deepEqual(dispatcher.route({ severityLevel: "LOW", patientId: "p1" }), ["file"]);
+  assert.deepEqual(dispatcher.route({ severityLevel: "HIGH", patientId: "p-vip" }), ["file", "pager", "mail"]);
+  assert.deepEqual(
+    dispatcher.route({ severityLevel: "MEDIUM", patientId: "p1", escalation: { recipient: "PHYSICIAN" } }),
+    ["file", "mail"]
+  );
+});
+
+test("A failing sink is retried in the background without blocking ingestion or other sinks", async () => {
+  const dir = makeStorageDir();
+  const edge = makeEdge({ storageDir: dir });
+  const dispatcher = edge.notificationDispatcher;
+  dispatcher.sleep = async () => {};
+  let failures = 2;
+  const delivered = [];
+  dispatcher.registerSink("flaky", {
+    send: () => new Promise((resolve, reject) => setTimeout(() => {
+      if (failures-- > 0) return reject(new Error("sink down"));
+      delivered.push("flaky");
+      resolve();
+    }, 5))
+  });
+  dispatcher.reconfigure({
+    enabled: true,
+    sinks: { log: { type: "file", path: "notifications.ndjson" } },
+    routes: [{ sinks: ["log"] }, { severities: ["HIGH"], sinks: ["flaky"] }]
+  });
+
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-NT", measurementType: "SPO2", value: 85 }));
+  assert.equal(res.status, "alert"); // returned before any sink finished
+  assert.equal(delivered.length, 0);
+
+  await dispatcher.whenIdle();
+  const stats = dispatcher.getStats();
+  assert.equal(stats.flaky.sent, 1);
+  assert.equal(stats.flaky.failures, 2);
+  assert.equal(stats.log.sent, res.alerts.length);
+  const lines = fs.readFileSync(path.join(dir, "notifications.ndjson"), "utf-8").trim().split("\n");
+  assert.equal(JSON.parse(lines[0]).alertId, res.alerts[0].alertId);
+});
+
+test("Alerts raised offline still reach the local notification sinks", async () => {
+  const edge = makeEdge();
+  const delivered = [];
+  edge.notificationDispatcher.registerSink("bedside", { send: async (alert) => delivered.push(alert.alertId) });
+  edge.notificationDispatcher.reconfigure({ enabled: true, routes: [{ sinks: ["bedside"] }] });
+
+  edge.setOnline(false);
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-NT-OFF", measurementType: "SPO2", value: 85 }));
+  await edge.notificationDispatcher.whenIdle();
+
+  assert.deepEqual(delivered, res.alerts.map((a) => a.alertId));
+  assert.equal(edge.getOfflineCacheStats().alertsQueued, res.alerts.length); // still cached for the backend
+});
+
+test("Webhook sink signs the payload with HMAC-SHA256", async () => {
+  let received;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received = { headers: req.headers, body };
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    const sink = new WebhookSink({ url: `http://localhost:${server.address().port}/alerts`, secret: "s3cret" });
+    await sink.send({ alertId: "A-W1", severityLevel: "HIGH" });
+
+    const expected = WebhookSink.sign("s3cret", received.headers["x-medalert-timestamp"], received.body);
+    assert.equal(received.headers["x-medalert-signature"], `sha256=${expected}`);
+    assert.equal(JSON.parse(received.body).alertId, "A-W1");
+  } finally {
+    server.close();
+  }
+});
+
+test("Syslog sink sends RFC 5424 messages over UDP", async () => {
+  const socket = dgram.createSocket("udp4");
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  try {
+    const message = new Promise((resolve) => socket.once("message", (m) => resolve(m.toString("utf-8"))));
+    const sink = new SyslogSink({ host: "127.0.0.1", port: socket.address().port, protocol: "udp" });
+    await sink.send({
+      alertId: "A-S1",
+      patientId: 'p"1',
+      alertType: "THRESHOLD_LOW",
+      severityLevel: "HIGH",
+      timestamp: "2026-01-01T10:00:00.000Z",
+      associatedAnomaly: { message: "SPO2 below range" }
+    });
+
+    // local0 (16) * 8 + err (3) = 131
+    assert.match(
+      await message,
+      /^<131>1 2026-01-01T10:00:00\.000Z \S+ medalert \d+ THRESHOLD_LOW \[alert@32473 alertId="A-S1" patientId="p\\"1" severity="HIGH"\] SPO2 below range$/
+    );
+  } finally {
+    socket.close();
+  }
+});
+
+test("SMTP sink delivers the alert through a local relay", async () => {
+  const transcript = [];
+  const server = net.createServer((conn) => {
+    let inData = false;
+    let buffer = "";
+    conn.write("220 relay ready\r\n");
+    conn.on("data", (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        transcript.push(line);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            conn.write("250 queued\r\n");
+          }
+        } else if (line.startsWith("EHLO")) conn.write("250-relay\r\n250 SIZE 1000000\r\n");
+        else if (line === "DATA") {
+          inData = true;
+          conn.write("354 go ahead\r\n");
+        } else if (line === "QUIT") conn.end("221 bye\r\n");
+        else conn.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    const sink = new SmtpSink({ port: server.address().port, from: "edge@local", to: ["a@local", "b@local"] });
+    await sink.send({ alertId: "A-M1", patientId: "p1", alertType: "THRESHOLD_LOW", severityLevel: "HIGH", timestamp: nowIso() });
+
+    assert.ok(transcript.includes("MAIL FROM:<edge@local>"));
+    assert.ok(transcript.includes("RCPT TO:<a@local>") && transcript.includes("RCPT TO:<b@local>"));
+    assert.ok(transcript.some((l) => l.startsWith("Subject: [MedAlert] HIGH THRESHOLD_LOW")));
+    assert.equal(transcript[transcript.length - 1], "QUIT");
+  } finally {
+    server.close();
+  }
+});
+
+test("SMTP sink keeps alert fields on one line and encodes non-ASCII subjects", () => {
+  const sink = new SmtpSink({ from: "edge@local", to: "oncall@local" });
+  const alert = { alertId: "A-1", patientId: "P-1\r\nBcc: attacker@evil\r\n.\r\nRSET", alertType: "THRESHOLD_HIGH", severityLevel: "HIGH", timestamp: nowIso() };
+
+  const lines = sink.formatMessage(alert).split("\r\n");
+  assert.ok(!lines.some((l) => l.startsWith("Bcc:")));
+  assert.ok(!lines.includes(".") && !lines.includes("RSET"));
+  assert.match(lines.find((l) => l.startsWith("Subject:")), /^Subject: \[MedAlert\] HIGH THRESHOLD_HIGH - patient P-1 Bcc: attacker@evil \. RSET$/);
+
+  const encoded = sink.formatMessage({ ...alert, patientId: "Zoë" }).split("\r\n").find((l) => l.startsWith("Subject:"));
+  assert.equal(encoded, `Subject: =?UTF-8?B?${Buffer.from("[MedAlert] HIGH THRESHOLD_HIGH - patient Zoë").toString("base64")}?=`);
+});
+
 /* ------------------------------------------------------------------ */
 /* Offline cache + flush                                               */
 /* ------------------------------------------------------------------ */
 
 test("Offline mode should cache and flush when online", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   edge.setOnline(false);
   edge.ingestMeasurement(makeMeasurement({ measurementType: "SPO2", value: 90 })); // alert cached
@@ -247,8 +1399,154 @@ test("Offline mode should cache and flush when online", () => {
   assert.ok(flush.flushed.measurements.length >= 2);
 });
 
+test("Offline cache survives a restart (write-ahead log replay)", () => {
+  const storageDir = makeStorageDir();
+  const before = makeEdge({ storageDir });
+
+  before.setOnline(false);
+  before.ingestMeasurement(makeMeasurement({ patientId: "P-WAL", measurementType: "SPO2", value: 90 }));
+  before.ingestMeasurement(makeMeasurement({ patientId: "P-WAL", measurementType: "HEART_RATE", value: 80 }));
+  before.offlineCacheManager.close(); // simulated reboot
+
+  const after = makeEdge({ storageDir });
+  const flush = after.flushCachedData();
+
+  assert.equal(flush.flushed.measurements.length, 2);
+  assert.ok(flush.flushed.alerts.length >= 1);
+  assert.equal(makeEdge({ storageDir }).flushCachedData().flushed.measurements.length, 0);
+});
+
+test("Offline cache recovery truncates a torn tail record", () => {
+  const storageDir = makeStorageDir();
+  const before = makeEdge({ storageDir });
+
+  before.setOnline(false);
+  before.ingestMeasurement(makeMeasurement({ patientId: "P-TORN", measurementType: "HEART_RATE", value: 80 }));
+  before.offlineCacheManager.close();
+
+  const walFile = path.join(storageDir, "offline-cache.wal");
+  const intactSize = fs.statSync(walFile).size;
+  fs.appendFileSync(walFile, Buffer.from([0, 0, 1, 0, 0xde, 0xad, 0xbe, 0xef, 0x7b])); // crash mid-write
+
+  const after = makeEdge({ storageDir });
+  assert.equal(fs.statSync(walFile).size, intactSize);
+  assert.equal(after.flushCachedData().flushed.measurements.length, 1);
+});
+
+test("Write-ahead log: the interval fsync policy also syncs the last records before a quiet period", async () => {
+  const cache = new OfflineCacheManager({
+    walFile: path.join(makeStorageDir(), "offline-cache.wal"),
+    fsyncPolicy: "interval",
+    fsyncIntervalMs: 20
+  });
+  let syncs = 0;
+  const sync = cache.wal.sync.bind(cache.wal);
+  cache.wal.sync = () => {
+    syncs += 1;
+    sync();
+  };
+
+  cache.storeMeasurement({ measurementId: "M-1", value: 70, timestamp: nowIso() }); // first record: synced at once
+  cache.storeMeasurement({ measurementId: "M-2", value: 71, timestamp: nowIso() }); // within the interval: deferred
+  assert.equal(syncs, 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  assert.equal(syncs, 2);
+  cache.close();
+});
+
+test("Bounded offline cache downsamples older normal-range measurements", () => {
+  const configPath = makeConfigCopy();
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  cfg.offlineCache.maxEvents = 10;
+  fs.writeFileSync(configPath, JSON.stringify(cfg), "utf-8");
+  const edge = new EdgeProcessor({ configPath, storageDir: makeStorageDir() });
+
+  edge.setOnline(false);
+  for (let i = 0; i < 12; i++) {
+    edge.ingestMeasurement(
+      makeMeasurement({
+        patientId: "P-CAP",
+        measurementType: "HEART_RATE",
+        value: 70 + i,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 10, 0, i)).toISOString()
+      })
+    );
+  }
+
+  const stats = edge.getOfflineCacheStats();
+  assert.ok(stats.queueDepth <= 10);
+  assert.equal(stats.downsampledMeasurements, 11);
+
+  edge.setOnline(true);
+  const flush = edge.flushCachedData();
+  assert.equal(flush.flushed.summaries.length, 1);
+  assert.deepEqual(
+    { count: flush.flushed.summaries[0].count, min: flush.flushed.summaries[0].min, max: flush.flushed.summaries[0].max },
+    { count: 11, min: 70, max: 80 }
+  );
+  assert.equal(flush.flushed.measurements.length, 1);
+});
+
+test("Bounded offline cache evicts oldest measurements but never alerts", () => {
+  const cache = new OfflineCacheManager({ maxEvents: 4 });
+
+  for (let i = 0; i < 3; i++) {
+    cache.storeAlert({ alertId: `A-${i}`, timestamp: new Date(Date.UTC(2026, 0, 1, 10, i)).toISOString() });
+    cache.storeMeasurement({
+      measurementId: `M-${i}`,
+      value: 140,
+      timestamp: new Date(Date.UTC(2026, 0, 1, 10, i)).toISOString()
+    });
+  }
+
+  const stats = cache.getStats();
+  assert.equal(stats.alertsQueued, 3);
+  assert.equal(stats.evictedMeasurements, 2);
+
+  const events = cache.flushCachedData();
+  assert.deepEqual(events.filter((e) => e.type === "measurement").map((e) => e.payload.measurementId), ["M-2"]);
+});
+
+test("Bounded offline cache summarises compound values per component and skips no-op log rewrites", () => {
+  const cache = new OfflineCacheManager({
+    walFile: path.join(makeStorageDir(), "offline-cache.wal"),
+    maxEvents: 3,
+    isNormalMeasurement: () => true
+  });
+  let rewrites = 0;
+  const rewrite = cache.wal.rewrite.bind(cache.wal);
+  cache.wal.rewrite = (records) => {
+    rewrites += 1;
+    rewrite(records);
+  };
+
+  [[120, 80], [124, 76], [128, 84], [122, 78]].forEach(([systolic, diastolic], i) =>
+    cache.storeMeasurement({
+      measurementId: `BP-${i}`,
+      patientId: "P-BP",
+      measurementType: "BLOOD_PRESSURE",
+      value: { systolic, diastolic },
+      timestamp: new Date(Date.UTC(2026, 0, 1, 10, 0, i)).toISOString()
+    })
+  );
+  const summary = cache.getPendingBatch(10).find((e) => e.type === "summary").payload;
+  assert.equal(summary.count, 4);
+  assert.deepEqual(summary.min, { systolic: 120, diastolic: 76 });
+  assert.deepEqual(summary.max, { systolic: 128, diastolic: 84 });
+  assert.deepEqual(summary.mean, { systolic: 123.5, diastolic: 79.5 });
+  assert.equal(rewrites, 1);
+
+  for (let i = 0; i < 6; i++) cache.storeAlert({ alertId: `A-${i}`, timestamp: nowIso() });
+  const stats = cache.getStats();
+  assert.equal(stats.alertsQueued, 6);
+  assert.equal(stats.evictedSummaries, 1);
+  assert.equal(rewrites, 2); // once the queue holds alerts only, nothing is rewritten any more
+  cache.close();
+});
+
 test("Offline flush when already empty should still succeed", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
   edge.setOnline(true);
 
   const flush = edge.flushCachedData();
@@ -257,12 +1555,389 @@ test("Offline flush when already empty should still succeed", () => {
   assert.ok(Array.isArray(flush.flushed.alerts));
 });
 
+/* ------------------------------------------------------------------ */
+/* Uplink                                                              */
+/* ------------------------------------------------------------------ */
+
+test("Uplink: acknowledged events are marked synced and removed from the outbox", async () => {
+  const transport = new InProcessTransport();
+  const edge = makeEdge({ transport });
+  edge.setOnline(false);
+
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-UP", measurementType: "HEART_RATE", value: 80 }));
+  const res = edge.ingestMeasurement(makeMeasurement({ patientId: "P-UP", measurementType: "HEART_RATE", value: 180 }));
+  const alerts = res.alerts.length + (res.technicalAlerts || []).length; // the abrupt rise is also a SENSOR_ARTIFACT
+  const queued = 2 + alerts;
+  assert.equal(edge.getOfflineCacheStats().queueDepth, queued);
+
+  edge.setOnline(true);
+  const report = await edge.syncWithBackend();
+
+  assert.equal(report.status, "synced");
+  assert.equal(report.acked, queued);
+  assert.equal(edge.getOfflineCacheStats().queueDepth, 0);
+  assert.ok(transport.received.every((e) => e.eventId));
+  assert.equal(transport.received.filter((e) => e.type === "measurement").length, 2);
+  assert.equal(transport.received.filter((e) => e.type === "alert").length, alerts);
+});
+
+test("Uplink: only acknowledged events leave the outbox, survivors are replayed after restart", async () => {
+  const dir = makeStorageDir();
+  const walFile = path.join(dir, "outbox.wal");
+  const cache = new OfflineCacheManager({ walFile });
+  cache.setOnline(true);
+  for (let i = 0; i < 3; i++) {
+    cache.storeMeasurement({ measurementId: `M-${i}`, value: 70, timestamp: new Date(Date.UTC(2026, 0, 1, 10, i)).toISOString() });
+  }
+
+  const transport = new InProcessTransport({ shouldAck: (e) => e.payload.measurementId !== "M-1" });
+  const uplink = new UplinkManager({ transport, cache, maxRetries: 0, sleep: async () => {} });
+  const report = await uplink.sync();
+
+  assert.equal(report.status, "failed"); // M-1 is never acknowledged
+  assert.equal(report.acked, 2);
+  cache.close();
+
+  const restarted = new OfflineCacheManager({ walFile });
+  assert.deepEqual(restarted.getPendingBatch(10).map((e) => e.payload.measurementId), ["M-1"]);
+  restarted.close();
+});
+
+test("Uplink: the outbox log stays bounded while events are acknowledged", async () => {
+  const dir = makeStorageDir();
+  const walFile = path.join(dir, "outbox.wal");
+  const cache = new OfflineCacheManager({ walFile, walCompactBytes: 4096 });
+  cache.setOnline(true);
+  const uplink = new UplinkManager({ transport: new InProcessTransport(), cache, sleep: async () => {} });
+
+  for (let i = 0; i < 200; i++) {
+    cache.storeMeasurement({ measurementId: `M-${i}`, value: 70, timestamp: new Date(Date.UTC(2026, 0, 1, 10, 0, i)).toISOString() });
+    if (i % 10 === 9) await uplink.sync();
+  }
+  assert.equal(cache.getStats().queueDepth, 0);
+  assert.ok(fs.statSync(walFile).size < 1024);
+
+  // every fourth event is never acknowledged, so the queue never drains
+  const partial = new InProcessTransport({ shouldAck: (e) => Number(e.payload.measurementId.slice(2)) % 4 !== 0 });
+  const partialUplink = new UplinkManager({ transport: partial, cache, batchSize: 1000, maxRetries: 0, sleep: async () => {} });
+  for (let i = 0; i < 400; i++) {
+    cache.storeMeasurement({ measurementId: `M-${i}`, value: 70, timestamp: new Date(Date.UTC(2026, 0, 1, 11, 0, i)).toISOString() });
+    if (i % 20 === 19) await partialUplink.sync();
+  }
+  assert.equal(cache.getStats().queueDepth, 100);
+  assert.ok(fs.statSync(walFile).size <= Math.max(4096, 2 * cache.getStats().queueBytes) + 1024);
+  cache.close();
+
+  const restarted = new OfflineCacheManager({ walFile });
+  assert.equal(restarted.getStats().queueDepth, 100);
+  restarted.close();
+});
+
+test("Uplink: failed sends are retried with exponential backoff", async () => {
+  const cache = new OfflineCacheManager();
+  cache.setOnline(true);
+  cache.storeAlert({ alertId: "A-1", timestamp: nowIso() });
+
+  const delays = [];
+  const transport = new InProcessTransport({ failTimes: 2 });
+  const uplink = new UplinkManager({ transport, cache, baseDelayMs: 100, sleep: async (ms) => delays.push(ms) });
+  const report = await uplink.sync();
+
+  assert.equal(report.status, "synced");
+  assert.equal(report.failedAttempts, 2);
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(transport.sendCalls, 3);
+  assert.equal(cache.getPendingBatch(10).length, 0);
+});
+
+test("Uplink: HTTP transport delivers batches to the backend and applies its acks", async () => {
+  const backend = createBackendServer();
+  await new Promise((resolve) => backend.listen(0, resolve));
+  try {
+    const url = `http://localhost:${backend.address().port}/events`;
+    const cache = new OfflineCacheManager();
+    cache.setOnline(true);
+    cache.storeMeasurement({ measurementId: "M-H1", value: 72, timestamp: nowIso() });
+    cache.storeAlert({ alertId: "A-H1", timestamp: nowIso() });
+
+    const uplink = new UplinkManager({ transport: new HttpTransport({ url }), cache, batchSize: 1 });
+    const report = await uplink.sync();
+
+    assert.equal(report.status, "synced");
+    assert.equal(report.acked, 2);
+    assert.equal(backend.received.size, 2);
+    assert.equal(cache.getPendingBatch(10).length, 0);
+  } finally {
+    backend.close();
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* History store                                                       */
+/* ------------------------------------------------------------------ */
+
+test("History store rotates segments, indexes patients and keeps the latest alert version", () => {
+  const storageDir = makeStorageDir();
+  const repo = new HistoryRepository({ storageDir, maxSegmentBytes: 1000 });
+  const t0 = Date.UTC(2026, 0, 7, 8, 0, 0);
+  for (let i = 0; i < 30; i++) {
+    repo.saveMeasurement(
+      makeMeasurement({ patientId: i < 20 ? "P-H1" : "P-H2", value: 60 + i, timestamp: new Date(t0 + i * 1000).toISOString() })
+    );
+  }
+  repo.saveAlert({ alertId: "A-H", patientId: "P-H1", state: "ACTIVE", timestamp: new Date(t0).toISOString() });
+  repo.updateAlert({ alertId: "A-H", patientId: "P-H1", state: "RESOLVED", timestamp: new Date(t0).toISOString() });
+
+  const index = repo.measurementStore.getIndex();
+  assert.ok(index.length > 2);
+  assert.ok(index.slice(0, -1).every((seg) => seg.bytes <= 1000));
+  assert.equal(index.reduce((n, seg) => n + seg.records, 0), 30);
+  assert.equal(index[0].patients["P-H2"], undefined); // early segments hold only P-H1
+  assert.ok(fs.existsSync(path.join(storageDir, "history", "measurements", "000001.idx.json")));
+
+  assert.deepEqual(repo.getRecentMeasurements(3).map((m) => m.value), [89, 88, 87]);
+  assert.deepEqual(repo.getRecentMeasurements(2, { patientId: "P-H1" }).map((m) => m.value), [79, 78]);
+  repo.close();
+
+  const reopened = new HistoryRepository({ storageDir, maxSegmentBytes: 1000 });
+  assert.equal(reopened.getAlert("A-H").state, "RESOLVED");
+  assert.equal(reopened.getAlerts({ limit: Infinity }).length, 1);
+  assert.equal(reopened.getRecentMeasurements(100).length, 30);
+});
+
+test("History store recovers a torn write and a missing index, and imports legacy JSON history", () => {
+  const storageDir = makeStorageDir();
+  fs.writeFileSync(
+    path.join(storageDir, "measurements.json"),
+    JSON.stringify([makeMeasurement({ patientId: "P-OLD", value: 70 }), makeMeasurement({ patientId: "P-OLD", value: 71 })])
+  );
+  const repo = new HistoryRepository({ storageDir, maxSegmentBytes: 400 });
+  assert.deepEqual(repo.getRecentMeasurements(10).map((m) => m.value), [71, 70]);
+  for (let i = 0; i < 5; i++) repo.saveMeasurement(makeMeasurement({ patientId: "P-NEW", value: 80 + i }));
+  repo.close();
+
+  const dir = path.join(storageDir, "history", "measurements");
+  fs.unlinkSync(path.join(dir, "000001.idx.json")); // crash between rename and index write
+  const open = fs.readdirSync(dir).find((f) => f.endsWith(".open.ndjson"));
+  const torn = '{"patientId":"P-NEW","val';
+  fs.appendFileSync(path.join(dir, open), torn); // crash mid-write
+
+  const after = new HistoryRepository({ storageDir, maxSegmentBytes: 400 });
+  assert.deepEqual(after.measurementStore.recovery, { truncatedBytes: torn.length, reindexed: 1 });
+  assert.ok(fs.existsSync(path.join(dir, "000001.idx.json")));
+  assert.equal(after.getRecentMeasurements(100).length, 7);
+  after.saveMeasurement(makeMeasurement({ patientId: "P-NEW", value: 90 }));
+  assert.equal(after.getRecentMeasurements(1)[0].value, 90);
+});
+
+test("History queries filter by time and type, paginate with a cursor and aggregate into buckets", () => {
+  const repo = new HistoryRepository({ storageDir: makeStorageDir(), maxSegmentBytes: 2000 });
+  const t0 = Date.UTC(2026, 0, 8, 8, 0, 0);
+  const at = (min) => new Date(t0 + min * 60000).toISOString();
+  for (let min = 0; min < 20; min++) {
+    repo.saveMeasurement(makeMeasurement({ patientId: "P-HQ", value: 60 + min, timestamp: at(min) }));
+    repo.saveMeasurement(makeMeasurement({ patientId: "P-HQ", measurementType: "SPO2", value: 95, timestamp: at(min) }));
+  }
+  repo.saveMeasurement(
+    makeMeasurement({ patientId: "P-HQ", measurementType: "BLOOD_PRESSURE", value: { systolic: 120, diastolic: 81 }, timestamp: at(1) })
+  );
+  for (let i = 0; i < 40; i++) repo.saveMeasurement(makeMeasurement({ patientId: "P-OTHER" })); // newer data of another patient
+
+  const query = { patientId: "P-HQ", types: ["HEART_RATE"], from: at(5), to: at(14), limit: 4 };
+  const pages = [];
+  let page = repo.queryMeasurements(query);
+  pages.push(page.measurements.map((m) => m.value));
+  while (page.nextCursor) {
+    page = repo.queryMeasurements({ ...query, cursor: page.nextCursor });
+    pages.push(page.measurements.map((m) => m.value));
+  }
+  assert.deepEqual(pages, [[74, 73, 72, 71], [70, 69, 68, 67], [66, 65]]);
+  assert.throws(() => repo.queryMeasurements({ cursor: "nope" }), (e) => e.code === "INVALID_CURSOR");
+  assert.equal(repo.queryMeasurements({ ...query, limit: -1 }).measurements.length, 1); // never the whole history
+
+  const series = repo.aggregateMeasurements({ patientId: "P-HQ", from: at(0), to: at(9), bucketMs: 5 * 60000 });
+  assert.deepEqual(series.HEART_RATE, [
+    { bucketStart: at(0), bucketEnd: at(5), count: 5, min: 60, mean: 62, max: 64 },
+    { bucketStart: at(5), bucketEnd: at(10), count: 5, min: 65, mean: 67, max: 69 }
+  ]);
+  assert.equal(series.SPO2.length, 2);
+  assert.deepEqual(series["BLOOD_PRESSURE.map"].map((b) => b.mean), [94]); // compound values per component
+  assert.throws(
+    () => repo.aggregateMeasurements({ patientId: "P-HQ", bucketMs: 60000, maxBuckets: 10 }),
+    (e) => e.code === "TOO_MANY_BUCKETS"
+  );
+});
+
+test("Retention replaces raw history by minute then hour rollups that queries still serve", () => {
+  const repo = new HistoryRepository({ storageDir: makeStorageDir(), maxSegmentBytes: 1500 });
+  const t0 = Date.UTC(2026, 0, 9, 8, 0, 0);
+  for (let i = 0; i < 30; i++) {
+    repo.saveMeasurement(makeMeasurement({ patientId: "P-RT", value: 60 + i, timestamp: new Date(t0 + i * 10000).toISOString() }));
+  }
+  const query = { patientId: "P-RT", bucketMs: 5 * 60000 };
+  const before = repo.aggregateMeasurements(query);
+  const day = 24 * 3600000;
+
+  const first = repo.compact({ rawMeasurementsMs: day }, t0 + 2 * day);
+  assert.equal(first.rawMeasurements.records, 30);
+  assert.ok(first.rawMeasurements.rollups >= 5); // per minute (a minute split across segments has two)
+  assert.deepEqual(repo.measurementStore.getIndex(), []);
+  assert.deepEqual(repo.aggregateMeasurements(query), before);
+
+  const listed = repo.queryMeasurements({ patientId: "P-RT", limit: 100 }).measurements;
+  assert.ok(listed.every((m) => m.rollup.bucketMs === 60000));
+  assert.equal(listed.reduce((n, m) => n + m.rollup.count, 0), 30);
+  assert.equal(listed[0].rollup.max, 89);
+  const page = repo.queryMeasurements({ patientId: "P-RT", limit: 2 });
+  const rest = repo.queryMeasurements({ patientId: "P-RT", cursor: page.nextCursor, limit: 100 });
+  assert.deepEqual([...page.measurements, ...rest.measurements], listed);
+
+  const second = repo.compact({ rawMeasurementsMs: day, minuteRollupsMs: 7 * day }, t0 + 8 * day);
+  assert.equal(second.minuteRollups.records, first.rawMeasurements.rollups);
+  const hourly = repo.aggregateMeasurements(query).HEART_RATE;
+  assert.deepEqual(hourly, [
+    { bucketStart: new Date(t0).toISOString(), bucketEnd: new Date(t0 + 300000).toISOString(), count: 30, min: 60, mean: 74.5, max: 89, resolutionMs: 3600000 }
+  ]);
+
+  const third = repo.compact({ hourRollupsMs: 30 * day }, t0 + 31 * day);
+  assert.equal(third.hourRollups.records, second.minuteRollups.rollups);
+  assert.deepEqual(repo.aggregateMeasurements(query), {});
+});
+
+test("Retention resumes a roll-up interrupted mid-write without losing or doubling rollups", () => {
+  const storageDir = makeStorageDir();
+  const repo = new HistoryRepository({ storageDir, maxSegmentBytes: 1500 });
+  const t0 = Date.UTC(2026, 0, 9, 10, 0, 0);
+  for (let i = 0; i < 30; i++) {
+    repo.saveMeasurement(makeMeasurement({ patientId: "P-RC", value: 60 + i, timestamp: new Date(t0 + i * 10000).toISOString() }));
+  }
+  const query = { patientId: "P-RC", bucketMs: 5 * 60000 };
+  const before = repo.aggregateMeasurements(query);
+  const day = 24 * 3600000;
+
+  const append = repo.minuteRollups.append.bind(repo.minuteRollups);
+  let appended = 0;
+  repo.minuteRollups.append = (record) => {
+    if (++appended === 2) throw new Error("power loss"); // crash after the first rollup of a segment
+    append(record);
+  };
+  assert.throws(() => repo.compact({ rawMeasurementsMs: day }, t0 + 2 * day), /power loss/);
+  repo.close();
+
+  const restarted = new HistoryRepository({ storageDir, maxSegmentBytes: 1500 });
+  restarted.compact({ rawMeasurementsMs: day }, t0 + 2 * day);
+  assert.deepEqual(restarted.measurementStore.getIndex(), []);
+  const rollups = restarted.queryMeasurements({ patientId: "P-RC", limit: 1000 }).measurements;
+  assert.equal(rollups.reduce((n, m) => n + m.rollup.count, 0), 30);
+  assert.deepEqual(restarted.aggregateMeasurements(query), before);
+});
+
+test("Retention prunes old alerts but keeps segments holding open alerts", () => {
+  const storageDir = makeStorageDir();
+  const repo = new HistoryRepository({ storageDir, maxSegmentBytes: 1 }); // one record per segment
+  const t0 = Date.UTC(2026, 0, 10, 8, 0, 0);
+  const alert = (alertId, state) => ({ alertId, patientId: "P-RA", state, timestamp: new Date(t0).toISOString() });
+  repo.saveAlert(alert("A-OPEN", "ACTIVE"));
+  repo.saveAlert(alert("A-DONE", "ACTIVE"));
+  repo.updateAlert(alert("A-DONE", "RESOLVED"));
+  repo.saveAlert({ ...alert("A-NEW", "ACTIVE"), timestamp: new Date(t0 + 100 * 24 * 3600000).toISOString() });
+
+  const report = repo.compact({ alertsMs: 90 * 24 * 3600000 }, t0 + 100 * 24 * 3600000);
+  assert.equal(report.alerts.segments, 2); // both versions of A-DONE
+  assert.equal(report.alerts.keptOpen, 1);
+  assert.equal(repo.getAlert("A-DONE"), null);
+  assert.deepEqual(repo.getAlerts({ limit: Infinity }).map((a) => a.alertId), ["A-NEW", "A-OPEN"]);
+  repo.close();
+  assert.equal(new HistoryRepository({ storageDir }).getAlerts({ limit: Infinity }).length, 2);
+});
+
+test("Alert queries filter by time range and stop at the limit", () => {
+  const repo = new HistoryRepository({ storageDir: makeStorageDir() });
+  const t0 = Date.UTC(2026, 0, 10, 8, 0, 0);
+  for (let i = 0; i < 10; i++) {
+    repo.saveAlert({ alertId: `A-${i}`, patientId: i % 2 ? "P-T1" : "P-T2", state: "ACTIVE", timestamp: new Date(t0 + i * 60000).toISOString() });
+  }
+  const range = { from: new Date(t0 + 2 * 60000).toISOString(), to: new Date(t0 + 7 * 60000).toISOString() };
+
+  assert.deepEqual(repo.getAlerts(range).map((a) => a.alertId), ["A-7", "A-6", "A-5", "A-4", "A-3", "A-2"]);
+  assert.deepEqual(repo.getAlerts({ ...range, patientId: "P-T1", limit: 2 }).map((a) => a.alertId), ["A-7", "A-5"]);
+  assert.deepEqual(repo.getAlerts({ from: range.to }).map((a) => a.alertId), ["A-9", "A-8", "A-7"]);
+  assert.deepEqual(repo.getAlerts({ limit: 0 }), []);
+  repo.close();
+});
+
+/* ------------------------------------------------------------------ */
+/* Connectivity monitor                                                */
+/* ------------------------------------------------------------------ */
+
+test("Connectivity monitor applies hysteresis before changing state", async () => {
+  const results = [false, false, true, false, false, false, true, true];
+  const monitor = new ConnectivityMonitor({
+    failuresToOffline: 3,
+    successesToOnline: 2,
+    probe: async () => results.shift()
+  });
+  const events = [];
+  monitor.on("change", (e) => events.push(e));
+
+  const states = [];
+  for (let i = 0; i < 8; i++) states.push(await monitor.check());
+
+  // the isolated success resets the failure count; 3 consecutive failures go offline
+  assert.deepEqual(states, [true, true, true, true, true, false, false, true]);
+  assert.deepEqual(events.map((e) => [e.previous, e.online]), [[true, false], [false, true]]);
+  assert.equal(monitor.getStatus().changes[0].online, true);
+  assert.ok(monitor.getStatus().lastChangeAt);
+});
+
+test("Connectivity monitor flips the offline cache and flushes it when connectivity returns without an uplink", async () => {
+  let reachable = false;
+  const edge = makeEdge({ probe: async () => reachable });
+  edge.connectivityMonitor.reconfigure({ failuresToOffline: 2, successesToOnline: 2 });
+
+  await edge.connectivityMonitor.check();
+  await edge.connectivityMonitor.check();
+  assert.equal(edge.offlineCacheManager.checkConnectivityStatus(), false);
+
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-NET", measurementType: "HEART_RATE", value: 76 }));
+  assert.equal(edge.getOfflineCacheStats().queueDepth, 1);
+
+  reachable = true;
+  await edge.connectivityMonitor.check();
+  assert.equal(edge.offlineCacheManager.checkConnectivityStatus(), false); // one success is not enough
+  await edge.connectivityMonitor.check();
+
+  assert.equal(edge.offlineCacheManager.checkConnectivityStatus(), true);
+  assert.equal(edge.lastAutoFlush.status, "flushed");
+  assert.equal(edge.lastAutoFlush.flushed.measurements.length, 1);
+  assert.equal(edge.getOfflineCacheStats().queueDepth, 0);
+  assert.deepEqual(edge.getConnectivityStatus().changes.map((c) => c.online), [true, false]);
+});
+
+test("Connectivity monitor starts an uplink sync when connectivity returns", async () => {
+  let reachable = false;
+  const transport = new InProcessTransport();
+  const edge = makeEdge({ transport, probe: async () => reachable });
+  edge.connectivityMonitor.reconfigure({ failuresToOffline: 1, successesToOnline: 1 });
+
+  await edge.connectivityMonitor.check();
+  edge.ingestMeasurement(makeMeasurement({ patientId: "P-NET-UP", measurementType: "HEART_RATE", value: 76 }));
+  assert.equal(edge.getOfflineCacheStats().queueDepth, 1);
+
+  reachable = true;
+  await edge.connectivityMonitor.check();
+  await edge.uplinkManager.inFlight;
+
+  assert.equal(transport.received.length, 1);
+  assert.equal(edge.getOfflineCacheStats().queueDepth, 0);
+});
+
 /* ------------------------------------------------------------------ */
 /* Emergency scenario                                                  */
 /* ------------------------------------------------------------------ */
 
 test("Medical emergency: very high heart rate should trigger alert (tachycardia)", () => {
-  const edge = new EdgeProcessor();
+  const edge = makeEdge();
 
   const res = edge.ingestMeasurement(
     makeMeasurement({